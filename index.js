@@ -19,6 +19,14 @@ module.exports = {
   BigML: require('./lib/BigML'),
   Resource: require('./lib/Resource'),
   constants: require('./lib/constants'),
+  // Error classes of the failed API calls
+  errors: require('./lib/errors'),
+  // Attempts and delays used to retry the failed requests
+  RetryPolicy: require('./lib/RetryPolicy'),
+  // Bulk deletion of resources
+  Cleanup: require('./lib/Cleanup'),
+  // In-memory replacement of the BigML API to be used as connection transport
+  FakeServer: require('./lib/FakeServer'),
   // Source REST api interface
   Source: require('./lib/Source'),
   // Dataset REST api interface
@@ -74,5 +82,13 @@ module.exports = {
   // Local Logistic Regression object for local predictions
   LocalLogisticRegression: require('./lib/LocalLogisticRegression'),
   // Local Logistic Regression object for local predictions
-  LocalAssociation: require('./lib/LocalAssociation')
+  LocalAssociation: require('./lib/LocalAssociation'),
+  // Local Dataset object for field summaries and Flatline previews
+  LocalDataset: require('./lib/LocalDataset'),
+  // Local interpreter for Flatline expressions
+  Flatline: require('./lib/Flatline'),
+  // Local batch predictions for CSV files and streams
+  LocalBatchPredictor: require('./lib/LocalBatchPredictor'),
+  // Local evaluations of models, ensembles and logistic regressions
+  LocalEvaluator: require('./lib/LocalEvaluator')
 };
@@ -46,8 +46,8 @@ AnomalyScore.prototype = new Resource();
 
 AnomalyScore.prototype.parent = Resource.prototype;
 
-AnomalyScore.prototype.create = function (anomaly, inputData, args,
-                                          retry, cb) {
+AnomalyScore.prototype.create = utils.promisify(function (anomaly, inputData,
+                                                          args, retry, cb) {
   /**
    * Creates an anomaly score and builds customized error and resource info
    *
@@ -81,10 +81,14 @@ AnomalyScore.prototype.create = function (anomaly, inputData, args,
   self.parent.create.call(self, 'anomalyscore', ['anomaly'], message,
                           resourceId.resource,
                           options.args, options.retry, options.cb);
-};
+});
 
 AnomalyScore.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'anomalyscore', query, cb);
+  return this.parent.list.call(this, 'anomalyscore', query, cb);
+};
+
+AnomalyScore.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'anomalyscore', filter);
 };
 
 
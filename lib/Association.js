@@ -32,7 +32,8 @@ Association.prototype = new Resource();
 
 Association.prototype.parent = Resource.prototype;
 
-Association.prototype.create = function (datasets, args, retry, cb) {
+Association.prototype.create = utils.promisify(function (datasets, args, retry,
+                                                         cb) {
   /**
    * Creates an association and builds customized error and resource info
    *
@@ -66,57 +67,42 @@ var self = this, options, resource, resources, datasetsArray = false,
       endpoint: '/'
     };
 
-  if (arguments.length > 0) {
-    datasetsArray = utils.isArray(datasets);
-    resource = (datasetsArray) ? datasets[0] : datasets;
-    resourceId = utils.getResource(resource);
-    options = utils.optionalCUParams(arguments, message);
-
-    if (datasetsArray && resourceId.type === 'dataset') {
-      resources = datasets;
-      options.args['datasets'] = datasets;
-    } else if (resourceId.type === 'dataset') {
-      resources = [datasets];
-      options.args['dataset'] = resourceId.resource;
-    } else {
-      throw new Error(message);
-    }
-    options = utils.setRetries(options);
-    options.type = reqOptions.resourceType;
-    options.operation = 'create';
-    this.resources = resources;
-    this.options = options
+  datasetsArray = utils.isArray(datasets);
+  resource = (datasetsArray) ? datasets[0] : datasets;
+  resourceId = utils.getResource(resource);
+  options = utils.optionalCUParams(arguments, message);
+
+  if (datasetsArray && resourceId.type === 'dataset') {
+    resources = datasets;
+    options.args['datasets'] = datasets;
+  } else if (resourceId.type === 'dataset') {
+    resources = [datasets];
+    options.args['dataset'] = resourceId.resource;
   } else {
-    if (!this.options || !this.resources) {
-      logger.error("Create has been called with no parameters.");
-      return;
-    }
-    options = this.options;
-    datasetsArray = this.resources.length > 1;
-    resource = this.resources[0];
-    resources = this.resources;
-    resourceId = utils.getResource(resource);
+    throw new Error(message);
   }
+  options = utils.setRetries(options, this.connection);
+  options.type = reqOptions.resourceType;
+  options.operation = 'create';
   reqOptions.body = options.args;
 
   sendRequest = utils.makeSendRequest(self, reqOptions, options);
   // The origin resources must be retrieved in a finished state before
-  // create starts. This is only done when create is called by the user, not
-  // internally to retry creation.
-  if (arguments.length > 0) {
-    async.each(resources, function(resource, done) {
-        var id = utils.getResource(resource);
-        new Resource(self.connection).get(id.resource, true, done);
-        },
-      sendRequest);
-  } else {
-    sendRequest(null);
-  }
+  // create starts. Retries only send the creation request again.
+  async.each(resources, function(resource, done) {
+      var id = utils.getResource(resource);
+      new Resource(self.connection).get(id.resource, true, done);
+      },
+    sendRequest);
 
-};
+});
 
 Association.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'association', query, cb);
+  return this.parent.list.call(this, 'association', query, cb);
+};
+
+Association.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'association', filter);
 };
 
 module.exports = Association;
@@ -18,7 +18,6 @@
 
 var BigML = require('./BigML');
 var Resource = require('./Resource');
-var request = require('request');
 var constants = require('./constants');
 var logger = require('./logger');
 var utils = require('./utils');
@@ -34,7 +33,8 @@ BaseScript.prototype = new Resource();
 
 BaseScript.prototype.parent = Resource.prototype;
 
-BaseScript.prototype.create = function (type, sourceCode, args, retry, cb) {
+BaseScript.prototype.create = utils.promisify(function (type, sourceCode, args,
+                                                        retry, cb) {
   /**
    * Creates a script and builds customized error and resource info
    *
@@ -64,16 +64,12 @@ BaseScript.prototype.create = function (type, sourceCode, args, retry, cb) {
     newArguments.push(arguments[arg]);
   }
   newArguments = newArguments.slice(1, 5);
-  if (arguments.length > 0) {
-    options = utils.optionalCUParams(newArguments, message);
-    options.sourceCode = sourceCode;
-    options = utils.setRetries(options);
-    options.type = type;
-    options.operation = 'create';
-    this.options = options;
-  } else {
-    options = this.options;
-  }
+  options = utils.optionalCUParams(newArguments, message);
+  options.sourceCode = sourceCode;
+  options = utils.setRetries(options, this.connection);
+  options.args = utils.setProject(options.args, this.connection);
+  options.type = type;
+  options.operation = 'create';
   uri = this.connection.resourceUrls[type] + this.connection.auth;
 
   form = {source_code: options.sourceCode};
@@ -82,26 +78,26 @@ BaseScript.prototype.create = function (type, sourceCode, args, retry, cb) {
       form[arg] = options.args[arg];
     }
   }
-  var r = request.post({
-    uri        : uri,
-    method     : 'POST',
-    headers    : {'Content-Type': 'application/json;charset=utf-8'},
-    strictSSL  : constants.VERIFY,
-    body       : JSON.stringify(form)
-  }, function (error, response) {
-    var code = constants.HTTP_INTERNAL_SERVER_ERROR,
-      result = utils.makeEmptyResult('resource',
-                                     code,
-                                     'The resource couldn\'t be created');
-
-    return utils.requestResponse('create', self, constants.HTTP_CREATED,
-                                 createErrors,
-                                 error, undefined, response,
-                                 result, options.cb);
-  });
-
+  options.operationFunction = function () {
+    self.connection.schedule(self.connection.transportOptions({
+      uri        : uri,
+      method     : 'POST',
+      headers    : {'Content-Type': 'application/json;charset=utf-8'},
+      body       : JSON.stringify(form)
+    }), function (error, response) {
+      var code = constants.HTTP_INTERNAL_SERVER_ERROR,
+        result = utils.makeEmptyResult('resource',
+                                       code,
+                                       'The resource couldn\'t be created');
 
-};
+      return utils.requestResponse('create', self, options,
+                                   constants.HTTP_CREATED,
+                                   createErrors,
+                                   error, undefined, response, result);
+    });
+  };
+  options.operationFunction();
+});
 
 
 module.exports = BaseScript;
@@ -31,8 +31,9 @@ BatchAnomalyScore.prototype = new Resource();
 
 BatchAnomalyScore.prototype.parent = Resource.prototype;
 
-BatchAnomalyScore.prototype.create = function (anomaly,
-                                               dataset, args, retry, cb) {
+BatchAnomalyScore.prototype.create = utils.promisify(function (anomaly,
+                                                               dataset, args,
+                                                               retry, cb) {
   /**
    * Creates a batch anomaly score and builds customized error and resource
    * info
@@ -66,45 +67,41 @@ BatchAnomalyScore.prototype.create = function (anomaly,
       endpoint: '/'
     };
 
-  if (arguments.length > 0) {
-    options = utils.optionalCUParams([].slice.call(arguments, 1), message);
-    resourceId = utils.getResource(anomaly);
-    datasetId = utils.getResource(dataset);
-    options.operation = 'create';
-    options.args.dataset = datasetId.resource;
-    if (origins.indexOf(resourceId.type) > -1) {
-      options.args[resourceId.type] = resourceId.resource;
-    } else {
-      throw new Error(message);
-    }
-    options = utils.setRetries(options);
-    options.type = reqOptions.resourceType;
-    this.options = options;
+  options = utils.optionalCUParams([].slice.call(arguments, 1), message);
+  resourceId = utils.getResource(anomaly);
+  datasetId = utils.getResource(dataset);
+  options.operation = 'create';
+  options.args.dataset = datasetId.resource;
+  if (origins.indexOf(resourceId.type) > -1) {
+    options.args[resourceId.type] = resourceId.resource;
   } else {
-    options = this.options;
+    throw new Error(message);
   }
+  options = utils.setRetries(options, this.connection);
+  options.type = reqOptions.resourceType;
   reqOptions.body = options.args;
   sendRequest = utils.makeSendRequest(self, reqOptions, options);
-  // The origin resource must be retrieved in a finished state before 
-  // create starts. This is only done when create is called by the user, not
-  // internally to retry creation.
+  // The origin resource must be retrieved in a finished state before
+  // create starts. Retries only send the creation request again.
 
-  if (arguments.length > 0) {
-    resources = [datasetId.resource, resourceId.resource];
-    async.each(resources, function (resource, done) {
-      new Resource(self.connection).get(resource, true, done);
-    },
-      sendRequest);
-  } else {
-    sendRequest(null);
-  }
-};
+  resources = [datasetId.resource, resourceId.resource];
+  async.each(resources, function (resource, done) {
+    new Resource(self.connection).get(resource, true, done);
+  },
+    sendRequest);
+});
 
 BatchAnomalyScore.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'batchanomalyscore', query, cb);
+  return this.parent.list.call(this, 'batchanomalyscore', query, cb);
 };
 
-BatchAnomalyScore.prototype.download = function (resource, filename, cb) {
+BatchAnomalyScore.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'batchanomalyscore', filter);
+};
+
+BatchAnomalyScore.prototype.download = utils.promisify(function (resource,
+                                                                 filename,
+                                                                 cb) {
   /**
    * Downloads the batch anomaly score output file.
    *
@@ -119,11 +116,15 @@ BatchAnomalyScore.prototype.download = function (resource, filename, cb) {
       resourceType: resourceId.type,
       endpoint: '/' + resourceId.id,
     };
+  if ((typeof filename) === 'function' && (typeof cb) === 'undefined') {
+    cb = filename;
+    filename = undefined;
+  }
   if ((typeof cb) === 'undefined') {
     cb = utils.showResult;
   }
   // No retries needed
   return this.connection.download(reqOptions, filename, undefined, cb);
-};
+});
 
 module.exports = BatchAnomalyScore;
@@ -18,31 +18,54 @@
 
 var request = require('request');
 var fs = require('fs');
+var path = require('path');
 var constants = require('./constants');
 var logger = require('./logger');
-var waittime = require('./waittime');
-
-
-function getUrl(devMode, context) {
-  var url, protocol, domain;
-  if (typeof context !== 'undefined') {
-    protocol = context.protocol || constants.BIGML_PROTOCOL;
-    domain = context.domain || constants.BIGML_DOMAIN;
-    url = protocol + "://" + domain;
-    if (devMode) {
-      url = url + '/dev/andromeda/';
-    } else {
-      url = url + '/andromeda/';
-    }
-  } else {
-    if (devMode) {
-      url = constants.BIGML_DEV_URL;
-    } else {
-      url = constants.BIGML_URL;
-    }
+var RetryPolicy = require('./RetryPolicy');
+var utils = require('./utils');
+var errors = require('./errors');
+var Scheduler = require('./Scheduler');
+
+
+function getUrl(devMode, protocol, domain, apiVersion) {
+  /**
+   * Builds the base URL of the API
+   *
+   * @param {boolean} devMode True to use the development mode URL
+   * @param {string} protocol http or https
+   * @param {string} domain Domain of the API
+   * @param {string} apiVersion API version prefix of the URL. No prefix is
+   *                            used when empty
+   */
+  var url = protocol + "://" + domain + '/';
+  if (devMode) {
+    url = url + 'dev/';
+  }
+  if (apiVersion) {
+    url = url + apiVersion + '/';
   }
   return url;
 }
+
+function getLogger(logging) {
+  /**
+   * Returns the logger used by a connection
+   *
+   * @param {object} logging Logger or its settings: level (see logger) and
+   *                         file. The default logger is used when absent
+   */
+  if ((typeof logging) === 'undefined' || logging === null) {
+    return logger;
+  }
+  if ((typeof logging.error) === 'function') {
+    return logging;
+  }
+  return logger.createLogger({
+    level: ((typeof logging.level) !== 'undefined') ? logging.level :
+      constants.BIGML_LOG_LEVEL,
+    file: logging.file || constants.BIGML_LOG_FILE});
+}
+
 /**
  * BigML: connection to the BigML api.
  * @constructor
@@ -55,9 +78,39 @@ function BigML(username, apiKey, devMode, context) {
    * @param {string} apiKey The authentication api key
    * @param {boolean} devMode True to activate development mode
    * @param {object} context Optional settings for the connection:
-   *                         domain, protocol, verify
+   *                         domain, protocol, verify, apiVersion, logging,
+   *                         proxy, organization, project, transport,
+   *                         storage, scheduler, retry.
+   *                         The domain and protocol default to the
+   *                         BIGML_DOMAIN and BIGML_PROTOCOL environment
+   *                         variables. SSL certificates are verified
+   *                         (verify) by default only for bigml.io.
+   *                         The apiVersion is the prefix of the URLs
+   *                         ('andromeda' by default).
+   *                         The logging is a logger or the level and file
+   *                         of the logger of the connection.
+   *                         The proxy is the URL of the HTTP proxy used
+   *                         in the requests.
+   *                         The organization is the id of the organization
+   *                         that the requests are scoped to.
+   *                         The project is the id of the project that new
+   *                         resources are created in. When an organization
+   *                         is set, the requests are also scoped to it.
+   *                         The transport is the function used to send
+   *                         every HTTP request. It must follow the
+   *                         `request` library interface (the default).
+   *                         The storage is the directory where the finished
+   *                         resources loaded by local predictors are saved
+   *                         to be reused.
+   *                         The scheduler options limit the concurrency and
+   *                         rate of the requests (see Scheduler). Requests
+   *                         are sent directly when they are absent.
+   *                         The retry policy, or its options, sets how the
+   *                         failed requests are retried (see RetryPolicy).
+   *                         False disables the retries.
    */
 
+  context = context || {};
   this.username = username || process.env.BIGML_USERNAME;
   this.apiKey = apiKey || process.env.BIGML_API_KEY;
   if ((typeof devMode) === 'boolean') {
@@ -65,8 +118,41 @@ function BigML(username, apiKey, devMode, context) {
   } else {
     this.devMode = false;
   }
-  this.url = getUrl(devMode, context)
+  this.domain = context.domain || constants.BIGML_DOMAIN;
+  this.protocol = (context.protocol || constants.BIGML_PROTOCOL)
+    .toLowerCase();
+  if (constants.BIGML_PROTOCOLS.indexOf(this.protocol) < 0) {
+    throw new Error('Only http and https are accepted as protocols.');
+  }
+  this.verify = ((typeof context.verify) === 'boolean') ? context.verify :
+    this.domain.indexOf('bigml.io') === 0;
+  this.apiVersion = ((typeof context.apiVersion) === 'string') ?
+    context.apiVersion : constants.BIGML_API_VERSION;
+  this.url = getUrl(this.devMode, this.protocol, this.domain,
+                    this.apiVersion);
+  this.logger = getLogger(context.logging);
+  this.proxy = context.proxy;
+  this.organization = context.organization;
+  this.project = context.project;
+  this.transport = context.transport || request;
   this.auth = "?username=" + this.username + ";api_key=" + this.apiKey;
+  if (this.organization) {
+    this.auth += ";organization=" + this.organization;
+    if (this.project) {
+      this.auth += ";project=" + this.project;
+    }
+  }
+  this.storage = context.storage;
+  if (this.storage && !fs.existsSync(this.storage)) {
+    // only the last directory is created: its parent must exist
+    fs.mkdirSync(this.storage);
+  }
+  this.scheduler = context.scheduler ?
+    new Scheduler(context.scheduler, this.logger) : null;
+  // retries are disabled when the retry option is false
+  this.retryPolicy = RetryPolicy.build(
+    ((typeof context.retry) === 'undefined') ? true : context.retry,
+    new RetryPolicy());
 
 
   // Base Resource URLs
@@ -102,6 +188,10 @@ BigML.prototype.request = function (options, retry, cb) {
    * API request processing
    *
    * @param {object} options uri, body, method and query options
+   * @param {boolean|object} retry Retry policy (or its options) used when
+   *                               the request fails. The request is not
+   *                               retried if absent
+   * @param {function} cb Callback
    */
 
   var reqOptions, self = this,
@@ -113,12 +203,12 @@ BigML.prototype.request = function (options, retry, cb) {
       options.endpoint + this.auth;
   }
   if (arguments.length < 3) {
-    retry = {retries: constants.BIGML_RETRIES, wait: constants.BIGML_WAIT,
-             retriesLeft: constants.BIGML_RETRIES};
     if ((typeof arguments[arguments.length - 1]) === 'function') {
       cb = arguments[arguments.length - 1];
     }
+    retry = null;
   }
+  retry = RetryPolicy.build(retry, this.retryPolicy);
   if (options.query) {
     uri += ';' + options.query;
   }
@@ -127,37 +217,76 @@ BigML.prototype.request = function (options, retry, cb) {
     method     : options.method || 'GET',
     headers    : options.headers || constants.SEND_JSON,
     uri        : uri,
-    body       : body,
-    strictSSL  : constants.VERIFY
+    body       : body
   };
-  request(reqOptions, function (error, response, body) {
-    if (error) {
-      var errorMessage = 'Remote request failed: ' + error;
-      if (retry.retriesLeft > 0) {
-        retry.retriesLeft -= 1;
-        wait = waittime.getWaitTimeExp(retry);
-        setTimeout(function () {self.request(options, retry, cb); }, wait);
-        errorMessage += (' Retrying in ' + wait / 1000 +
-                         ' s. ' + retry.retriesLeft +
-                         ' retries left.');
-        logger.error(errorMessage);
-      } else {
-        logger.error(errorMessage);
+  this.transportOptions(reqOptions);
+  function send(attempt) {
+    self.schedule(reqOptions, function (error, response, body) {
+      var errorMessage, wait;
+      if (error) {
+        errorMessage = 'Remote request failed: ' + error;
+        if (retry && attempt < retry.attempts) {
+          wait = retry.getDelay(attempt);
+          setTimeout(function () {send(attempt + 1); }, wait);
+          errorMessage += (' Retrying in ' + wait / 1000 +
+                           ' s. ' + (retry.attempts - attempt) +
+                           ' retries left.');
+          self.logger.error(errorMessage);
+          return;
+        }
+        self.logger.error(errorMessage);
         return cb(error);
       }
-    }
-    if (body) {
-      var json;
-      try {
-        json = JSON.parse(body);
-      } catch (err) { //JSON error
-        logger.error('JSON Error: ' + err + '\nbody: ' + body);
-        return cb(err, body, response);
+      if (body) {
+        var json;
+        try {
+          json = JSON.parse(body);
+        } catch (err) { //JSON error
+          self.logger.error('JSON Error: ' + err + '\nbody: ' + body);
+          return cb(err, body, response);
+        }
+        return cb(null, json, response);
       }
-      return cb(null, json, response);
-    }
-    return cb(null, null, response);
-  });
+      return cb(null, null, response);
+    });
+  }
+
+  send(1);
+};
+
+BigML.prototype.transportOptions = function (reqOptions) {
+  /**
+   * Adds the SSL verification and proxy settings of the connection to the
+   * options of a request
+   *
+   * @param {object} reqOptions Options of the request for the transport
+   */
+  reqOptions.strictSSL = this.verify;
+  if (this.proxy) {
+    reqOptions.proxy = this.proxy;
+  }
+  return reqOptions;
+};
+
+BigML.prototype.schedule = function (reqOptions, cb, send) {
+  /**
+   * Sends a request through the scheduler of the connection, that holds it
+   * until the concurrency and rate limits allow it. The request is sent
+   * right away when the connection has no scheduler
+   *
+   * @param {object} reqOptions Options of the request for the transport
+   * @param {function} cb Callback called with (error, response, body)
+   * @param {function} send Optional function that sends the request. Used
+   *                        when the request body is streamed to the object
+   *                        returned by the transport.
+   */
+  var self = this;
+  if (this.scheduler === null) {
+    return send ? send(cb) : this.transport(reqOptions, cb);
+  }
+  this.scheduler.schedule(reqOptions.method, send || function (done) {
+    return self.transport(reqOptions, done);
+  }, cb);
 };
 
 BigML.prototype.download = function (options, filename, retry, cb) {
@@ -166,21 +295,31 @@ BigML.prototype.download = function (options, filename, retry, cb) {
    *
    * @param {string} uri Uri of the remote file
    * @param {string} filename Name of the local file to download to
+   * @param {boolean|object} retry Retry policy (or its options) used while
+   *                               the file is being generated. If absent,
+   *                               the file is expected to be ready
+   * @param {function} cb Callback
    */
 
-  var reqOptions, req, downloadFile, errorMessage, downloadStatus, wait,
+  var reqOptions, req, downloadFile, downloadStatus, wait, error,
     self = this, downloadFinished = false,
     uri = this.resourceUrls[options.resourceType] +
     options.endpoint + this.downloadPath + this.auth;
 
   reqOptions = {
     method     : 'GET',
-    uri        : uri,
-    strictSSL  : constants.VERIFY
+    uri        : uri
   };
-  req = request(reqOptions);
+  this.transportOptions(reqOptions);
+  // retries keep their state in the retry argument
+  if (retry && (typeof retry.policy) === 'undefined') {
+    retry = {policy: RetryPolicy.build(retry, this.retryPolicy ||
+                                       new RetryPolicy()),
+             attempts: 1, finished: false};
+  }
+  req = this.transport(reqOptions);
   req.on('error', function (error) {
-      logger.error('Error: ' + error);
+      self.logger.error('Error: ' + error);
       return cb(error, null);
     });
   if ((typeof filename) === 'undefined') {
@@ -190,30 +329,33 @@ BigML.prototype.download = function (options, filename, retry, cb) {
     req.on('data', function(chunk) {
       // dataset export response can be either a JSON structure or the CSV file
       try {
-        if (typeof retry !== 'undefined') {
+        if (retry) {
           downloadStatus = JSON.parse(chunk);
           if (downloadStatus.code !== constants.HTTP_OK) {
             return cb(new Error(downloadStatus.status.message), null);
           } else {
             if (typeof downloadStatus.status.code !== 'undefined') {
               if (downloadStatus.status.code !== constants.FINISHED) {
-                if (retry.retriesLeft > 0) {
-                  retry.retriesLeft -= 1;
-                  wait = waittime.getWaitTimeExp(retry);
+                if (retry.attempts < retry.policy.attempts) {
+                  wait = retry.policy.getDelay(retry.attempts);
+                  retry.attempts += 1;
                   setTimeout(function () {
                       self.download(options, filename, retry, cb); }, wait);
                   return;
                 } else {
-                  errorMessage = ('The maximum number of retries for ' +
-                    'the download has been exceeded. You can retry your ' +
-                    'command again in a while');
-                  logger.error(errorMessage);
+                  error = new errors.BigMLRetriesExceededError(
+                    'The maximum number of retries for the download has ' +
+                    'been exceeded. You can retry your command again in ' +
+                    'a while', {httpStatus: downloadStatus.code,
+                                code: downloadStatus.status.code,
+                                resource: downloadStatus.resource});
+                  self.logger.error(error.message);
                   return cb(error, null);
                 }
-              } else if (retry.retriesLeft > -1) {
-                retry.retriesLeft = -1;
+              } else if (!retry.finished) {
+                retry.finished = true;
                 setTimeout(function () {
-                    self.download(options, filename, retry, cb); }, wait);
+                    self.download(options, filename, retry, cb); }, 0);
                 return;
               }
             }
@@ -221,22 +363,300 @@ BigML.prototype.download = function (options, filename, retry, cb) {
         }
       } catch (errJSON) {}
       // Pipe the downloaded data to the file
-      downloadFile = fs.createWriteStream(filename, {'flags': 'a'});
+      if ((typeof downloadFile) === 'undefined') {
+        downloadFile = fs.createWriteStream(filename, {'flags': 'a'});
+      }
       downloadFile.write(chunk);
       downloadFinished = true;
     });
     req.on('end', function() {
       if (downloadFinished) {
+        // the callback waits for the file contents to be flushed
+        downloadFile.on('finish', function () {
+          return cb(null, filename);
+        });
         downloadFile.end();
-        downloadFile.close();
-        return cb(null, filename);
       }
     });
   } catch (err) {
-    logger.error('Error: ' + err);
+    self.logger.error('Error: ' + err);
     return cb(err, null);
   }
   return;
 };
 
+BigML.prototype.waitFor = utils.promisify(function (resource, options,
+                                                     cb) {
+  /**
+   * Polls a resource until its status is FINISHED or FAULTY. FAULTY
+   * resources are reported as errors.
+   *
+   * Returns the last retrieved version of the resource wrapped in an object
+   * that includes
+   *   code: HTTP status code
+   *   resource: The resource/id
+   *   location: Remote location of the resource
+   *   object: The resource itself
+   *   error: An error code and message
+   *
+   * @param {string|object} resource Resource id or object
+   * @param {object} options Optional settings:
+   *                         timeout: total time to wait in milliseconds.
+   *                                  No limit is set by default
+   *                         wait: initial time between polls in milliseconds
+   *                         maxWait: maximum time between polls
+   *                         onProgress: function called with the status and
+   *                                     the result when the status code,
+   *                                     progress or elapsed time change
+   *                         signal: AbortSignal used to cancel the wait
+   * @param {function} cb Callback
+   */
+  var self = this, resourceId, reqOptions, polling, polls = 0,
+    finished = false, lastStatus = null, lastResult = null, pollTimer,
+    deadlineTimer;
+
+  if ((typeof options) === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  options = options || {};
+  if ((typeof cb) === 'undefined') {
+    cb = utils.showResult;
+  }
+  // the time between polls grows as the delays of the retry policy
+  polling = (this.retryPolicy || new RetryPolicy()).extend({
+    delay: options.wait,
+    maxDelay: options.maxWait});
+  resourceId = utils.getResource(resource);
+  reqOptions = {
+    method: 'GET',
+    resource: resourceId.resource,
+    resourceType: resourceId.type,
+    endpoint: '/' + resourceId.id
+  };
+
+  function finish(error, result) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(pollTimer);
+    clearTimeout(deadlineTimer);
+    if (options.signal) {
+      if ((typeof options.signal.removeEventListener) === 'function') {
+        options.signal.removeEventListener('abort', abort);
+      } else if ((typeof options.signal.removeListener) === 'function') {
+        options.signal.removeListener('abort', abort);
+      }
+    }
+    return cb(error, result);
+  }
+
+  function abort() {
+    return finish(new Error('The wait for ' + resourceId.resource +
+                            ' was cancelled.'), lastResult);
+  }
+
+  function poll() {
+    self.request(reqOptions, true, function (error, data, response) {
+      var status, result, wait;
+      if (finished) {
+        return;
+      }
+      if (error) {
+        return finish(error, lastResult);
+      }
+      if (response.statusCode !== constants.HTTP_OK) {
+        result = utils.makeEmptyResult('resource', response.statusCode,
+                                       'The resource couldn\'t be retrieved');
+        if (data && data.status) {
+          result.error = data;
+        }
+        return finish(errors.fromResponse(result, resourceId.resource,
+                                          response), result);
+      }
+      try {
+        result = utils.makeResult('resource', data, response);
+        status = utils.getStatus(result);
+      } catch (err) {
+        return finish(err, lastResult);
+      }
+      lastResult = result;
+      if (lastStatus === null || status.code !== lastStatus.code ||
+          status.progress !== lastStatus.progress ||
+          status.elapsed !== lastStatus.elapsed) {
+        lastStatus = status;
+        if ((typeof options.onProgress) === 'function') {
+          options.onProgress(status, result);
+        }
+      }
+      if (status.code === constants.FAULTY) {
+        return finish(errors.faultyResource(result, response), result);
+      }
+      if (status.code === constants.FINISHED) {
+        return finish(null, result);
+      }
+      polls += 1;
+      wait = polling.getDelay(polls);
+      pollTimer = setTimeout(poll, wait);
+    });
+  }
+
+  if (options.signal) {
+    if (options.signal.aborted) {
+      return abort();
+    }
+    if ((typeof options.signal.addEventListener) === 'function') {
+      options.signal.addEventListener('abort', abort);
+    } else if ((typeof options.signal.on) === 'function') {
+      options.signal.on('abort', abort);
+    }
+  }
+  if (options.timeout) {
+    deadlineTimer = setTimeout(function () {
+      finish(new Error('The resource ' + resourceId.resource +
+                       ' was not finished in ' + options.timeout + ' ms.'),
+             lastResult);
+    }, options.timeout);
+  }
+  poll();
+});
+
+BigML.prototype.storagePath = function (resourceId) {
+  /**
+   * Path of the file where a resource is stored
+   *
+   * @param {string} resourceId Resource id
+   */
+  return path.join(this.storage, resourceId.replace(/\//g, '_') + '.json');
+};
+
+BigML.prototype.getStored = function (resourceId, query, cb) {
+  /**
+   * Retrieves a resource from the storage directory. The callback receives
+   * null when the resource has not been stored using the same query.
+   *
+   * @param {string} resourceId Resource id
+   * @param {string} query Query string used to retrieve the resource
+   * @param {function} cb Callback
+   */
+  var self = this;
+  if (!this.storage) {
+    return process.nextTick(function () {
+      cb(null, null);
+    });
+  }
+  fs.readFile(this.storagePath(resourceId), 'utf8', function (error, data) {
+    var stored;
+    if (error) {
+      return cb(null, null);
+    }
+    try {
+      stored = JSON.parse(data);
+    } catch (err) {
+      self.logger.warn('Ignoring the corrupt stored resource ' + resourceId);
+      return cb(null, null);
+    }
+    return cb(null, (stored.query === (query || '')) ? stored.result : null);
+  });
+};
+
+BigML.prototype.store = function (result, query, cb) {
+  /**
+   * Saves a finished resource in the storage directory, keyed by its id.
+   * The callback receives true when the resource is saved.
+   *
+   * @param {object} result Resource wrapped in the result object
+   * @param {string} query Query string used to retrieve the resource
+   * @param {function} cb Optional callback
+   */
+  var status, self = this;
+  cb = cb || function () { return; };
+  if (!this.storage || !result || !result.resource) {
+    return process.nextTick(function () {
+      cb(null, false);
+    });
+  }
+  try {
+    status = utils.getStatus(result);
+  } catch (err) {
+    status = {};
+  }
+  if (status.code !== constants.FINISHED) {
+    return process.nextTick(function () {
+      cb(null, false);
+    });
+  }
+  fs.writeFile(this.storagePath(result.resource),
+               JSON.stringify({query: query || '', result: result}),
+               function (error) {
+      if (error) {
+        self.logger.warn('Failed to store ' + result.resource + ': ' +
+                         error);
+        return cb(null, false);
+      }
+      return cb(null, true);
+    });
+};
+
+BigML.prototype.isStored = utils.promisify(function (resourceId, query, cb) {
+  /**
+   * Checks whether a resource has been stored using the given query
+   *
+   * @param {string} resourceId Resource id
+   * @param {string} query Query string used to retrieve the resource
+   * @param {function} cb Callback
+   */
+  if ((typeof query) === 'function') {
+    cb = query;
+    query = undefined;
+  }
+  this.getStored(resourceId, query, function (error, stored) {
+    cb(null, stored !== null);
+  });
+});
+
+BigML.prototype.invalidate = utils.promisify(function (resourceId, updated,
+                                                       cb) {
+  /**
+   * Removes a resource from the storage directory. When the `updated`
+   * timestamp is given, the resource is only removed if the stored one
+   * has a different timestamp. The callback receives true when the
+   * resource is removed.
+   *
+   * @param {string} resourceId Resource id
+   * @param {string} updated Current `updated` timestamp of the resource
+   * @param {function} cb Callback
+   */
+  var filename;
+  if ((typeof updated) === 'function') {
+    cb = updated;
+    updated = undefined;
+  }
+  if (!this.storage) {
+    return process.nextTick(function () {
+      cb(null, false);
+    });
+  }
+  filename = this.storagePath(resourceId);
+  fs.readFile(filename, 'utf8', function (error, data) {
+    var stored = null;
+    if (error) {
+      return cb(null, false);
+    }
+    try {
+      stored = JSON.parse(data);
+    } catch (err) {
+      stored = null;
+    }
+    if ((typeof updated) !== 'undefined' && stored !== null &&
+        stored.result.object.updated === updated) {
+      return cb(null, false);
+    }
+    fs.unlink(filename, function (error) {
+      cb(null, !error);
+    });
+  });
+});
+
 module.exports = BigML;
@@ -46,8 +46,8 @@ Centroid.prototype = new Resource();
 
 Centroid.prototype.parent = Resource.prototype;
 
-Centroid.prototype.create = function (cluster, inputData, args,
-                                      retry, cb) {
+Centroid.prototype.create = utils.promisify(function (cluster, inputData, args,
+                                                      retry, cb) {
   /**
    * Creates a centroid and builds customized error and resource info
    *
@@ -81,10 +81,14 @@ Centroid.prototype.create = function (cluster, inputData, args,
   self.parent.create.call(self, 'centroid', ['cluster'], message,
                           resourceId.resource,
                           options.args, options.retry, options.cb);
-};
+});
 
 Centroid.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'centroid', query, cb);
+  return this.parent.list.call(this, 'centroid', query, cb);
+};
+
+Centroid.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'centroid', filter);
 };
 
 
@@ -0,0 +1,278 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+"use strict";
+
+var Resource = require('./Resource');
+var constants = require('./constants');
+var utils = require('./utils');
+var async = require('async');
+
+var CRITERIA = ['types', 'project', 'tags', 'name', 'olderThan', 'root'];
+
+
+function getOrigins(resource) {
+  /**
+   * Returns the ids of the resources a resource was created from
+   *
+   * @param {object} resource Resource information, as listed
+   */
+  var origins = [];
+  constants.ORIGIN_ATTRIBUTES.forEach(function (attribute) {
+    var value = resource[attribute];
+    if ((typeof value) === 'string') {
+      origins.push(value);
+    } else if (utils.isArray(value)) {
+      value.forEach(function (origin) {
+        if ((typeof origin) === 'string') {
+          origins.push(origin);
+        }
+      });
+    }
+  });
+  return origins;
+}
+
+
+function getFilter(criteria) {
+  /**
+   * Builds the listing filter for the selection criteria
+   *
+   * @param {object} criteria Selection criteria (see Cleanup.select)
+   */
+  var filter = {}, olderThan = criteria.olderThan;
+  if ((typeof criteria.project) !== 'undefined') {
+    filter.project = utils.getResource(criteria.project).resource;
+  }
+  if ((typeof criteria.tags) !== 'undefined') {
+    filter.tags__in = utils.isArray(criteria.tags) ? criteria.tags :
+      [criteria.tags];
+  }
+  if ((typeof criteria.name) === 'string') {
+    filter.name__contains = criteria.name;
+  }
+  if ((typeof olderThan) === 'number') {
+    olderThan = new Date(Date.now() - olderThan);
+  }
+  if ((typeof olderThan) !== 'undefined') {
+    filter.created__lt = olderThan;
+  }
+  return filter;
+}
+
+
+function listAll(resource, types, filter, cb) {
+  /**
+   * Lists all the resources of the given types that match the filter
+   *
+   * @param {object} resource Resource object used to list
+   * @param {array} types Resource types
+   * @param {object} filter Filters of the listings
+   * @param {function} cb Callback
+   */
+  async.map(types, function (type, done) {
+    var resources = [];
+    resource.iterate(type, filter)
+      .on('data', function (item) {
+        resources.push(item);
+      })
+      .on('error', done)
+      .on('end', function () {
+        done(null, resources);
+      });
+  }, function (error, lists) {
+    if (error) {
+      return cb(error, null);
+    }
+    return cb(null, [].concat.apply([], lists));
+  });
+}
+
+
+/**
+ * Cleanup: bulk deletion of the resources of a connection.
+ * @constructor
+ */
+function Cleanup(connection) {
+  /**
+   * Constructor for the cleanup of resources
+   *
+   * @param {object} connection BigML connection
+   */
+  this.connection = utils.checkConnection(connection);
+  this.resource = new Resource(this.connection);
+}
+
+Cleanup.prototype.select = utils.promisify(function (criteria, cb) {
+  /**
+   * Selects the resources to be deleted
+   *
+   * Returns the list of selected resources. When a root is given, its
+   * descendants come before the resources they were created from.
+   *
+   * @param {object} criteria Selection criteria. At least one is needed:
+   *                          types: resource type or list of types (all
+   *                                 but projects by default)
+   *                          project: project id or object
+   *                          tags: tag or list of tags. Resources with
+   *                                any of them are selected
+   *                          name: string contained in the name or
+   *                                RegExp that the name matches
+   *                          olderThan: creation date or age in
+   *                                     milliseconds
+   *                          root: resource id or object. The resource and
+   *                                all the resources created from it,
+   *                                directly or not, are selected (only
+   *                                those of the given types). Can only be
+   *                                combined with types and project
+   * @param {function} cb Callback
+   */
+  var types, allTypes, listedTypes, filter, rootId, keys;
+  criteria = criteria || {};
+  if ((typeof cb) === 'undefined') {
+    cb = utils.showResult;
+  }
+  keys = Object.keys(criteria).filter(function (key) {
+    return (typeof criteria[key]) !== 'undefined';
+  });
+  keys.forEach(function (key) {
+    if (CRITERIA.indexOf(key) < 0) {
+      throw new Error('Unknown selection criterion: ' + key + '. Only ' +
+                      CRITERIA.join(', ') + ' are accepted.');
+    }
+  });
+  if (keys.length === 0) {
+    throw new Error('At least one selection criterion is needed to' +
+                    ' delete resources.');
+  }
+  allTypes = constants.RESOURCE_TYPES.filter(function (type) {
+    return type !== 'project';
+  });
+  types = criteria.types;
+  if ((typeof types) === 'undefined') {
+    types = allTypes;
+  } else if (!utils.isArray(types)) {
+    types = [types];
+  }
+  types.forEach(function (type) {
+    if (constants.RESOURCE_TYPES.indexOf(type) < 0) {
+      throw new Error('Unknown resource type: ' + type + '.');
+    }
+  });
+  if ((typeof criteria.root) !== 'undefined') {
+    if (keys.some(function (key) {
+        return ['types', 'project', 'root'].indexOf(key) < 0;
+      })) {
+      throw new Error('The root can only be combined with the types and' +
+                      ' project criteria.');
+    }
+    rootId = utils.getResource(criteria.root).resource;
+    // the whole graph is needed to find the descendants of the root
+    listedTypes = allTypes;
+    filter = getFilter({project: criteria.project});
+  } else {
+    listedTypes = types;
+    filter = getFilter(criteria);
+  }
+
+  listAll(this.resource, listedTypes, filter, function (error, resources) {
+    var children = {}, byId = {}, seen = {}, selected = [], queue,
+      resourceId;
+    if (error) {
+      return cb(error, null);
+    }
+    if ((typeof rootId) === 'undefined') {
+      if (criteria.name instanceof RegExp) {
+        resources = resources.filter(function (resource) {
+          return criteria.name.test(resource.name || '');
+        });
+      }
+      return cb(null, resources);
+    }
+    // walking the dependency graph from the root
+    resources.forEach(function (resource) {
+      byId[resource.resource] = resource;
+      getOrigins(resource).forEach(function (origin) {
+        children[origin] = children[origin] || [];
+        children[origin].push(resource.resource);
+      });
+    });
+    queue = [rootId];
+    byId[rootId] = byId[rootId] || {resource: rootId};
+    while (queue.length > 0) {
+      resourceId = queue.shift();
+      if (!seen[resourceId]) {
+        seen[resourceId] = true;
+        selected.push(byId[resourceId]);
+        queue = queue.concat(children[resourceId] || []);
+      }
+    }
+    return cb(null, selected.reverse().filter(function (resource) {
+      return types.indexOf(utils.getResource(resource.resource).type) > -1;
+    }));
+  });
+});
+
+Cleanup.prototype.delete = utils.promisify(function (criteria, options, cb) {
+  /**
+   * Deletes the selected resources
+   *
+   * Returns the list of results for each selected resource:
+   *   resource: The resource id
+   *   deleted: true if the resource has been deleted
+   *   error: The error of the deletion, if any
+   *
+   * @param {object} criteria Selection criteria (see Cleanup.select)
+   * @param {object} options Optional settings:
+   *                         dryRun: true to only list the resources that
+   *                                 would be deleted
+   *                         concurrency: maximum number of deletions sent
+   *                                      at the same time
+   *                         retry: retry policy of the deletions
+   * @param {function} cb Callback
+   */
+  var self = this, concurrency;
+  if ((typeof options) === 'function' && (typeof cb) === 'undefined') {
+    cb = options;
+    options = undefined;
+  }
+  options = options || {};
+  if ((typeof cb) === 'undefined') {
+    cb = utils.showResult;
+  }
+  this.select(criteria, function (error, resources) {
+    if (error) {
+      return cb(error, null);
+    }
+    if (options.dryRun) {
+      return cb(null, resources.map(function (resource) {
+        return {resource: resource.resource, deleted: false, error: null};
+      }));
+    }
+    concurrency = options.concurrency ||
+      constants.DEFAULT_CLEANUP_CONCURRENCY;
+    async.mapLimit(resources, concurrency, function (resource, done) {
+      self.resource.delete(resource.resource, options.retry || false,
+                           function (error) {
+          // failed deletions don't stop the rest
+          done(null, {resource: resource.resource, deleted: !error,
+                      error: error || null});
+        });
+    }, cb);
+  });
+});
+
+module.exports = Cleanup;
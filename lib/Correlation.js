@@ -31,7 +31,8 @@ Correlation.prototype = new Resource();
 
 Correlation.prototype.parent = Resource.prototype;
 
-Correlation.prototype.create = function (dataset, args, retry, cb) {
+Correlation.prototype.create = utils.promisify(function (dataset, args, retry,
+                                                         cb) {
   /**
    * Creates a correlation and builds customized error and resource info
    *
@@ -65,10 +66,14 @@ Correlation.prototype.create = function (dataset, args, retry, cb) {
   self.parent.create.call(self, 'correlation', ['dataset'], message,
                           resourceId.resource,
                           options.args, options.retry, options.cb);
-};
+});
 
 Correlation.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'correlation', query, cb);
+  return this.parent.list.call(this, 'correlation', query, cb);
+};
+
+Correlation.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'correlation', filter);
 };
 
 
@@ -18,7 +18,6 @@
 
 var BigML = require('./BigML');
 var Resource = require('./Resource');
-var constants = require('./constants');
 var logger = require('./logger');
 var utils = require('./utils');
 var async = require('async');
@@ -50,7 +49,8 @@ Dataset.prototype = new Resource();
 
 Dataset.prototype.parent = Resource.prototype;
 
-Dataset.prototype.create = function (originResource, args, retry, cb) {
+Dataset.prototype.create = utils.promisify(function (originResource, args,
+                                                     retry, cb) {
   /**
    * Creates a dataset and builds customized error and resource info
    *
@@ -86,92 +86,78 @@ Dataset.prototype.create = function (originResource, args, retry, cb) {
       endpoint: '/'
     };
 
-  if (arguments.length > 0) {
-    // multidatasets 
-    datasetsArray = utils.isArray(originResource);
-
-    resource = (datasetsArray) ? originResource[0] : originResource;
-    resourceId = utils.getResource(resource);
-    options = utils.optionalCUParams(arguments, message);
-
-    if (datasetsArray && resourceId.type === 'dataset') {
-      // multidatasets
-      resources = originResource;
-      options.args['origin_datasets'] = originResource;
-    } else if (resourceId.type === 'dataset') {
-      // new dataset from dataset
-      resources = [originResource];
-      options.args['origin_dataset'] = resourceId.resource;
-    } else if (resourceId.type === 'source') {
-      // new dataset form source
-      resources = [originResource];
-      options.args.source = resourceId.resource;
-    } else if (resourceId.type === 'cluster') {
-      // new dataset from cluster and centroid
-      resources = [originResource];
-      options.args.cluster = resourceId.resource;
-    } else {
-      throw new Error(message);
-    }
-    options = utils.setRetries(options);
-    options.type = reqOptions.resourceType;
-    options.operation = 'create';
-    this.resources = resources;
-    this.options = options;
+  // multidatasets 
+  datasetsArray = utils.isArray(originResource);
+
+  resource = (datasetsArray) ? originResource[0] : originResource;
+  resourceId = utils.getResource(resource);
+  options = utils.optionalCUParams(arguments, message);
+
+  if (datasetsArray && resourceId.type === 'dataset') {
+    // multidatasets
+    resources = originResource;
+    options.args['origin_datasets'] = originResource;
+  } else if (resourceId.type === 'dataset') {
+    // new dataset from dataset
+    resources = [originResource];
+    options.args['origin_dataset'] = resourceId.resource;
+  } else if (resourceId.type === 'source') {
+    // new dataset form source
+    resources = [originResource];
+    options.args.source = resourceId.resource;
+  } else if (resourceId.type === 'cluster') {
+    // new dataset from cluster and centroid
+    resources = [originResource];
+    options.args.cluster = resourceId.resource;
   } else {
-    if (!this.options || !this.resources) {
-      logger.error("Create has been called with no parameters.");
-      return;
-    }
-    options = this.options;
-    datasetsArray = this.resources.length > 1;
-    resource = this.resources[0];
-    resources = this.resources;
-    resourceId = utils.getResource(resource);
+    throw new Error(message);
   }
+  options = utils.setRetries(options, this.connection);
+  options.type = reqOptions.resourceType;
+  options.operation = 'create';
   reqOptions.body = options.args;
   sendRequest = utils.makeSendRequest(self, reqOptions, options);
-  // The origin resources must be retrieved in a finished state before 
-  // create starts. This is only done when create is called by the user, not
-  // internally to retry creation.
-  if (arguments.length > 0) {
-    async.each(resources, function (resource, done) {
-      var id = utils.getResource(resource);
-      new Resource(self.connection).get(id.resource, true,
-        function (error, finishedResource) {
-          // Checking centroid id or assigning first one available
-          var datasets, centroid;
-          if (resourceId.type === 'cluster' &&
-              !centroidInCluster(self.options.args.centroid,
-                                 finishedResource)) {
-            try {
-              datasets = finishedResource.object['cluster_datasets'];
-              centroid = Object.getOwnPropertyNames(datasets)[0];
-              self.options.args.centroid = centroid;
-              reqOptions.body = self.options.args;
-            } catch (err) {
-              throw new Error("Failed to generate the dataset. A " +
-                              "centroid id is needed in the args " +
-                              "argument to generate a dataset from " +
-                              "a cluster.");
-            }
+  // The origin resources must be retrieved in a finished state before
+  // create starts. Retries only send the creation request again.
+  async.each(resources, function (resource, done) {
+    var id = utils.getResource(resource);
+    new Resource(self.connection).get(id.resource, true,
+      function (error, finishedResource) {
+        // Checking centroid id or assigning first one available
+        var datasets, centroid;
+        if (resourceId.type === 'cluster' &&
+            !centroidInCluster(options.args.centroid,
+                               finishedResource)) {
+          try {
+            datasets = finishedResource.object['cluster_datasets'];
+            centroid = Object.getOwnPropertyNames(datasets)[0];
+            options.args.centroid = centroid;
+            reqOptions.body = options.args;
+          } catch (err) {
+            throw new Error("Failed to generate the dataset. A " +
+                            "centroid id is needed in the args " +
+                            "argument to generate a dataset from " +
+                            "a cluster.");
           }
-          done();
-        });
-    },
-      sendRequest);
-  } else {
-    sendRequest(null);
-  }
-};
+        }
+        done();
+      });
+  },
+    sendRequest);
+});
 
 
 Dataset.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'dataset', query, cb);
+  return this.parent.list.call(this, 'dataset', query, cb);
 };
 
+Dataset.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'dataset', filter);
+};
 
-Dataset.prototype.download = function (resource, filename, cb) {
+
+Dataset.prototype.download = utils.promisify(function (resource, filename,
+                                                       cb) {
   /**
    * Downloads the dataset as a CSV exported file.
    *
@@ -185,18 +171,18 @@ Dataset.prototype.download = function (resource, filename, cb) {
     reqOptions = {
       resourceType: resourceId.type,
       endpoint: '/' + resourceId.id
-    },
-    retry = {
-      retries: constants.DEFAULT_BIGML_RETRIES,
-      wait: constants.DEFAULT_BIGML_WAIT,
-      retriesLeft: constants.DEFAULT_BIGML_RETRIES
     };
+  if ((typeof filename) === 'function' && (typeof cb) === 'undefined') {
+    cb = filename;
+    filename = undefined;
+  }
   if ((typeof cb) === 'undefined') {
     cb = utils.showResult;
   }
-  // Some retries are needed till the file is generated
-  return this.connection.download(reqOptions, filename, retry, cb);
-};
+  // Some retries are needed till the file is generated. They follow the
+  // retry policy of the connection
+  return this.connection.download(reqOptions, filename, true, cb);
+});
 
 
 module.exports = Dataset;
@@ -31,8 +31,9 @@ Evaluation.prototype = new Resource();
 
 Evaluation.prototype.parent = Resource.prototype;
 
-Evaluation.prototype.create = function (modelOrEnsemble,
-                                        dataset, args, retry, cb) {
+Evaluation.prototype.create = utils.promisify(function (modelOrEnsemble,
+                                                        dataset, args, retry,
+                                                        cb) {
   /**
    * Creates an evaluation and builds customized error and resource info
    *
@@ -67,43 +68,37 @@ Evaluation.prototype.create = function (modelOrEnsemble,
       endpoint: '/'
     };
 
-  if (arguments.length > 0) {
-    resourceId = utils.getResource(modelOrEnsemble);
-    datasetId = utils.getResource(dataset);
-    options = utils.optionalCUParams([].slice.call(arguments, 1), message);
+  resourceId = utils.getResource(modelOrEnsemble);
+  datasetId = utils.getResource(dataset);
+  options = utils.optionalCUParams([].slice.call(arguments, 1), message);
 
-    options.args.dataset = datasetId.resource;
-    if (origins.indexOf(resourceId.type) > -1) {
-      options.args[resourceId.type] = resourceId.resource;
-    } else {
-      throw new Error(message);
-    }
-    options = utils.setRetries(options);
-    options.type = reqOptions.resourceType;
-    options.operation = 'create';
-    this.options = options;
+  options.args.dataset = datasetId.resource;
+  if (origins.indexOf(resourceId.type) > -1) {
+    options.args[resourceId.type] = resourceId.resource;
   } else {
-    options = this.options;
+    throw new Error(message);
   }
+  options = utils.setRetries(options, this.connection);
+  options.type = reqOptions.resourceType;
+  options.operation = 'create';
   reqOptions.body = options.args;
   sendRequest = utils.makeSendRequest(self, reqOptions, options);
   // The origin resource must be retrieved in a finished state before
-  // create starts. This is only done when create is called by the user, not
-  // internally to retry creation.
+  // create starts. Retries only send the creation request again.
 
-  if (arguments.length > 0) {
-    resources = [datasetId.resource, resourceId.resource];
-    async.each(resources, function (resource, done) {
-      new Resource(self.connection).get(resource, true, done);
-    },
-      sendRequest);
-  } else {
-    sendRequest(null);
-  }
-};
+  resources = [datasetId.resource, resourceId.resource];
+  async.each(resources, function (resource, done) {
+    new Resource(self.connection).get(resource, true, done);
+  },
+    sendRequest);
+});
 
 Evaluation.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'evaluation', query, cb);
+  return this.parent.list.call(this, 'evaluation', query, cb);
+};
+
+Evaluation.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'evaluation', filter);
 };
 
 
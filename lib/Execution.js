@@ -31,7 +31,8 @@ Execution.prototype = new Resource();
 
 Execution.prototype.parent = Resource.prototype;
 
-Execution.prototype.create = function (originResource, args, retry, cb) {
+Execution.prototype.create = utils.promisify(function (originResource, args,
+                                                       retry, cb) {
   /**
    * Creates a whizzml script execution and builds
    * customized error and resource info
@@ -68,60 +69,45 @@ Execution.prototype.create = function (originResource, args, retry, cb) {
       endpoint: '/'
     };
 
-  if (arguments.length > 0) {
+  // piped scripts
+  scriptsArray = utils.isArray(originResource);
+
+  resource = (scriptsArray) ? originResource[0] : originResource;
+  resourceId = utils.getResource(resource);
+  options = utils.optionalCUParams(arguments, message);
+
+  if (scriptsArray && resourceId.type === 'script') {
     // piped scripts
-    scriptsArray = utils.isArray(originResource);
-
-    resource = (scriptsArray) ? originResource[0] : originResource;
-    resourceId = utils.getResource(resource);
-    options = utils.optionalCUParams(arguments, message);
-
-    if (scriptsArray && resourceId.type === 'script') {
-      // piped scripts
-      resources = originResource;
-      options.args['scripts'] = originResource;
-    } else if (resourceId.type === 'script') {
-      // new execution from script
-      resources = [originResource];
-      options.args['script'] = resourceId.resource;
-    } else {
-      throw new Error(message);
-    }
-    options = utils.setRetries(options);
-    options.type = reqOptions.resourceType;
-    options.operation = 'create';
-    this.resources = resources;
-    this.options = options;
+    resources = originResource;
+    options.args['scripts'] = originResource;
+  } else if (resourceId.type === 'script') {
+    // new execution from script
+    resources = [originResource];
+    options.args['script'] = resourceId.resource;
   } else {
-    if (!this.options || !this.resources) {
-      logger.error("Create has been called with no parameters.");
-      return;
-    }
-    options = this.options;
-    datasetsArray = this.resources.length > 1;
-    resource = this.resources[0];
-    resources = this.resources;
-    resourceId = utils.getResource(resource);
+    throw new Error(message);
   }
+  options = utils.setRetries(options, this.connection);
+  options.type = reqOptions.resourceType;
+  options.operation = 'create';
   reqOptions.body = options.args;
 
   sendRequest = utils.makeSendRequest(self, reqOptions, options);
   // The origin resources must be retrieved in a finished state before
-  // create starts. This is only done when create is called by the user, not
-  // internally to retry creation.
-  if (arguments.length > 0) {
-    async.each(resources, function (resource, done) {
-      var id = utils.getResource(resource);
-      new Resource(self.connection).get(id.resource, true, done);
-    },
-      sendRequest);
-  } else {
-    sendRequest(null);
-  }
-};
+  // create starts. Retries only send the creation request again.
+  async.each(resources, function (resource, done) {
+    var id = utils.getResource(resource);
+    new Resource(self.connection).get(id.resource, true, done);
+  },
+    sendRequest);
+});
 
 Execution.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'execution', query, cb);
+  return this.parent.list.call(this, 'execution', query, cb);
+};
+
+Execution.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'execution', filter);
 };
 
 
@@ -0,0 +1,575 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+"use strict";
+
+var stream = require('stream');
+var constants = require('./constants');
+
+// any prefix (API version, dev mode) is accepted before the resource type
+var PATH_RE = new RegExp('^(?:[a-z]+://[^/]*)?((?:/[^/]+)*?)/([a-z]+)' +
+                         '(?:/([a-f0-9]{24}))?(/download)?/?$');
+var RESERVED_PARAMS = ['username', 'api_key', 'organization', 'limit',
+                       'offset', 'order_by', 'full'];
+var DEFAULT_LIMIT = 20;
+var STATUS_MESSAGES = {};
+STATUS_MESSAGES[constants.WAITING] = 'The resource is waiting for another' +
+  ' resource to finish';
+STATUS_MESSAGES[constants.QUEUED] = 'The resource creation has been queued';
+STATUS_MESSAGES[constants.STARTED] = 'The resource creation has started';
+STATUS_MESSAGES[constants.IN_PROGRESS] = 'The resource is being processed';
+STATUS_MESSAGES[constants.SUMMARIZED] = 'The resource has been summarized';
+STATUS_MESSAGES[constants.FINISHED] = 'The resource has been created';
+STATUS_MESSAGES[constants.FAULTY] = 'The resource creation failed';
+
+
+function errorBody(code, message) {
+  /**
+   * Builds the body of an error response
+   *
+   * @param {integer} code HTTP status code
+   * @param {string} message Error message
+   */
+  return {code: code, status: {code: code, message: message}};
+}
+
+
+function parseQuery(query) {
+  /**
+   * Builds an object from the key=value pairs in a query string. Both `;`
+   * and `&` are accepted as separators.
+   *
+   * @param {string} query Query string
+   */
+  var params = {}, pairs, index, pair;
+  if (!query) {
+    return params;
+  }
+  pairs = query.split(/[;&]/);
+  for (index = 0; index < pairs.length; index++) {
+    if (pairs[index] !== '') {
+      pair = pairs[index].split('=');
+      params[decodeURIComponent(pair[0])] = decodeURIComponent(
+        pair.slice(1).join('='));
+    }
+  }
+  return params;
+}
+
+
+function parseMultipart(body, contentType) {
+  /**
+   * Extracts the fields in a multipart/form-data body. Uploaded files are
+   * stored as {filename: name, content: text}.
+   *
+   * @param {string} body Request body
+   * @param {string} contentType Content-Type header of the request
+   */
+  var fields = {}, boundary, parts, index, part, headerEnd, headers, name,
+    filename, content;
+  boundary = /boundary=(.+)$/.exec(contentType);
+  if (boundary === null) {
+    return fields;
+  }
+  parts = body.split('--' + boundary[1]);
+  for (index = 0; index < parts.length; index++) {
+    part = parts[index];
+    headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd > -1) {
+      headers = part.substring(0, headerEnd);
+      // the part content ends with the line break before the next boundary
+      content = part.substring(headerEnd + 4, part.length - 2);
+      name = /name="([^"]*)"/.exec(headers);
+      filename = /filename="([^"]*)"/.exec(headers);
+      if (name !== null) {
+        if (filename !== null) {
+          fields[name[1]] = {filename: filename[1], content: content};
+        } else {
+          fields[name[1]] = content;
+        }
+      }
+    }
+  }
+  return fields;
+}
+
+
+function matchesFilter(object, key, value) {
+  /**
+   * Checks whether an attribute of the resource matches a filter. Besides
+   * equality, the __contains, __icontains, __in, __gt, __gte, __lt and
+   * __lte operators are accepted. List attributes, like tags, match when
+   * one of their elements matches.
+   *
+   * @param {object} object The resource information
+   * @param {string} key Filter name: attribute and optional operator
+   * @param {string} value Filter value
+   */
+  var parts = key.split('__'), operator = parts[1],
+    attribute = object[parts[0]], number = parseFloat(value);
+  if ((typeof attribute) === 'undefined' || attribute === null) {
+    return false;
+  }
+  if (Array.isArray(attribute)) {
+    return attribute.some(function (element) {
+      var item = {};
+      item[parts[0]] = element;
+      return matchesFilter(item, key, value);
+    });
+  }
+  if (operator === 'in') {
+    return value.split(',').indexOf(String(attribute)) > -1;
+  }
+  if ((typeof attribute) === 'number' && !isNaN(number)) {
+    value = number;
+  } else {
+    attribute = String(attribute);
+  }
+  if ((typeof operator) === 'undefined') {
+    return attribute === value;
+  }
+  switch (operator) {
+  case 'contains':
+    return attribute.indexOf(value) > -1;
+  case 'icontains':
+    return attribute.toLowerCase().indexOf(value.toLowerCase()) > -1;
+  case 'gt':
+    return attribute > value;
+  case 'gte':
+    return attribute >= value;
+  case 'lt':
+    return attribute < value;
+  case 'lte':
+    return attribute <= value;
+  }
+  return false;
+}
+
+
+function merge(target, changes) {
+  /**
+   * Updates the target object with the changes. Nested objects are merged,
+   * as BigML does with updates of the fields structure.
+   *
+   * @param {object} target Object to be updated
+   * @param {object} changes New values
+   */
+  var key, value;
+  for (key in changes) {
+    if (changes.hasOwnProperty(key)) {
+      value = changes[key];
+      if (value !== null && (typeof value) === 'object' &&
+          !Array.isArray(value) && target[key] !== null &&
+          (typeof target[key]) === 'object' && !Array.isArray(target[key])) {
+        merge(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    }
+  }
+  return target;
+}
+
+
+function compareBy(field) {
+  /**
+   * Builds the sorting function for the order_by parameter
+   *
+   * @param {string} field Name of the attribute. A leading `-` sorts in
+   *                       descending order
+   */
+  var sign = 1;
+  if (field.charAt(0) === '-') {
+    sign = -1;
+    field = field.substring(1);
+  }
+  return function (a, b) {
+    if (a[field] < b[field]) {
+      return -sign;
+    }
+    if (a[field] > b[field]) {
+      return sign;
+    }
+    return 0;
+  };
+}
+
+
+/**
+ * FakeServer: in-memory replacement for the BigML API.
+ * @constructor
+ */
+function FakeServer(options) {
+  /**
+   * Constructor for the in-memory server. Its `transport` attribute
+   * can be used as the transport of a BigML connection, so that no
+   * request reaches the network:
+   *
+   *   server = new FakeServer();
+   *   connection = new BigML(username, apiKey, false,
+   *                          {transport: server.transport});
+   *
+   * @param {object} options Optional settings:
+   *                         statusSteps: list of status codes that a new
+   *                                      resource goes through, one per
+   *                                      GET request
+   *                         username, apiKey: credentials to be checked
+   *                                           in every request
+   */
+  var self = this;
+  options = options || {};
+  this.statusSteps = options.statusSteps || [constants.QUEUED,
+                                             constants.IN_PROGRESS,
+                                             constants.FINISHED];
+  this.username = options.username;
+  this.apiKey = options.apiKey;
+  this.resources = {};
+  this.steps = {};
+  this.downloads = {};
+  this.order = [];
+  this.counter = 0;
+  this.transport = function (reqOptions, cb) {
+    return self.request(reqOptions, cb);
+  };
+}
+
+FakeServer.prototype.newId = function (type) {
+  /**
+   * Builds a new resource id for the given type
+   *
+   * @param {string} type Type of resource
+   */
+  var id;
+  this.counter += 1;
+  id = '000000000000000000000000' + this.counter.toString(16);
+  return type + '/' + id.substring(id.length - 24);
+};
+
+FakeServer.prototype.addResource = function (object, download) {
+  /**
+   * Stores an existing resource in the server. Its status is not changed
+   * by later GET requests.
+   *
+   * @param {object} object The resource information. Its `resource`
+   *                        attribute must be a valid resource id
+   * @param {string} download Contents returned when the resource is
+   *                          downloaded
+   */
+  this.resources[object.resource] = object;
+  this.steps[object.resource] = this.statusSteps.length - 1;
+  this.order.push(object.resource);
+  if ((typeof download) !== 'undefined') {
+    this.downloads[object.resource] = download;
+  }
+  return object;
+};
+
+FakeServer.prototype.setStatus = function (resourceId, code) {
+  /**
+   * Changes the status of a stored resource. The status won't be changed
+   * by later GET requests.
+   *
+   * @param {string} resourceId Resource id
+   * @param {integer} code Status code
+   */
+  var object = this.resources[resourceId];
+  object.status = {code: code, message: STATUS_MESSAGES[code] || ''};
+  this.steps[resourceId] = this.statusSteps.length - 1;
+  return object;
+};
+
+FakeServer.prototype.create = function (type, args) {
+  /**
+   * Creates a new resource using the given arguments
+   *
+   * @param {string} type Type of resource
+   * @param {object} args Arguments of the creation request
+   */
+  var object = {}, key, now = new Date().toISOString(), code, origin;
+  for (key in args) {
+    if (args.hasOwnProperty(key)) {
+      origin = args[key];
+      if (constants.RESOURCE_TYPES.indexOf(key) > -1 &&
+          (typeof origin) === 'string' &&
+          (typeof this.resources[origin]) === 'undefined') {
+        return [constants.HTTP_BAD_REQUEST,
+                errorBody(constants.HTTP_BAD_REQUEST,
+                          'The resource ' + origin + ' does not exist')];
+      }
+      object[key] = args[key];
+    }
+  }
+  code = this.statusSteps[0];
+  object.resource = this.newId(type);
+  object.name = object.name || type;
+  object.created = now;
+  object.updated = now;
+  object.status = {code: code, message: STATUS_MESSAGES[code] || ''};
+  this.resources[object.resource] = object;
+  this.steps[object.resource] = 0;
+  this.order.push(object.resource);
+  return [constants.HTTP_CREATED, object];
+};
+
+FakeServer.prototype.get = function (resourceId) {
+  /**
+   * Retrieves a resource and moves its status to the next step
+   *
+   * @param {string} resourceId Resource id
+   */
+  var object = this.resources[resourceId], step, code;
+  if ((typeof object) === 'undefined') {
+    return [constants.HTTP_NOT_FOUND,
+            errorBody(constants.HTTP_NOT_FOUND, 'Not found')];
+  }
+  step = this.steps[resourceId];
+  if (step < this.statusSteps.length - 1) {
+    step += 1;
+    this.steps[resourceId] = step;
+    code = this.statusSteps[step];
+    object.status = {code: code, message: STATUS_MESSAGES[code] || ''};
+  }
+  return [constants.HTTP_OK, object];
+};
+
+FakeServer.prototype.update = function (resourceId, args) {
+  /**
+   * Updates a resource with the given arguments
+   *
+   * @param {string} resourceId Resource id
+   * @param {object} args Arguments of the update request
+   */
+  var object = this.resources[resourceId];
+  if ((typeof object) === 'undefined') {
+    return [constants.HTTP_NOT_FOUND,
+            errorBody(constants.HTTP_NOT_FOUND, 'Not found')];
+  }
+  merge(object, args);
+  object.updated = new Date().toISOString();
+  return [constants.HTTP_ACCEPTED, object];
+};
+
+FakeServer.prototype.delete = function (resourceId) {
+  /**
+   * Deletes a resource
+   *
+   * @param {string} resourceId Resource id
+   */
+  if ((typeof this.resources[resourceId]) === 'undefined') {
+    return [constants.HTTP_NOT_FOUND,
+            errorBody(constants.HTTP_NOT_FOUND, 'Not found')];
+  }
+  delete this.resources[resourceId];
+  delete this.steps[resourceId];
+  delete this.downloads[resourceId];
+  this.order.splice(this.order.indexOf(resourceId), 1);
+  return [constants.HTTP_NO_CONTENT, null];
+};
+
+FakeServer.prototype.list = function (type, params, prefix) {
+  /**
+   * Lists the resources of a type. Newest resources come first unless
+   * an order_by parameter is given. The rest of parameters are used as
+   * filters.
+   *
+   * @param {string} type Type of resource
+   * @param {object} params Query parameters
+   * @param {string} prefix Path prefix of the listing URL ('/andromeda' by
+   *                        default)
+   */
+  var objects = [], index, object, key, matches, limit, offset, total,
+    path;
+  if ((typeof prefix) !== 'string') {
+    prefix = '/' + constants.BIGML_API_VERSION;
+  }
+  path = prefix + '/' + type + '?';
+  for (index = this.order.length - 1; index >= 0; index--) {
+    object = this.resources[this.order[index]];
+    if (object.resource.indexOf(type + '/') === 0) {
+      matches = true;
+      for (key in params) {
+        if (params.hasOwnProperty(key) &&
+            RESERVED_PARAMS.indexOf(key) < 0 &&
+            !matchesFilter(object, key, params[key])) {
+          matches = false;
+        }
+      }
+      if (matches) {
+        objects.push(object);
+      }
+    }
+  }
+  if (params.order_by) {
+    objects.sort(compareBy(params.order_by));
+  }
+  total = objects.length;
+  limit = params.limit ? parseInt(params.limit, 10) : DEFAULT_LIMIT;
+  offset = params.offset ? parseInt(params.offset, 10) : 0;
+  if (limit > -1) {
+    objects = objects.slice(offset, offset + limit);
+  } else {
+    objects = objects.slice(offset);
+  }
+  return [constants.HTTP_OK, {
+    meta: {
+      limit: limit,
+      offset: offset,
+      total_count: total,
+      next: (limit > -1 && offset + limit < total) ?
+        path + 'limit=' + limit + ';offset=' + (offset + limit) : null,
+      previous: (offset > 0) ?
+        path + 'limit=' + limit + ';offset=' +
+        Math.max(0, offset - limit) : null
+    },
+    objects: objects
+  }];
+};
+
+FakeServer.prototype.dispatch = function (reqOptions, body) {
+  /**
+   * Computes the status code and contents of the response to a request
+   *
+   * @param {object} reqOptions Request options: method, uri and headers
+   * @param {string} body Request body
+   */
+  var uriParts = reqOptions.uri.split('?'), match, params, type, resourceId,
+    method = (reqOptions.method || 'GET').toUpperCase(), args = {},
+    contentType = '', header;
+
+  match = PATH_RE.exec(uriParts[0]);
+  params = parseQuery(uriParts.slice(1).join('?'));
+  if ((typeof this.apiKey) !== 'undefined' &&
+      (params.username !== this.username || params.api_key !== this.apiKey)) {
+    return [constants.HTTP_UNAUTHORIZED,
+            errorBody(constants.HTTP_UNAUTHORIZED, 'Unauthorized')];
+  }
+  if (match === null || constants.RESOURCE_TYPES.indexOf(match[2]) < 0) {
+    return [constants.HTTP_NOT_FOUND,
+            errorBody(constants.HTTP_NOT_FOUND, 'Not found')];
+  }
+  type = match[2];
+  if ((typeof match[3]) !== 'undefined') {
+    resourceId = type + '/' + match[3];
+  }
+  for (header in reqOptions.headers) {
+    if (reqOptions.headers.hasOwnProperty(header) &&
+        header.toLowerCase() === 'content-type') {
+      contentType = reqOptions.headers[header];
+    }
+  }
+  if (body) {
+    if (contentType.indexOf('multipart/form-data') === 0) {
+      args = parseMultipart(body, contentType);
+      if ((typeof args.file) === 'object') {
+        args.file_name = args.file.filename;
+        delete args.file;
+      }
+    } else {
+      try {
+        args = JSON.parse(body);
+      } catch (err) {
+        return [constants.HTTP_BAD_REQUEST,
+                errorBody(constants.HTTP_BAD_REQUEST, 'Wrong JSON body')];
+      }
+    }
+  }
+
+  if ((typeof resourceId) === 'undefined') {
+    if (method === 'POST') {
+      return this.create(type, args);
+    }
+    if (method === 'GET') {
+      return this.list(type, params, match[1]);
+    }
+  } else if (match[4]) {
+    if (method === 'GET') {
+      if ((typeof this.downloads[resourceId]) === 'undefined') {
+        return [constants.HTTP_NOT_FOUND,
+                errorBody(constants.HTTP_NOT_FOUND, 'Not found')];
+      }
+      return [constants.HTTP_OK, this.downloads[resourceId]];
+    }
+  } else {
+    switch (method) {
+    case 'GET':
+      return this.get(resourceId);
+    case 'PUT':
+      return this.update(resourceId, args);
+    case 'DELETE':
+      return this.delete(resourceId);
+    }
+  }
+  return [constants.HTTP_METHOD_NOT_ALLOWED,
+          errorBody(constants.HTTP_METHOD_NOT_ALLOWED, 'Method not allowed')];
+};
+
+FakeServer.prototype.request = function (reqOptions, cb) {
+  /**
+   * Answers a request following the `request` library interface. The
+   * returned stream accepts the uploaded contents when the request is a
+   * multipart upload and emits the response body otherwise.
+   *
+   * @param {object} reqOptions Request options: method, uri, headers and body
+   * @param {function} cb Callback called with (error, response, body)
+   */
+  var self = this, req, chunks = [], multipart = false, header;
+
+  function respond(body) {
+    var answer = self.dispatch(reqOptions, body),
+      text = ((typeof answer[1]) === 'string' || answer[1] === null) ?
+        answer[1] : JSON.stringify(answer[1]),
+      response = {
+        statusCode: answer[0],
+        headers: {},
+        request: {uri: {href: reqOptions.uri}},
+        body: text
+      };
+    if (req instanceof stream.PassThrough) {
+      req.emit('response', response);
+      req.end(text || undefined);
+    }
+    if ((typeof cb) === 'function') {
+      cb(null, response, text);
+    }
+  }
+
+  for (header in reqOptions.headers) {
+    if (reqOptions.headers.hasOwnProperty(header) &&
+        header.toLowerCase() === 'content-type' &&
+        reqOptions.headers[header].indexOf('multipart/form-data') === 0) {
+      multipart = true;
+    }
+  }
+  if (multipart) {
+    req = new stream.Writable();
+    req._write = function (chunk, encoding, done) {
+      chunks.push(chunk);
+      done();
+    };
+    req.on('finish', function () {
+      respond(Buffer.concat(chunks).toString());
+    });
+  } else {
+    req = new stream.PassThrough();
+    setImmediate(function () {
+      respond(reqOptions.body);
+    });
+  }
+  return req;
+};
+
+
+module.exports = FakeServer;
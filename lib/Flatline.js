@@ -0,0 +1,660 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+"use strict";
+
+var NODEJS = ((typeof module !== 'undefined') && module.exports);
+var PATH = (NODEJS) ? "./" : "";
+
+var utils = require(PATH + 'utils');
+
+
+/**
+ * Symbol: name of a function or variable in a Flatline expression.
+ * @constructor
+ */
+function FlatlineSymbol(name) {
+  this.name = name;
+}
+
+
+function tokenize(expression) {
+  /**
+   * Splits a Flatline expression into parenthesis, strings and atoms
+   *
+   * @param {string} expression Flatline expression
+   */
+  var tokens = [], index = 0, length = expression.length, character, start,
+    value;
+  while (index < length) {
+    character = expression.charAt(index);
+    if (/\s|,/.test(character)) {
+      index += 1;
+    } else if (character === '(' || character === ')') {
+      tokens.push(character);
+      index += 1;
+    } else if (character === '"') {
+      value = '';
+      index += 1;
+      while (index < length && expression.charAt(index) !== '"') {
+        if (expression.charAt(index) === '\\') {
+          index += 1;
+        }
+        value += expression.charAt(index);
+        index += 1;
+      }
+      if (index >= length) {
+        throw new Error('Unterminated string in Flatline expression: ' +
+                        expression);
+      }
+      tokens.push({string: value});
+      index += 1;
+    } else {
+      start = index;
+      while (index < length && !/[\s,()"]/.test(expression.charAt(index))) {
+        index += 1;
+      }
+      tokens.push(expression.substring(start, index));
+    }
+  }
+  return tokens;
+}
+
+
+function readAtom(token) {
+  /**
+   * Builds the value of an atom: number, string, boolean, nil or symbol
+   *
+   * @param {string|object} token Atom token
+   */
+  if ((typeof token) === 'object') {
+    return token.string;
+  }
+  if (/^[+\-]?(\d+\.?\d*|\.\d+)([eE][+\-]?\d+)?$/.test(token)) {
+    return parseFloat(token);
+  }
+  switch (token) {
+  case 'true':
+    return true;
+  case 'false':
+    return false;
+  case 'nil':
+    return null;
+  }
+  return new FlatlineSymbol(token);
+}
+
+
+function parse(expression) {
+  /**
+   * Builds the syntax tree of a Flatline expression. Lists are stored as
+   * arrays, symbols as FlatlineSymbol objects and the rest of atoms as
+   * their values.
+   *
+   * @param {string} expression Flatline expression
+   */
+  var tokens = tokenize(expression), position = 0, tree;
+  function read() {
+    var token = tokens[position], list;
+    if ((typeof token) === 'undefined') {
+      throw new Error('Unexpected end of Flatline expression: ' + expression);
+    }
+    position += 1;
+    if (token === '(') {
+      list = [];
+      while (tokens[position] !== ')') {
+        if (position >= tokens.length) {
+          throw new Error('Missing closing parenthesis in Flatline' +
+                          ' expression: ' + expression);
+        }
+        list.push(read());
+      }
+      position += 1;
+      return list;
+    }
+    if (token === ')') {
+      throw new Error('Unexpected closing parenthesis in Flatline' +
+                      ' expression: ' + expression);
+    }
+    return readAtom(token);
+  }
+  tree = read();
+  if (position < tokens.length) {
+    throw new Error('Only one expression is allowed: ' + expression);
+  }
+  return tree;
+}
+
+
+function isMissing(value) {
+  return (typeof value) === 'undefined' || value === null;
+}
+
+
+function anyMissing(values) {
+  var index;
+  for (index = 0; index < values.length; index++) {
+    if (isMissing(values[index])) {
+      return true;
+    }
+  }
+  return false;
+}
+
+
+function truthy(value) {
+  return !isMissing(value) && value !== false;
+}
+
+
+function numeric(operation) {
+  /**
+   * Builds a function on numbers that returns nil when any argument is
+   * missing
+   *
+   * @param {function} operation Function on the numeric arguments
+   */
+  return function (args) {
+    var index;
+    if (anyMissing(args)) {
+      return null;
+    }
+    for (index = 0; index < args.length; index++) {
+      if ((typeof args[index]) !== 'number') {
+        throw new Error('Numeric argument expected: ' + args[index]);
+      }
+    }
+    return operation.apply(null, args);
+  };
+}
+
+
+function strings(operation) {
+  /**
+   * Builds a function on strings that returns nil when any argument is
+   * missing
+   *
+   * @param {function} operation Function on the arguments
+   */
+  return function (args) {
+    if (anyMissing(args)) {
+      return null;
+    }
+    if ((typeof args[0]) !== 'string') {
+      throw new Error('String argument expected: ' + args[0]);
+    }
+    return operation.apply(null, args);
+  };
+}
+
+
+function epochPart(part) {
+  /**
+   * Builds a function that extracts a part of the UTC date given as
+   * milliseconds since the epoch
+   *
+   * @param {function} part Function that extracts the part from a Date
+   */
+  return numeric(function (milliseconds) {
+    return part(new Date(milliseconds));
+  });
+}
+
+
+function comparison(compare) {
+  /**
+   * Builds a comparison function that checks every pair of consecutive
+   * arguments. Comparisons with missing values are false.
+   *
+   * @param {function} compare Comparison of two values
+   */
+  return function (args) {
+    var index;
+    if (anyMissing(args)) {
+      return false;
+    }
+    for (index = 1; index < args.length; index++) {
+      if (!compare(args[index - 1], args[index])) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
+
+
+// Functions whose arguments are evaluated before being called
+var FUNCTIONS = {
+  '+': numeric(function () {
+    var index, total = 0;
+    for (index = 0; index < arguments.length; index++) {
+      total += arguments[index];
+    }
+    return total;
+  }),
+  '-': numeric(function () {
+    var index, total = arguments[0];
+    if (arguments.length === 1) {
+      return -total;
+    }
+    for (index = 1; index < arguments.length; index++) {
+      total -= arguments[index];
+    }
+    return total;
+  }),
+  '*': numeric(function () {
+    var index, total = 1;
+    for (index = 0; index < arguments.length; index++) {
+      total *= arguments[index];
+    }
+    return total;
+  }),
+  '/': numeric(function () {
+    var index, total = arguments[0];
+    if (arguments.length === 1) {
+      return 1 / total;
+    }
+    for (index = 1; index < arguments.length; index++) {
+      if (arguments[index] === 0) {
+        return null;
+      }
+      total /= arguments[index];
+    }
+    return total;
+  }),
+  'abs': numeric(Math.abs),
+  'max': numeric(Math.max),
+  'min': numeric(Math.min),
+  'mod': numeric(function (dividend, divisor) {
+    if (divisor === 0) {
+      return null;
+    }
+    return dividend - divisor * Math.floor(dividend / divisor);
+  }),
+  'pow': numeric(Math.pow),
+  'sqrt': numeric(function (number) {
+    return (number < 0) ? null : Math.sqrt(number);
+  }),
+  'exp': numeric(Math.exp),
+  'ln': numeric(function (number) {
+    return (number <= 0) ? null : Math.log(number);
+  }),
+  'log2': numeric(function (number) {
+    return (number <= 0) ? null : Math.log2(number);
+  }),
+  'log10': numeric(function (number) {
+    return (number <= 0) ? null : Math.log10(number);
+  }),
+  'round': numeric(Math.round),
+  'floor': numeric(Math.floor),
+  'ceil': numeric(Math.ceil),
+  'integer': function (args) {
+    var value = args[0];
+    if (isMissing(value)) {
+      return null;
+    }
+    if ((typeof value) === 'boolean') {
+      return value ? 1 : 0;
+    }
+    value = ((typeof value) === 'string') ? parseInt(value, 10) :
+        (value < 0 ? Math.ceil(value) : Math.floor(value));
+    return isNaN(value) ? null : value;
+  },
+  'real': function (args) {
+    var value = args[0];
+    if (isMissing(value)) {
+      return null;
+    }
+    if ((typeof value) === 'boolean') {
+      return value ? 1 : 0;
+    }
+    value = parseFloat(value);
+    return isNaN(value) ? null : value;
+  },
+  '=': function (args) {
+    var index;
+    for (index = 1; index < args.length; index++) {
+      if (args[index - 1] !== args[index]) {
+        return false;
+      }
+    }
+    return true;
+  },
+  '!=': function (args) {
+    return !FUNCTIONS['='](args);
+  },
+  '<': comparison(function (a, b) { return a < b; }),
+  '<=': comparison(function (a, b) { return a <= b; }),
+  '>': comparison(function (a, b) { return a > b; }),
+  '>=': comparison(function (a, b) { return a >= b; }),
+  'not': function (args) {
+    return !truthy(args[0]);
+  },
+  'in': function (args) {
+    if (isMissing(args[0]) || !utils.isArray(args[1])) {
+      return false;
+    }
+    return args[1].indexOf(args[0]) > -1;
+  },
+  'list': function (args) {
+    return args;
+  },
+  'str': function (args) {
+    var index, text = '';
+    for (index = 0; index < args.length; index++) {
+      if (!isMissing(args[index])) {
+        text += String(args[index]);
+      }
+    }
+    return text;
+  },
+  'length': function (args) {
+    if (isMissing(args[0])) {
+      return null;
+    }
+    return args[0].length;
+  },
+  'subs': strings(function (text, start, end) {
+    return text.substring(start, (typeof end) === 'undefined' ?
+                          text.length : end);
+  }),
+  'matches?': strings(function (text, regexp) {
+    return new RegExp(regexp).test(text);
+  }),
+  'replace': strings(function (text, regexp, replacement) {
+    return text.replace(new RegExp(regexp, 'g'), replacement);
+  }),
+  'replace-first': strings(function (text, regexp, replacement) {
+    return text.replace(new RegExp(regexp), replacement);
+  }),
+  'join': function (args) {
+    var separator = args[0], texts = args[1];
+    if (isMissing(separator) || !utils.isArray(texts)) {
+      return null;
+    }
+    return texts.filter(function (text) {
+      return !isMissing(text);
+    }).join(separator);
+  },
+  'occurrences': strings(function (text, term, caseInsensitive) {
+    // the language argument would only be used for stemming
+    return utils.termMatchesTokens(text, [RegExp.escape(term)],
+                                   caseInsensitive !== true);
+  }),
+  'epoch': function (args) {
+    var value = args[0];
+    if (isMissing(value)) {
+      return null;
+    }
+    if ((typeof value) === 'number') {
+      return value;
+    }
+    value = Date.parse(value);
+    return isNaN(value) ? null : value;
+  },
+  'epoch-year': epochPart(function (date) {
+    return date.getUTCFullYear();
+  }),
+  'epoch-month': epochPart(function (date) {
+    return date.getUTCMonth() + 1;
+  }),
+  'epoch-day': epochPart(function (date) {
+    return date.getUTCDate();
+  }),
+  // days of the week go from 1 (Monday) to 7 (Sunday)
+  'epoch-weekday': epochPart(function (date) {
+    return date.getUTCDay() || 7;
+  }),
+  'epoch-hour': epochPart(function (date) {
+    return date.getUTCHours();
+  }),
+  'epoch-minute': epochPart(function (date) {
+    return date.getUTCMinutes();
+  }),
+  'epoch-second': epochPart(function (date) {
+    return date.getUTCSeconds();
+  }),
+  'epoch-millisecond': epochPart(function (date) {
+    return date.getUTCMilliseconds();
+  })
+};
+FUNCTIONS['=='] = FUNCTIONS['='];
+FUNCTIONS['/='] = FUNCTIONS['!='];
+
+
+/**
+ * Flatline: local interpreter for Flatline expressions.
+ * @constructor
+ */
+function Flatline(fields) {
+  /**
+   * Constructor for the Flatline interpreter.
+   *
+   * @param {object} fields Fields structure of the dataset whose rows will
+   *                        be used to evaluate the expressions
+   */
+  this.fields = fields;
+  this.invertedFields = utils.invertObject(fields);
+}
+
+Flatline.prototype.parse = function (expression) {
+  /**
+   * Builds the syntax tree of a Flatline expression
+   *
+   * @param {string} expression Flatline expression
+   */
+  return parse(expression);
+};
+
+Flatline.prototype.fieldId = function (designator) {
+  /**
+   * Finds the id of a field given its id, name or column number
+   *
+   * @param {string|number} designator Field id, name or column number
+   */
+  var fieldId;
+  if ((typeof designator) === 'number') {
+    for (fieldId in this.fields) {
+      if (this.fields.hasOwnProperty(fieldId) &&
+          this.fields[fieldId].column_number === designator) {
+        return fieldId;
+      }
+    }
+  } else if (this.fields.hasOwnProperty(designator)) {
+    return designator;
+  } else if (this.invertedFields.hasOwnProperty(designator)) {
+    return this.invertedFields[designator];
+  }
+  throw new Error('Unknown field in Flatline expression: ' + designator);
+};
+
+Flatline.prototype.evaluate = function (expression, row) {
+  /**
+   * Evaluates a Flatline expression for the values of a row
+   *
+   * @param {string|object} expression Flatline expression or its syntax
+   *                                   tree
+   * @param {object} row Field values keyed by field id. Missing values
+   *                     are undefined or null
+   */
+  if ((typeof expression) === 'string') {
+    expression = parse(expression);
+  }
+  return this.evaluateTree(expression, row, {});
+};
+
+Flatline.prototype.evaluateTree = function (tree, row, scope) {
+  /**
+   * Evaluates a syntax tree for the values of a row
+   *
+   * @param {object} tree Syntax tree of the expression
+   * @param {object} row Field values keyed by field id
+   * @param {object} scope Variables defined in the enclosing expressions
+   */
+  var self = this, operator, name, args, index;
+  if (tree instanceof FlatlineSymbol) {
+    if (scope.hasOwnProperty(tree.name)) {
+      return scope[tree.name];
+    }
+    throw new Error('Unknown variable in Flatline expression: ' + tree.name);
+  }
+  if (!utils.isArray(tree)) {
+    return tree;
+  }
+  if (tree.length === 0) {
+    return [];
+  }
+  operator = tree[0];
+  if (!(operator instanceof FlatlineSymbol)) {
+    throw new Error('Function name expected in Flatline expression.');
+  }
+  name = operator.name;
+  if (this.specialForms.hasOwnProperty(name)) {
+    return this.specialForms[name].call(this, tree.slice(1), row, scope);
+  }
+  if (!FUNCTIONS.hasOwnProperty(name)) {
+    throw new Error('Unknown Flatline function: ' + name);
+  }
+  args = [];
+  for (index = 1; index < tree.length; index++) {
+    args.push(self.evaluateTree(tree[index], row, scope));
+  }
+  return FUNCTIONS[name](args);
+};
+
+Flatline.prototype.fieldValue = function (args, row, scope) {
+  /**
+   * Returns the value of the field referred to by the first argument
+   *
+   * @param {array} args Unevaluated arguments: the field designator
+   * @param {object} row Field values keyed by field id
+   * @param {object} scope Variables defined in the enclosing expressions
+   */
+  var value = row[this.fieldId(this.evaluateTree(args[0], row, scope))];
+  return isMissing(value) ? null : value;
+};
+
+// Functions whose arguments are evaluated on demand
+Flatline.prototype.specialForms = {
+  'f': Flatline.prototype.fieldValue,
+  'field': Flatline.prototype.fieldValue,
+  'missing?': function (args, row, scope) {
+    var designator = args[0];
+    if (utils.isArray(designator)) {
+      return isMissing(this.evaluateTree(designator, row, scope));
+    }
+    return this.fieldValue([designator], row, scope) === null;
+  },
+  'if': function (args, row, scope) {
+    if (truthy(this.evaluateTree(args[0], row, scope))) {
+      return this.evaluateTree(args[1], row, scope);
+    }
+    if (args.length > 2) {
+      return this.evaluateTree(args[2], row, scope);
+    }
+    return null;
+  },
+  'cond': function (args, row, scope) {
+    var index;
+    for (index = 0; index + 1 < args.length; index += 2) {
+      if (truthy(this.evaluateTree(args[index], row, scope))) {
+        return this.evaluateTree(args[index + 1], row, scope);
+      }
+    }
+    if (args.length % 2 === 1) {
+      return this.evaluateTree(args[args.length - 1], row, scope);
+    }
+    return null;
+  },
+  'and': function (args, row, scope) {
+    var index;
+    for (index = 0; index < args.length; index++) {
+      if (!truthy(this.evaluateTree(args[index], row, scope))) {
+        return false;
+      }
+    }
+    return true;
+  },
+  'or': function (args, row, scope) {
+    var index;
+    for (index = 0; index < args.length; index++) {
+      if (truthy(this.evaluateTree(args[index], row, scope))) {
+        return true;
+      }
+    }
+    return false;
+  },
+  'let': function (args, row, scope) {
+    var bindings = args[0], newScope = {}, name, index;
+    if (!utils.isArray(bindings) || bindings.length % 2 !== 0) {
+      throw new Error('The bindings of let must be a list of names and' +
+                      ' values.');
+    }
+    for (name in scope) {
+      if (scope.hasOwnProperty(name)) {
+        newScope[name] = scope[name];
+      }
+    }
+    for (index = 0; index < bindings.length; index += 2) {
+      if (!(bindings[index] instanceof FlatlineSymbol)) {
+        throw new Error('Variable name expected in let bindings.');
+      }
+      newScope[bindings[index].name] = this.evaluateTree(bindings[index + 1],
+                                                         row, newScope);
+    }
+    return this.evaluateTree(args[1], row, newScope);
+  },
+  'missing-count': function (args, row, scope) {
+    var fieldId, count = 0;
+    for (fieldId in this.fields) {
+      if (this.fields.hasOwnProperty(fieldId) && isMissing(row[fieldId])) {
+        count += 1;
+      }
+    }
+    return count;
+  },
+  'contains-items?': function (args, row, scope) {
+    var fieldId = this.fieldId(this.evaluateTree(args[0], row, scope)),
+      text = row[fieldId], options, index;
+    if (isMissing(text)) {
+      return false;
+    }
+    options = this.fields[fieldId].item_analysis || {};
+    for (index = 1; index < args.length; index++) {
+      if (utils.itemMatches(text, this.evaluateTree(args[index], row, scope),
+                            options)) {
+        return true;
+      }
+    }
+    return false;
+  }
+};
+
+Flatline.prototype.test = function (expression, row) {
+  /**
+   * Checks whether a row is selected by a Flatline filter
+   *
+   * @param {string|object} expression Flatline expression or its syntax
+   *                                   tree
+   * @param {object} row Field values keyed by field id
+   */
+  return truthy(this.evaluate(expression, row));
+};
+
+if (NODEJS) {
+  module.exports = Flatline;
+} else {
+  exports = Flatline;
+}
@@ -87,47 +87,49 @@ Item.prototype.toLispRule = function() {
    * Transforms the item structure to a List flatline expression
    */
   var flatline = "", fieldType, start, end, operator, caseInsensitive,
-    language, options;
+    language, options, field;
+  field = '(f "' + this.fieldId + '")';
   if (this.name == null) {
-    return "(missing? (f " + this.fieldId + "))";
+    flatline = '(missing? "' + this.fieldId + '")';
+    return this.complement ? "(not " + flatline + ")" : flatline;
   }
   fieldType = this.fieldInfo.optype;
   if (fieldType == "numeric") {
-    start = self.complement ? this.binEnd: this.binStart;
-    end = self.complement ? this.binStart: this.binEnd;
+    start = this.complement ? this.binEnd: this.binStart;
+    end = this.complement ? this.binStart: this.binEnd;
     if (start != null && end != null) {
       if (start < end) {
-        flatline = "(and (< " + start + " (f " + this.fieldId +
-                   ")) (<= (f " + this.fieldId + ") " + end + "))";
+        flatline = "(and (< " + start + " " + field + ") (<= " + field +
+                   " " + end + "))";
       } else {
-        flatline = "(or (> (f " + this.fieldId + ") " + start +
-                   ") (<= (f " + this.fieldId + ") " + end + "))";
+        flatline = "(or (> " + field + " " + start + ") (<= " + field +
+                   " " + end + "))";
       }
     } else if (start != null) {
-      flatline = "(> (f " + this.fieldId + ") " + start + ")";
+      flatline = "(> " + field + " " + start + ")";
     } else {
-      flatline = "(> (f " + this.fieldId + ") " + end + ")";
+      flatline = "(<= " + field + " " + end + ")";
     }
   } else if (fieldType == "categorical") {
     operator = this.complement ? "!=" : "=";
-    flatline = "(" + operator + " (f " + this.fieldId + ") " + this.name + ")";
+    flatline = "(" + operator + " " + field + " " +
+               JSON.stringify(this.name) + ")";
   } else if (fieldType == "text") {
     operator = this.complement ? "=" : ">";
-    options = this.fieldInfo['term_analysis'];
-    if (typeof options.case_sensitive === 'undefined') {
-      caseInsensitive = false;
-    }
+    options = this.fieldInfo['term_analysis'] || {};
     caseInsensitive = !options['case_sensitive'];
     language = options.language;
-    if (typeof language === 'undefined') {
-      language = "";
-    }
-    flatline = "(" + operator + " (occurrences (f " + this.fieldId + ") " +
-               this.name + " " + caseInsensitive + language + ") 0)";
+    language = (typeof language === 'undefined' || language == null) ? "" :
+      " " + JSON.stringify(language);
+    flatline = "(" + operator + " (occurrences " + field + " " +
+               JSON.stringify(this.name) + " " + caseInsensitive +
+               language + ") 0)";
   } else if (fieldType == 'items') {
-    operator = this.complement ? "!": "";
-    flatline = "(" + operator + " (contains-items? " + this.fieldId +
-               " " + this.name + "))";
+    flatline = '(contains-items? "' + this.fieldId + '" ' +
+               JSON.stringify(this.name) + ')';
+    if (this.complement) {
+      flatline = "(not " + flatline + ")";
+    }
   }
   return flatline;
 };
@@ -34,12 +34,17 @@ Library.prototype = new BaseScript();
 
 Library.prototype.parent = BaseScript.prototype;
 
-Library.prototype.create = function (sourceCode, args, retry, cb) {
+Library.prototype.create = utils.promisify(function (sourceCode, args, retry,
+                                                     cb) {
   this.parent.create.call(this, 'library', sourceCode, args, retry, cb);
-};
+});
 
 Library.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'library', query, cb);
+  return this.parent.list.call(this, 'library', query, cb);
+};
+
+Library.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'library', filter);
 };
 
 
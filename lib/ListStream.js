@@ -0,0 +1,108 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+"use strict";
+
+var stream = require('stream');
+var util = require('util');
+var constants = require('./constants');
+var utils = require('./utils');
+
+
+/**
+ * ListStream: readable stream of the resources in a listing.
+ * @constructor
+ */
+function ListStream(list, filter) {
+  /**
+   * Constructor for the stream of listed resources. The listing pages are
+   * retrieved when the stream needs more resources, starting at the given
+   * offset and until no next page is found.
+   *
+   * @param {function} list Function that retrieves a page of the listing
+   *                       given its query string and a callback
+   * @param {object|string} filter Filter and order parameters. The limit
+   *                               parameter sets the size of the pages
+   */
+  var key, query = {};
+  stream.Readable.call(this, {objectMode: true});
+  this.list = list;
+  this.limit = constants.DEFAULT_LIST_PAGE_SIZE;
+  this.offset = 0;
+  if (filter !== null && (typeof filter) === 'object') {
+    for (key in filter) {
+      if (filter.hasOwnProperty(key)) {
+        query[key] = filter[key];
+      }
+    }
+    if ((typeof query.limit) !== 'undefined') {
+      this.limit = query.limit;
+      delete query.limit;
+    }
+    if ((typeof query.offset) !== 'undefined') {
+      this.offset = query.offset;
+      delete query.offset;
+    }
+    filter = query;
+  }
+  this.query = utils.buildQuery(filter);
+  this.totalCount = undefined;
+  this.fetching = false;
+  this.finished = false;
+}
+
+util.inherits(ListStream, stream.Readable);
+
+ListStream.prototype._read = function () {
+  /**
+   * Retrieves the next page of the listing and pushes its resources
+   */
+  var self = this, query;
+  if (this.fetching || this.finished) {
+    return;
+  }
+  this.fetching = true;
+  query = 'limit=' + this.limit + ';offset=' + this.offset;
+  if (this.query) {
+    query += ';' + this.query;
+  }
+  this.list(query, function (error, data) {
+    var index, resources;
+    self.fetching = false;
+    if (error) {
+      self.finished = true;
+      if ((typeof error.result) === 'undefined') {
+        error.result = data;
+      }
+      return self.emit('error', error);
+    }
+    resources = data.resources || [];
+    self.totalCount = data.meta.total_count;
+    self.offset += resources.length;
+    if (resources.length === 0 || !data.meta.next) {
+      self.finished = true;
+    }
+    for (index = 0; index < resources.length; index++) {
+      self.push(resources[index]);
+    }
+    if (self.finished) {
+      self.push(null);
+    }
+  });
+};
+
+
+module.exports = ListStream;
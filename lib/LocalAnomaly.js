@@ -51,7 +51,8 @@ function LocalAnomaly(resource, connection) {
   this.invertedFields = undefined;
   this.description = undefined;
   this.locale = undefined;
-  this.ready = undefined;
+  this.isReady = undefined;
+  this.error = undefined;
   this.idFields = undefined;
 
   self = this;
@@ -115,7 +116,7 @@ function LocalAnomaly(resource, connection) {
       self.invertedFields = utils.invertObject(fields);
       self.description = resource.description;
       self.locale = resource.locale || constants.DEFAULT_LOCALE;
-      self.ready = true;
+      self.isReady = true;
       if (NODEJS) {
         self.emit('ready', self);
       }
@@ -128,7 +129,8 @@ function LocalAnomaly(resource, connection) {
       utils.getStatus(resource).code !== constants.FINISHED) {
     anomaly = new Anomaly(connection);
     anomaly.get(this.resourceId.resource, true,
-                constants.ONLY_MODEL, fillStructure);
+                constants.ONLY_MODEL,
+                utils.loadCallback(self, fillStructure));
   } else {
   // loads when the entire resource is given
     fillStructure(null, resource);
@@ -142,6 +144,15 @@ if (NODEJS) {
   util.inherits(LocalAnomaly, events.EventEmitter);
 }
 
+LocalAnomaly.prototype.ready = function () {
+  /**
+   * Returns a Promise that is resolved with the local anomaly detector once
+   * its resource is loaded or rejected with the error that prevented loading
+   * it.
+   */
+  return utils.readyPromise(this);
+};
+
 LocalAnomaly.prototype.computeScore = function (inputData) {
   /**
    * Returns the anomaly score given by the iforest
@@ -188,7 +199,7 @@ LocalAnomaly.prototype.anomalyScore = function (inputData, cb) {
     return cb(null, self.computeScore(inputData));
   }
 
-  if (this.ready) {
+  if (this.isReady) {
     if (cb) {
       this.validateInput(inputData, createLocalAnomalyScore);
     } else {
@@ -196,7 +207,7 @@ LocalAnomaly.prototype.anomalyScore = function (inputData, cb) {
       return anomalyScore;
     }
   } else {
-    this.on('ready',
+    utils.onReady(this, cb,
             function (self) {return self.anomalyScore(inputData, cb); });
     return;
   }
@@ -211,7 +222,7 @@ LocalAnomaly.prototype.validateInput = function (inputData, cb) {
    * @param {function} cb Callback
    */
   var newInputData = {}, field, fieldId, inputDataKey;
-  if (this.ready) {
+  if (this.isReady) {
     for (field in inputData) {
       if (inputData.hasOwnProperty(field)) {
         if (inputData[field] === null ||
@@ -242,7 +253,7 @@ LocalAnomaly.prototype.validateInput = function (inputData, cb) {
     }
     return inputData;
   }
-  this.on('ready', function (self) {
+  utils.onReady(this, cb, function (self) {
     return self.validateInput(inputData, cb);
   });
   return;
@@ -259,12 +270,12 @@ LocalAnomaly.prototype.anomaliesFilter = function (include, cb) {
    *                          otherwise.
    * @param {function} cb Callback
    */
-  if (this.ready) {
+  if (this.isReady) {
     var anomalyFilters = [], filterRules = [], value, row, rowLen, filter,
       index = 0, len = this.topAnomalies.length, i = 0, fieldId;
     for (index = 0; index < len; index++) {
       filterRules = [];
-      row = this.topAnomalies[i].row;
+      row = this.topAnomalies[index].row;
       rowLen = row.length;
       for (i = 0; i < rowLen; i++) {
         fieldId = this.inputFields[i];
@@ -272,7 +283,8 @@ LocalAnomaly.prototype.anomaliesFilter = function (include, cb) {
           continue;
         } else {
           value = row[i];
-          if (typeof value === 'undefined' || value == null || value == "") {
+          if (typeof value === 'undefined' || value === null ||
+              value === "") {
             filterRules.push('(missing? "' + fieldId + '")');
           } else {
             if (TEXT_TYPES.indexOf(this.fields[fieldId].optype) > -1) {
@@ -296,7 +308,7 @@ LocalAnomaly.prototype.anomaliesFilter = function (include, cb) {
     return ((cb) ? cb(null, "(not (or " + filter + "))") :
             "(not (or " + filter + "))");
   }
-  this.on('ready', function (self) {
+  utils.onReady(this, cb, function (self) {
     return self.anomaliesFilter(include, cb);
   });
   return;
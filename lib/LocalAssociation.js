@@ -59,7 +59,8 @@ function LocalAssociation(resource, connection) {
   this.invertedFields = undefined;
   this.description = undefined;
   this.locale = undefined;
-  this.ready = undefined;
+  this.isReady = undefined;
+  this.error = undefined;
 
   self = this;
   fillStructure = function (error, resource) {
@@ -114,7 +115,7 @@ function LocalAssociation(resource, connection) {
         self.invertedFields = utils.invertObject(fields);
         self.description = resource.description;
         self.locale = resource.locale || constants.DEFAULT_LOCALE;
-        self.ready = true;
+        self.isReady = true;
         if (NODEJS) {
           self.emit('ready', self);
         }
@@ -130,7 +131,8 @@ function LocalAssociation(resource, connection) {
       utils.getStatus(resource).code !== constants.FINISHED) {
     association = new Association(connection);
     association.get(this.resourceId.resource, true,
-                    constants.ONLY_MODEL, fillStructure);
+                    constants.ONLY_MODEL,
+                    utils.loadCallback(self, fillStructure));
   } else {
   // loads when the entire resource is given
     fillStructure(null, resource);
@@ -144,6 +146,14 @@ if (NODEJS) {
   util.inherits(LocalAssociation, events.EventEmitter);
 }
 
+LocalAssociation.prototype.ready = function () {
+  /**
+   * Returns a Promise that is resolved with the local association once its
+   * resource is loaded or rejected with the error that prevented loading it.
+   */
+  return utils.readyPromise(this);
+};
+
 
 
 LocalAssociation.prototype.getItems = function (filters, cb) {
@@ -165,7 +175,7 @@ LocalAssociation.prototype.getItems = function (filters, cb) {
   if (typeof filters === 'undefined') {
     filters = {};
   }
-  if (this.ready) {
+  if (this.isReady) {
     if (cb) {
       cb(null, this._getItems(filters.field, filters.names, filter.inputMap,
                               filters.filterFunction));
@@ -174,7 +184,7 @@ LocalAssociation.prototype.getItems = function (filters, cb) {
                             filters.filterFunction);
     }
   } else {
-    this.on('ready', function (self) {
+    utils.onReady(this, cb, function (self) {
       return self.getItems(filters, cb); });
     return;
   }
@@ -201,7 +211,7 @@ LocalAssociation.prototype.getRules = function (filters, cb) {
   if (typeof filters === 'undefined') {
     filters = {};
   }
-  if (this.ready) {
+  if (this.isReady) {
     if (cb) {
       cb(null, this._getRules(filters.minLeverage, filters.minStrength,
                               filters.minSupport, filters.minPValue,
@@ -212,7 +222,7 @@ LocalAssociation.prototype.getRules = function (filters, cb) {
                             filters.itemList, filters.filterFunction);
     }
   } else {
-    this.on('ready', function (self) {
+    utils.onReady(this, cb, function (self) {
       return self.getRules(filters, cb); });
     return;
   }
@@ -233,14 +243,14 @@ LocalAssociation.prototype.rulesCSV = function (fileName, filters, cb) {
   if (typeof filters === 'undefined') {
     filters = {};
   }
-  if (this.ready) {
+  if (this.isReady) {
     if (cb) {
       cb(null, this._rulesCSV(fileName, filters));
     } else {
       return this._rulesCSV(fileName, filters);
     }
   } else {
-    this.on('ready', function (self) {
+    utils.onReady(this, cb, function (self) {
       return self.rulesCSV(fileName, filters, cb); });
     return;
   }
@@ -0,0 +1,344 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+"use strict";
+
+var fs = require('fs');
+var stream = require('stream');
+var csv = require('fast-csv');
+var utils = require('./utils');
+var LocalModel = require('./LocalModel');
+var LocalEnsemble = require('./LocalEnsemble');
+var LocalLogisticRegression = require('./LocalLogisticRegression');
+var LocalCluster = require('./LocalCluster');
+var LocalAnomaly = require('./LocalAnomaly');
+
+// Additional columns that can be added to the output
+var EXTRA_COLUMNS = ['confidence', 'probability', 'distance'];
+
+
+function objectiveName(fields, objectiveField) {
+  /**
+   * Name of the objective field
+   *
+   * @param {object} fields Fields structure of the predictor
+   * @param {string|array} objectiveField Objective field id (or list of ids)
+   */
+  objectiveField = [].concat(objectiveField)[0];
+  return fields[objectiveField].name;
+}
+
+
+function probability(predictor, row, args, prediction, cb) {
+  /**
+   * Probability of the predicted category, as given by the
+   * `predictProbability` method of the local model. Regressions have
+   * no probability.
+   *
+   * @param {object} predictor Local model
+   * @param {object} row Input data of the prediction
+   * @param {object} args Batch prediction arguments
+   * @param {object} prediction Prediction returned by the local model
+   * @param {function} cb Callback
+   */
+  if (predictor.tree.regression) {
+    return cb(null, null);
+  }
+  predictor.predictProbability(row, args.missing_strategy,
+                               function (error, probabilities) {
+      var index;
+      if (error) {
+        return cb(error, null);
+      }
+      for (index = 0; index < probabilities.length; index++) {
+        if (probabilities[index].category === prediction.prediction) {
+          return cb(null, probabilities[index].probability);
+        }
+      }
+      return cb(null, null);
+    });
+}
+
+
+// Description of the supported local predictors: the function that
+// generates the result for a row, the default name of the prediction
+// column and the additional columns that can be added
+var PREDICTORS = [
+  {
+    type: LocalModel,
+    run: function (predictor, row, args, cb) {
+      predictor.predict(row, args.missing_strategy, function (error, data) {
+        if (error) {
+          return cb(error, null);
+        }
+        probability(predictor, row, args, data, function (error, value) {
+          if (error) {
+            return cb(error, null);
+          }
+          return cb(null, {prediction: data.prediction,
+                           confidence: data.confidence,
+                           probability: value});
+        });
+      });
+    },
+    name: function (predictor) {
+      return objectiveName(predictor.fields, predictor.tree.objectiveField);
+    },
+    columns: ['confidence', 'probability']
+  },
+  {
+    type: LocalEnsemble,
+    run: function (predictor, row, args, cb) {
+      var options = {};
+      if ((typeof args.missing_strategy) !== 'undefined') {
+        options.missingStrategy = args.missing_strategy;
+      }
+      predictor.predict(row, args.method || 0, options, cb);
+    },
+    name: function () {
+      return 'prediction';
+    },
+    columns: ['confidence']
+  },
+  {
+    type: LocalLogisticRegression,
+    run: function (predictor, row, args, cb) {
+      predictor.predict(row, cb);
+    },
+    name: function (predictor) {
+      return objectiveName(predictor.fields, predictor.objectiveField);
+    },
+    columns: ['probability']
+  },
+  {
+    type: LocalCluster,
+    run: function (predictor, row, args, cb) {
+      predictor.centroid(row, function (error, data) {
+        if (error) {
+          return cb(error, null);
+        }
+        return cb(null, {prediction: data.centroidName,
+                         distance: data.distance});
+      });
+    },
+    name: function () {
+      return 'cluster';
+    },
+    columns: ['distance']
+  },
+  {
+    type: LocalAnomaly,
+    run: function (predictor, row, args, cb) {
+      predictor.anomalyScore(row, function (error, data) {
+        if (error) {
+          return cb(error, null);
+        }
+        return cb(null, {prediction: data});
+      });
+    },
+    name: function () {
+      return 'score';
+    },
+    columns: []
+  }
+];
+
+
+/**
+ * LocalBatchPredictor: batch predictions for CSV files and streams using
+ * local predictors.
+ * @constructor
+ */
+function LocalBatchPredictor(predictor, args) {
+  /**
+   * Constructor for the local batch predictor.
+   *
+   * @param {object} predictor Local predictor: LocalModel, LocalEnsemble,
+   *                           LocalLogisticRegression, LocalCluster or
+   *                           LocalAnomaly
+   * @param {object} args Output options, as in remote batch resources:
+   *                      all_fields: true to add all the input fields
+   *                      output_fields: list of input fields to add
+   *                      prediction_name: name of the prediction column
+   *                      confidence, probability, distance: true to add
+   *                        these columns (confidence_name,
+   *                        probability_name and distance_name set their
+   *                        names)
+   *                      header: false to omit the headers row in CSVs
+   *                      separator: separator used in CSVs
+   *                      method, missing_strategy: options for the
+   *                        predictor
+   */
+  var index, column;
+  this.predictor = predictor;
+  this.args = args || {};
+  this.description = undefined;
+  for (index = 0; index < PREDICTORS.length; index++) {
+    if (predictor instanceof PREDICTORS[index].type) {
+      this.description = PREDICTORS[index];
+    }
+  }
+  if ((typeof this.description) === 'undefined') {
+    throw new Error('Cannot create batch predictions for this object. A' +
+                    ' local model, ensemble, logistic regression, cluster' +
+                    ' or anomaly detector is expected.');
+  }
+  for (index = 0; index < EXTRA_COLUMNS.length; index++) {
+    column = EXTRA_COLUMNS[index];
+    if (this.args[column] &&
+        this.description.columns.indexOf(column) < 0) {
+      throw new Error('The ' + column + ' column is not available for' +
+                      ' this predictor.');
+    }
+  }
+}
+
+LocalBatchPredictor.prototype.columns = function (inputHeaders) {
+  /**
+   * Returns the output columns: their names and either the input column
+   * or the attribute of the result their values are taken from
+   *
+   * @param {array} inputHeaders Names of the columns in the input rows
+   */
+  var columns = [], inputColumns = [], index, column;
+  if (this.args.all_fields) {
+    inputColumns = inputHeaders;
+  } else if (utils.isArray(this.args.output_fields)) {
+    inputColumns = this.args.output_fields;
+  }
+  for (index = 0; index < inputColumns.length; index++) {
+    columns.push({name: inputColumns[index], input: inputColumns[index]});
+  }
+  columns.push({name: this.args.prediction_name ||
+                this.description.name(this.predictor),
+                result: 'prediction'});
+  for (index = 0; index < EXTRA_COLUMNS.length; index++) {
+    column = EXTRA_COLUMNS[index];
+    if (this.args[column]) {
+      columns.push({name: this.args[column + '_name'] || column,
+                    result: column});
+    }
+  }
+  return columns;
+};
+
+LocalBatchPredictor.prototype.stream = function () {
+  /**
+   * Builds an object stream that transforms input rows, keyed by field
+   * name or id, into output rows keyed by the output column names.
+   */
+  var self = this, columns,
+    transform = new stream.Transform({objectMode: true});
+  transform._transform = function (row, encoding, done) {
+    var inputData = {}, key;
+    for (key in row) {
+      if (row.hasOwnProperty(key) && row[key] !== '' && row[key] !== null) {
+        // empty values in CSV files are missing values
+        inputData[key] = row[key];
+      }
+    }
+    if ((typeof columns) === 'undefined') {
+      columns = self.columns(Object.keys(row));
+    }
+    self.description.run(self.predictor, inputData, self.args,
+                         function (error, result) {
+        var output = {}, index, column;
+        if (error) {
+          return done(error);
+        }
+        for (index = 0; index < columns.length; index++) {
+          column = columns[index];
+          if ((typeof column.input) !== 'undefined') {
+            output[column.name] = row.hasOwnProperty(column.input) ?
+              row[column.input] : null;
+          } else {
+            output[column.name] = result[column.result];
+          }
+        }
+        done(null, output);
+      });
+  };
+  return transform;
+};
+
+LocalBatchPredictor.prototype.predict = utils.promisify(function (input,
+                                                                  output,
+                                                                  cb) {
+  /**
+   * Predicts all the rows in the input and writes the results to the
+   * output. The callback receives the output or, when no output is given,
+   * the list of output rows.
+   *
+   * @param {string|object} input Path to a CSV file with a headers row, a
+   *                              readable stream of CSV contents or an
+   *                              object stream of rows
+   * @param {string|object} output Path to the output CSV file or writable
+   *                               stream. Optional.
+   * @param {function} cb Callback
+   */
+  var rows = [], transform = this.stream(), csvOptions = {}, writer,
+    called = false;
+  if ((typeof output) === 'function') {
+    cb = output;
+    output = undefined;
+  }
+  function end(error) {
+    if (called) {
+      return;
+    }
+    called = true;
+    if (error) {
+      return cb(error, null);
+    }
+    return cb(null, ((typeof output) === 'undefined' || output === null) ?
+              rows : output);
+  }
+
+  if ((typeof this.args.separator) !== 'undefined') {
+    csvOptions.delimiter = this.args.separator;
+  }
+  if ((typeof input) === 'string') {
+    input = fs.createReadStream(input);
+  }
+  input.on('error', end);
+  if (!(input._readableState && input._readableState.objectMode)) {
+    csvOptions.headers = true;
+    input = input.pipe(csv(csvOptions));
+    input.on('error', end);
+  }
+  transform.on('error', end);
+  input.pipe(transform);
+
+  if ((typeof output) === 'undefined' || output === null) {
+    transform.on('data', function (row) {
+      rows.push(row);
+    });
+    transform.on('end', function () {
+      end(null);
+    });
+    return;
+  }
+  writer = ((typeof output) === 'string') ?
+    fs.createWriteStream(output) : output;
+  writer.on('error', end);
+  writer.on('finish', function () {
+    end(null);
+  });
+  csvOptions.headers = this.args.header !== false;
+  transform.pipe(csv.format(csvOptions)).pipe(writer);
+});
+
+module.exports = LocalBatchPredictor;
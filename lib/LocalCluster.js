@@ -114,7 +114,8 @@ function LocalCluster(resource, connection) {
   this.invertedFields = undefined;
   this.description = undefined;
   this.locale = undefined;
-  this.ready = undefined;
+  this.isReady = undefined;
+  this.error = undefined;
 
   self = this;
   fillStructure = function (error, resource) {
@@ -172,7 +173,7 @@ function LocalCluster(resource, connection) {
         self.invertedFields = utils.invertObject(fields);
         self.description = resource.description;
         self.locale = resource.locale || constants.DEFAULT_LOCALE;
-        self.ready = true;
+        self.isReady = true;
         if (NODEJS) {
           self.emit('ready', self);
         }
@@ -188,7 +189,8 @@ function LocalCluster(resource, connection) {
       utils.getStatus(resource).code !== constants.FINISHED) {
     cluster = new Cluster(connection);
     cluster.get(this.resourceId.resource, true,
-                constants.ONLY_MODEL, fillStructure);
+                constants.ONLY_MODEL,
+                utils.loadCallback(self, fillStructure));
   } else {
   // loads when the entire resource is given
     fillStructure(null, resource);
@@ -202,6 +204,14 @@ if (NODEJS) {
   util.inherits(LocalCluster, events.EventEmitter);
 }
 
+LocalCluster.prototype.ready = function () {
+  /**
+   * Returns a Promise that is resolved with the local cluster once its
+   * resource is loaded or rejected with the error that prevented loading it.
+   */
+  return utils.readyPromise(this);
+};
+
 LocalCluster.prototype.computeNearest = function (inputData) {
   /**
    * Computes the nearest centroid using the cluster info.
@@ -293,7 +303,7 @@ LocalCluster.prototype.centroid = function (inputData, cb) {
     return cb(null, self.computeNearest(inputData));
   }
 
-  if (this.ready) {
+  if (this.isReady) {
     if (cb) {
       this.validateInput(inputData, createLocalCentroid);
     } else {
@@ -301,7 +311,9 @@ LocalCluster.prototype.centroid = function (inputData, cb) {
       return centroid;
     }
   } else {
-    this.on('ready', function (self) {return self.centroid(inputData, cb); });
+    utils.onReady(this, cb, function (self) {
+      return self.centroid(inputData, cb);
+    });
     return;
   }
 };
@@ -327,7 +339,7 @@ LocalCluster.prototype.validateInput = function (inputData, cb) {
       }
     }
   }
-  if (this.ready) {
+  if (this.isReady) {
     for (field in inputData) {
       if (inputData.hasOwnProperty(field)) {
         if (inputData[field] === null ||
@@ -358,7 +370,7 @@ LocalCluster.prototype.validateInput = function (inputData, cb) {
     }
     return inputData;
   }
-  this.on('ready', function (self) {
+  utils.onReady(this, cb, function (self) {
     return self.validateInput(inputData, cb);
   });
   return;
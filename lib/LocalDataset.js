@@ -0,0 +1,394 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+"use strict";
+
+var NODEJS = ((typeof module !== 'undefined') && module.exports);
+var PATH = (NODEJS) ? "./" : "";
+
+var utils = require(PATH + 'utils');
+var constants = require(PATH + 'constants');
+var Flatline = require(PATH + 'Flatline');
+
+if (NODEJS) {
+  var util = require('util');
+  var fs = require('fs');
+  var events = require('events');
+  var Dataset = require('./Dataset');
+}
+
+// Query string to retrieve all the fields of the dataset
+var ALL_FIELDS = 'limit=-1;';
+
+
+function castValue(value, field) {
+  /**
+   * Casts the value of a row to the type of its field. Empty values are
+   * considered missing.
+   *
+   * @param {string|number} value Value of the field in the row
+   * @param {object} field Field structure
+   */
+  if ((typeof value) === 'undefined' || value === null || value === '') {
+    return null;
+  }
+  if (field.optype === 'numeric' && (typeof value) === 'string') {
+    value = parseFloat(utils.stripAffixes(value, field));
+    return isNaN(value) ? null : value;
+  }
+  return value;
+}
+
+
+/**
+ * LocalDataset: Simplified local object for the dataset resource.
+ * @constructor
+ */
+function LocalDataset(resource, connection) {
+  /**
+   * Constructor for the LocalDataset local object.
+   *
+   * @param {string|object} resource BigML dataset resource, resource id or
+   *                        the path to a JSON file containing a BigML dataset
+   *                        resource
+   * @param {object} connection BigML connection
+   */
+
+  var dataset, self, fillStructure;
+
+  this.fields = undefined;
+  this.invertedFields = undefined;
+  this.flatline = undefined;
+  this.rows = undefined;
+  this.description = undefined;
+  this.locale = undefined;
+  this.isReady = undefined;
+  this.error = undefined;
+
+  self = this;
+  fillStructure = function (error, resource) {
+    /**
+     * Auxiliary function to load the resource info in the Dataset structure.
+     *
+     * @param {object} error Error info
+     * @param {object} resource Dataset's resource info
+     */
+    var status;
+    if (error) {
+      throw new Error('Cannot create the Dataset instance. Could not' +
+                      ' retrieve the resource: ' + error);
+    }
+    self.resourceId = utils.getResource(resource);
+    if ((typeof self.resourceId) === 'undefined' ||
+        self.resourceId.type !== 'dataset') {
+      throw new Error('Cannot build a Dataset from this resource: ' +
+                      resource);
+    }
+    status = utils.getStatus(resource);
+    if ((typeof resource.object) !== 'undefined') {
+      resource = resource.object;
+    }
+    if ((typeof resource.fields) !== 'undefined') {
+      if (status.code === constants.FINISHED) {
+        self.fields = resource.fields;
+        self.invertedFields = utils.invertObject(resource.fields);
+        self.flatline = new Flatline(resource.fields);
+        self.rows = resource.rows;
+        self.description = resource.description;
+        self.locale = resource.locale;
+        self.isReady = true;
+        if (NODEJS) {
+          self.emit('ready', self);
+        }
+      }
+    } else {
+      throw new Error('Cannot create the Dataset instance. Could not' +
+                      ' find the \'fields\' key in the resource\n');
+    }
+  };
+
+  // Loads the dataset from the dataset id or from an unfinished object
+  if (NODEJS && ((typeof resource) === 'string' ||
+      utils.getStatus(resource).code !== constants.FINISHED)) {
+    try {
+      self.resourceId = utils.getResource(resource);
+    } catch (err) {
+      self.resourceId = undefined;
+    }
+    if ((typeof self.resourceId) === 'undefined') {
+      // try to read a json file in the path provided by the first argument
+      fs.readFile(resource, 'utf8', function (err, data) {
+        if (err) {
+          return utils.loadFailed(self, new Error(
+            'Failed to read local dataset file: ' + resource));
+        }
+        try {
+          data = JSON.parse(data);
+        } catch (jsonErr) {
+          return utils.loadFailed(self, new Error(
+            'Failed to parse the JSON dataset in: ' + resource));
+        }
+        utils.loadCallback(self, fillStructure)(null, data);
+      });
+    } else {
+      // if a resource id has been found, then load the dataset
+      dataset = new Dataset(connection);
+      dataset.get(this.resourceId.resource, true, ALL_FIELDS,
+                  utils.loadCallback(self, fillStructure));
+    }
+  } else {
+  // loads when the entire resource is given
+    fillStructure(null, resource);
+  }
+  if (NODEJS) {
+    events.EventEmitter.call(this);
+  }
+}
+
+if (NODEJS) {
+  util.inherits(LocalDataset, events.EventEmitter);
+}
+
+LocalDataset.prototype.ready = function () {
+  /**
+   * Returns a Promise that is resolved with the local dataset once its
+   * resource is loaded or rejected with the error that prevented loading it.
+   */
+  return utils.readyPromise(this);
+};
+
+LocalDataset.prototype.getFieldId = function (field) {
+  /**
+   * Finds the id of a field given its id, name or column number
+   *
+   * @param {string|number} field Field id, name or column number
+   */
+  if ((typeof field) === 'number') {
+    return this.flatline.fieldId(field);
+  }
+  if (this.fields.hasOwnProperty(field)) {
+    return field;
+  }
+  if (this.invertedFields.hasOwnProperty(field)) {
+    return this.invertedFields[field];
+  }
+  throw new Error('Unknown field: ' + field);
+};
+
+LocalDataset.prototype.fieldSummary = function (field) {
+  /**
+   * Returns the summary of a field. Besides its id, name, optype,
+   * missingCount and population, the summary contains:
+   *   numeric fields: minimum, maximum, mean, median, standardDeviation,
+   *                   sum, variance and histogram (list of [value, count])
+   *   categorical fields: categories (list of [category, count])
+   *   text fields: termCloud (list of [term, count]) and termForms
+   *   items fields: items (list of [item, count])
+   *
+   * @param {string|number} field Field id, name or column number
+   */
+  var fieldId = this.getFieldId(field), fieldInfo = this.fields[fieldId],
+    summary = fieldInfo.summary || {},
+    result = {
+      id: fieldId,
+      name: fieldInfo.name,
+      optype: fieldInfo.optype,
+      missingCount: summary.missing_count || 0,
+      population: summary.population
+    };
+  switch (fieldInfo.optype) {
+  case 'numeric':
+    result.minimum = summary.minimum;
+    result.maximum = summary.maximum;
+    result.mean = summary.mean;
+    result.median = summary.median;
+    result.standardDeviation = summary.standard_deviation;
+    result.sum = summary.sum;
+    result.variance = summary.variance;
+    // counts are exact and bins are used when there are many values
+    result.histogram = summary.counts || summary.bins || [];
+    break;
+  case 'categorical':
+    result.categories = summary.categories || [];
+    break;
+  case 'text':
+    result.termCloud = summary.tag_cloud || [];
+    result.termForms = summary.term_forms || {};
+    break;
+  case 'items':
+    result.items = summary.items || [];
+    break;
+  }
+  return result;
+};
+
+LocalDataset.prototype.summary = function () {
+  /**
+   * Returns the summaries of all the fields keyed by field id
+   *
+   */
+  var summaries = {}, fieldId;
+  for (fieldId in this.fields) {
+    if (this.fields.hasOwnProperty(fieldId)) {
+      summaries[fieldId] = this.fieldSummary(fieldId);
+    }
+  }
+  return summaries;
+};
+
+LocalDataset.prototype.rowValues = function (row) {
+  /**
+   * Builds the field values of a row keyed by field id. Rows can be lists
+   * of values in column order, as in the downloaded CSV files, or objects
+   * keyed by field name or id.
+   *
+   * @param {array|object} row Row of the dataset
+   */
+  var values = {}, index, key, fieldId;
+  if (utils.isArray(row)) {
+    for (index = 0; index < row.length; index++) {
+      fieldId = this.flatline.fieldId(index);
+      values[fieldId] = castValue(row[index], this.fields[fieldId]);
+    }
+  } else {
+    for (key in row) {
+      if (row.hasOwnProperty(key)) {
+        fieldId = this.getFieldId(key);
+        values[fieldId] = castValue(row[key], this.fields[fieldId]);
+      }
+    }
+  }
+  return values;
+};
+
+LocalDataset.prototype.filter = function (rows, lispFilter) {
+  /**
+   * Selects the rows that pass a Flatline filter, as the lisp_filter
+   * argument of a dataset would.
+   *
+   * @param {array} rows List of rows (lists in column order or objects)
+   * @param {string} lispFilter Flatline expression
+   */
+  var tree = this.flatline.parse(lispFilter), selected = [], index;
+  for (index = 0; index < rows.length; index++) {
+    if (this.flatline.test(tree, this.rowValues(rows[index]))) {
+      selected.push(rows[index]);
+    }
+  }
+  return selected;
+};
+
+LocalDataset.prototype.newFields = function (rows, newFields) {
+  /**
+   * Adds to the rows the values of the fields defined by Flatline
+   * expressions, as the new_fields argument of a dataset would.
+   *
+   * @param {array} rows List of rows (lists in column order or objects)
+   * @param {array} newFields List of new fields definitions:
+   *                          {field: expression, name: name} or
+   *                          {fields: expression, names: [name, ...]}
+   */
+  var definitions = [], index, fieldIndex, definition, values, value,
+    names, row, newRow, newRows = [], key;
+  for (index = 0; index < newFields.length; index++) {
+    definition = newFields[index];
+    if ((typeof definition.fields) !== 'undefined') {
+      definitions.push({tree: this.flatline.parse(definition.fields),
+                        names: definition.names || [],
+                        multiple: true});
+    } else {
+      definitions.push({tree: this.flatline.parse(definition.field),
+                        names: [definition.name || definition.field],
+                        multiple: false});
+    }
+  }
+  for (index = 0; index < rows.length; index++) {
+    row = rows[index];
+    values = this.rowValues(row);
+    if (utils.isArray(row)) {
+      newRow = row.slice();
+    } else {
+      newRow = {};
+      for (key in row) {
+        if (row.hasOwnProperty(key)) {
+          newRow[key] = row[key];
+        }
+      }
+    }
+    for (fieldIndex = 0; fieldIndex < definitions.length; fieldIndex++) {
+      definition = definitions[fieldIndex];
+      value = this.flatline.evaluate(definition.tree, values);
+      if (!definition.multiple) {
+        value = [value];
+      } else if (!utils.isArray(value)) {
+        throw new Error('A list of values is expected when using the' +
+                        ' fields attribute.');
+      }
+      names = definition.names;
+      for (key = 0; key < value.length; key++) {
+        if (utils.isArray(newRow)) {
+          newRow.push(value[key]);
+        } else {
+          newRow[names[key] || 'field ' + (key + 1)] = value[key];
+        }
+      }
+    }
+    newRows.push(newRow);
+  }
+  return newRows;
+};
+
+LocalDataset.prototype.preview = function (rows, options, cb) {
+  /**
+   * Previews the rows of a derived dataset: rows are selected using the
+   * lisp_filter and the new_fields are added to them.
+   *
+   * @param {array} rows List of rows (lists in column order or objects)
+   * @param {object} options Arguments of the derived dataset:
+   *                         lisp_filter and new_fields
+   * @param {function} cb Callback
+   */
+  var result;
+  if (this.isReady) {
+    try {
+      result = rows;
+      if ((typeof options.lisp_filter) !== 'undefined') {
+        result = this.filter(result, options.lisp_filter);
+      }
+      if ((typeof options.new_fields) !== 'undefined') {
+        result = this.newFields(result, options.new_fields);
+      }
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    if (cb) {
+      return cb(null, result);
+    }
+    return result;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.preview(rows, options, cb);
+  });
+  return;
+};
+
+if (NODEJS) {
+  module.exports = LocalDataset;
+} else {
+  exports = LocalDataset;
+}
@@ -32,6 +32,66 @@ if (NODEJS) {
 }
 
 var MAX_MODELS = 10;
+var BOOSTED_LIST_ERROR = 'The list contains boosted models, whose initial' +
+  ' offsets are only available in their ensemble. Use the ensemble to' +
+  ' build the LocalEnsemble';
+
+
+function addBoosting(model, prediction) {
+  /**
+   * Adds to the prediction of a model in a boosted ensemble the weight and
+   * objective class of the model
+   *
+   * @param {object} model Local model
+   * @param {object} prediction Prediction of the model
+   */
+  prediction.weight = model.boosting.weight;
+  prediction.objectiveClass = model.boosting.objective_class;
+  return prediction;
+}
+
+function checkNotBoosted(model) {
+  /**
+   * Raises an error if the model, given as resource or object, belongs to
+   * a boosted ensemble
+   *
+   * @param {object} model Model resource or object
+   */
+  var object = (typeof model.object) === 'object' ? model.object : model;
+  if (object.boosting) {
+    throw new Error(BOOSTED_LIST_ERROR);
+  }
+}
+
+function averageScores(scoresList, key) {
+  /**
+   * Averages the scores per class of the models in the ensemble and sorts
+   * the classes by decreasing score
+   *
+   * @param {array} scoresList List of class scores for each model
+   * @param {string} key Attribute where the score is stored
+   */
+  var classes = [], totals = {}, index, position, item, scores = [];
+  for (index = 0; index < scoresList.length; index++) {
+    for (position = 0; position < scoresList[index].length; position++) {
+      item = scoresList[index][position];
+      if (!totals.hasOwnProperty(item.category)) {
+        classes.push(item.category);
+        totals[item.category] = 0;
+      }
+      totals[item.category] += item[key] / scoresList.length;
+    }
+  }
+  for (index = 0; index < classes.length; index++) {
+    item = {category: classes[index]};
+    item[key] = totals[classes[index]];
+    scores.push(item);
+  }
+  return scores.sort(function (a, b) {
+    return b[key] - a[key];
+  });
+}
+
 
 /**
  * LocalEnsemble: Simple class for ensemble's local predictions
@@ -67,7 +127,10 @@ function LocalEnsemble(ensembleOrModels, connection, maxModels) {
 
   this.modelsSplits = [];
   this.predictionsOfModels = [];
-  this.ready = undefined;
+  this.boosting = undefined;
+  this.boostingOffsets = undefined;
+  this.isReady = undefined;
+  this.error = undefined;
 
   self = this;
 
@@ -81,6 +144,13 @@ function LocalEnsemble(ensembleOrModels, connection, maxModels) {
                       ' retrieve the resource: ' + error);
     }
     self.modelIds = resource.object.models;
+    if (resource.object.boosting) {
+      // boosted ensembles start from the initial offset of the objective
+      // (regressions) or the list of offsets per class (classifications)
+      self.boosting = resource.object.boosting;
+      self.boostingOffsets = resource.object['initial_offsets'] ||
+        resource.object['initial_offset'] || 0;
+    }
     if (NODEJS) {
       self.emit('ensembleReady', self);
     }
@@ -91,49 +161,92 @@ function LocalEnsemble(ensembleOrModels, connection, maxModels) {
      * Fills the modelsSplits array with the models associated to an
      * ensemble id.
      */
-    var model, query, modelObject;
+    var model, query, modelObject, connection;
     model = new Model(self.connection);
+    connection = model.connection;
     query = 'ensemble_id=' + self.resourceId.id + ';full=yes';
+    function addSplit(localModels) {
+      var i, count = 0;
+      self.modelsSplits.push(localModels);
+      for (i = 0; i < self.modelsSplits.length; i++) {
+        count += self.modelsSplits[i].length;
+      }
+      if (self.modelIds.length === count) {
+        self.isReady = true;
+        if (NODEJS) {
+          self.emit('ready', self);
+        }
+      }
+    }
     function createSplit(error, resources) {
       if (error) {
         throw new Error('The ensemble models could not be retrieved');
       }
-      var i, localModels = [], count = 0;
+      var i, localModels = [], pending = resources.resources.length;
+      if (pending === 0) {
+        return addSplit(localModels);
+      }
+      function stored() {
+        pending -= 1;
+        if (pending === 0) {
+          addSplit(localModels);
+        }
+      }
       for (i = 0; i < resources.resources.length; i++) {
         modelObject = resources.resources[i];
         localModels.push(new LocalModel(modelObject, self.connection));
+        // listed models are stored to be reused as if retrieved one by one
+        connection.store({code: constants.HTTP_OK,
+                          object: modelObject,
+                          resource: modelObject.resource,
+                          location: connection.url + modelObject.resource,
+                          error: null}, constants.ONLY_MODEL, stored);
       }
-      self.modelsSplits.push(localModels);
-      for (i = 0; i < self.modelsSplits.length; i++) {
-        count += self.modelsSplits[i].length;
-      }
-      if (self.modelIds.length === count) {
-        self.ready = true;
-        if (NODEJS) {
-          self.emit('ready', self);
+    }
+    function listModels() {
+      if (maxModels === null || maxModels >= self.modelIds.length) {
+        maxModels = self.modelIds.length;
+        // TODO: add limit when apian does
+        //query += ';limit=' + maxModels;
+        model.list(query, utils.loadCallback(self, createSplit));
+      } else {
+        query += ';limit=' + maxModels;
+        for (i = 0; i < self.modelIds.length; i += maxModels) {
+          model.list(query + ';offset=' + i,
+                     utils.loadCallback(self, createSplit));
         }
       }
     }
-    if (maxModels === null || maxModels >= self.modelIds.length) {
-      maxModels = self.modelIds.length;
-      // TODO: add limit when apian does
-      //query += ';limit=' + maxModels;
-      model.list(query, createSplit);
-    } else {
-      query += ';limit=' + maxModels;
-      for (i = 0; i < self.modelIds.length; i += maxModels) {
-        model.list(query + ';offset=' + i, createSplit);
+    function checkStored(index) {
+      if (index === self.modelIds.length) {
+        self.modelsSplits[0] = [];
+        return fillSeparateModelsInfo(self);
       }
+      connection.isStored(self.modelIds[index], constants.ONLY_MODEL,
+                          function (error, isStored) {
+          if (isStored) {
+            return checkStored(index + 1);
+          }
+          listModels();
+        });
     }
+    checkStored(0);
   };
 
   addModel = function (error, resource) {
     /**
      * Adds the finished model to the models array of the LocalEnsemble
      */
+    if (error) {
+      throw new Error('The ensemble models could not be retrieved: ' +
+                      error);
+    }
+    if ((typeof self.resourceId) === 'undefined') {
+      checkNotBoosted(resource);
+    }
     self.modelsSplits[0].push(new LocalModel(resource, self.connection));
     if (self.modelIds.length === self.modelsSplits[0].length) {
-      self.ready = true;
+      self.isReady = true;
       if (NODEJS) {
         self.emit('ready', self);
       }
@@ -148,7 +261,8 @@ function LocalEnsemble(ensembleOrModels, connection, maxModels) {
     var model, modelObject;
     model = new Model(connection);
     for (i = 0; i < self.modelIds.length; i++) {
-      model.get(self.modelIds[i], true, constants.ONLY_MODEL, addModel);
+      model.get(self.modelIds[i], true, constants.ONLY_MODEL,
+                utils.loadCallback(self, addModel));
     }
   };
 
@@ -172,16 +286,18 @@ function LocalEnsemble(ensembleOrModels, connection, maxModels) {
       fillSeparateModelsInfo(self);
     } else {
       for (i = 0; i < ensembleOrModels.length; i++) {
+        checkNotBoosted(ensembleOrModels[i]);
         this.modelsSplits[0].push(new LocalModel(ensembleOrModels[i],
                                                  self.connection));
       }
-      this.ready = true;
+      this.isReady = true;
     }
   } else if ((typeof ensembleOrModels) === 'string' ||
       utils.getStatus(ensembleOrModels).code !== constants.FINISHED) {
     // Loads the ensemble when only the id is given
     ensemble = new Ensemble(connection);
-    ensemble.get(ensembleOrModels, fillEnsembleInfo);
+    ensemble.get(ensembleOrModels,
+                 utils.loadCallback(self, fillEnsembleInfo));
     self.on('ensembleReady', fillModelsInfo);
   } else {
     // loads when the entire resource is given
@@ -197,6 +313,14 @@ if (NODEJS) {
   util.inherits(LocalEnsemble, events.EventEmitter);
 }
 
+LocalEnsemble.prototype.ready = function () {
+  /**
+   * Returns a Promise that is resolved with the local ensemble once its
+   * resource is loaded or rejected with the error that prevented loading it.
+   */
+  return utils.readyPromise(this);
+};
+
 
 LocalEnsemble.prototype.predict = function (inputData, method, options, cb) {
   /**
@@ -209,31 +333,54 @@ LocalEnsemble.prototype.predict = function (inputData, method, options, cb) {
    *        2 - probability weighted majority vote / average
    *        3 - threshold filtered vote / doesn't apply
    * @param {{threshold: integer, category: string}} options Threshold
-            and category information object
+            and category information object. It can also contain the
+            missingStrategy and the operatingPoint to be used.
    * @param {function} cb Callback
+   *
+   * Boosted ensembles ignore the combination method: the contributions of
+   * their models are added up and, in classifications, the prediction
+   * contains the probabilities of each class.
    */
 
   var index, len, splitIndex, splitLen, predictions, votes, model,
-    missingStrategy, data,
+    missingStrategy, data, combine, boostedPrediction,
     issuePrediction, self = this;
   predictions = [];
   len = this.modelsSplits.length;
-  if ((typeof options === 'function') && (typeof cb === 'undefined')) {
+  if ((typeof method === 'function') && (typeof cb === 'undefined')) {
+    cb = method;
+    method = undefined;
+  } else if ((typeof options === 'function') && (typeof cb === 'undefined')) {
     cb = options;
     options = undefined;
   }
+  if (options && options.operatingPoint) {
+    return this.predictOperating(inputData, options.operatingPoint,
+                                 options.missingStrategy, cb);
+  }
+  combine = function () {
+    votes = new MultiVote(predictions);
+    if (self.boosting) {
+      return votes.boosting(self.boostingOffsets);
+    }
+    return votes.combine(method, options);
+  };
   issuePrediction = function (err, prediction) {
     if (err) {
       return cb(err, null);
     }
     predictions.push(prediction);
     if (predictions.length === self.modelIds.length) {
-      votes = new MultiVote(predictions);
-      return cb(null, votes.combine(method, options));
+      return cb(null, combine());
     }
   };
+  boostedPrediction = function (model) {
+    return function (err, prediction) {
+      return issuePrediction(err, err ? null : addBoosting(model, prediction));
+    };
+  };
 
-  if (this.ready) {
+  if (this.isReady) {
     if ((typeof options !== 'undefined') &&
         (options.hasOwnProperty('missingStrategy'))) {
       missingStrategy = options.missingStrategy;
@@ -246,7 +393,12 @@ LocalEnsemble.prototype.predict = function (inputData, method, options, cb) {
         model = this.modelsSplits[index][splitIndex];
         data = (JSON.parse(JSON.stringify(inputData)));
         if (cb) {
-          model.predict(data, missingStrategy, issuePrediction);
+          model.predict(data, missingStrategy,
+                        this.boosting ? boostedPrediction(model) :
+                          issuePrediction);
+        } else if (this.boosting) {
+          predictions.push(addBoosting(model,
+                                       model.predict(data, missingStrategy)));
         } else {
           predictions.push(model.predict(data, missingStrategy));
         }
@@ -254,17 +406,269 @@ LocalEnsemble.prototype.predict = function (inputData, method, options, cb) {
     }
     this.predictionsOfModels = predictions;
     if (!cb) {
-      votes = new MultiVote(predictions);
-      return votes.combine(method, options);
+      return combine();
     }
   } else {
-    this.on('ready',
+    utils.onReady(this, cb,
             function (self) {return self.predict(inputData,
                                                  method, options, cb); });
     return;
   }
 };
 
+LocalEnsemble.prototype.classScores = function (inputData, missingStrategy,
+                                                key) {
+  /**
+   * Computes the probability or confidence of each class, averaging the
+   * ones of the models in the ensemble. Boosted ensembles use the
+   * probabilities of their combined prediction for both.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {0|1} missingStrategy Code for the chosen missing strategy
+   * @param {string} key `probability`, `confidence` or `votes`, the
+   *                     fraction of models that predict each class
+   */
+  var models, scoresList = [], index, model, data, prediction;
+  if (this.boosting) {
+    prediction = this.predict(inputData, undefined,
+                              {missingStrategy: missingStrategy});
+    if (!prediction.probabilities) {
+      throw new Error('Class scores are only available for classification' +
+                      ' ensembles.');
+    }
+    return prediction.probabilities.map(function (probability) {
+      var item = {category: probability[0]};
+      item[key] = probability[1];
+      return item;
+    }).sort(function (a, b) {
+      return b[key] - a[key];
+    });
+  }
+  models = this.models();
+  for (index = 0; index < models.length; index++) {
+    model = models[index];
+    data = JSON.parse(JSON.stringify(inputData));
+    if (key === 'votes') {
+      // each model votes for its prediction among the objective classes
+      prediction = model.predict(data, missingStrategy).prediction;
+      scoresList.push(model.objectiveClasses().map(function (category) {
+        return {category: category, votes: (category === prediction) ? 1 : 0};
+      }));
+    } else if (key === 'probability') {
+      scoresList.push(model.predictProbability(data, missingStrategy));
+    } else {
+      scoresList.push(model.predictConfidence(data, missingStrategy));
+    }
+  }
+  return averageScores(scoresList, key);
+};
+
+LocalEnsemble.prototype.predictProbability = function (inputData,
+                                                       missingStrategy, cb) {
+  /**
+   * Makes a prediction and returns the probability of each class of the
+   * objective field, sorted by decreasing probability
+   *
+   * @param {object} inputData Input data to predict
+   * @param {0|1} missingStrategy Code for the chosen missing strategy
+   * @param {function} cb Callback
+   */
+  var probabilities;
+  if (arguments.length < 3 && (typeof missingStrategy) === 'function') {
+    cb = missingStrategy;
+    missingStrategy = undefined;
+  }
+  if (this.isReady) {
+    try {
+      probabilities = this.classScores(inputData, missingStrategy,
+                                       'probability');
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, probabilities) : probabilities;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictProbability(inputData, missingStrategy, cb);
+  });
+  return;
+};
+
+LocalEnsemble.prototype.predictConfidence = function (inputData,
+                                                      missingStrategy, cb) {
+  /**
+   * Makes a prediction and returns the confidence of each class of the
+   * objective field, sorted by decreasing confidence
+   *
+   * @param {object} inputData Input data to predict
+   * @param {0|1} missingStrategy Code for the chosen missing strategy
+   * @param {function} cb Callback
+   */
+  var confidences;
+  if (arguments.length < 3 && (typeof missingStrategy) === 'function') {
+    cb = missingStrategy;
+    missingStrategy = undefined;
+  }
+  if (this.isReady) {
+    try {
+      confidences = this.classScores(inputData, missingStrategy,
+                                     'confidence');
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, confidences) : confidences;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictConfidence(inputData, missingStrategy, cb);
+  });
+  return;
+};
+
+LocalEnsemble.prototype.predictOperating = function (inputData,
+                                                     operatingPoint,
+                                                     missingStrategy, cb) {
+  /**
+   * Makes a prediction for an operating point. The positive class is
+   * predicted only when its probability, confidence or fraction of votes
+   * is over the threshold. Otherwise, the class with the highest score
+   * among the rest is predicted.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {object} operatingPoint Operating point: kind (probability,
+   *                                confidence or votes), threshold and
+   *                                positiveClass
+   * @param {0|1} missingStrategy Code for the chosen missing strategy
+   * @param {function} cb Callback
+   */
+  var prediction, kinds;
+  if (this.isReady) {
+    try {
+      // boosted ensembles have no confidences or votes
+      kinds = (this.boosting) ? ['probability'] :
+          ['probability', 'confidence', 'votes'];
+      prediction = utils.operatingPrediction(
+        this.classScores(inputData, missingStrategy,
+                         (kinds.indexOf(operatingPoint.kind) > -1) ?
+                           operatingPoint.kind : 'probability'),
+        operatingPoint, kinds);
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, prediction) : prediction;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictOperating(inputData, operatingPoint, missingStrategy,
+                                 cb);
+  });
+  return;
+};
+
+LocalEnsemble.prototype.models = function () {
+  /**
+   * Returns the list of local models in the ensemble
+   */
+  return [].concat.apply([], this.modelsSplits);
+};
+
+LocalEnsemble.prototype.getFieldImportance = function (cb) {
+  /**
+   * Returns the importance of the fields averaged over the models of the
+   * ensemble, sorted by decreasing importance
+   *
+   * @param {function} cb Callback
+   */
+  var models, importance = {}, fields = {}, index, position, model,
+    modelImportance, field, ranking;
+  if (this.isReady) {
+    models = this.models();
+    for (index = 0; index < models.length; index++) {
+      model = models[index];
+      modelImportance = model.getFieldImportance();
+      for (position = 0; position < modelImportance.length; position++) {
+        field = modelImportance[position].field;
+        fields[field] = model.fields[field];
+        importance[field] = (importance[field] || 0) +
+          modelImportance[position].importance / models.length;
+      }
+    }
+    ranking = utils.fieldsRanking(importance, fields, 'importance');
+    return (cb) ? cb(null, ranking) : ranking;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.getFieldImportance(cb);
+  });
+  return;
+};
+
+LocalEnsemble.prototype.explain = function (inputData, method, options,
+                                            cb) {
+  /**
+   * Makes a combined prediction and explains it by averaging the
+   * contributions of the fields to that prediction in each model of the
+   * ensemble.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {integer} method Combination method, as in `predict`
+   * @param {{threshold: integer, category: string}} options Threshold
+            and category information object
+   * @param {function} cb Callback
+   */
+  var models, explanation, prediction, index, model, modelExplanation,
+    field, contributions = {}, fields = {}, base = 0;
+  if ((typeof method) === 'function' && (typeof cb) === 'undefined') {
+    cb = method;
+    method = undefined;
+  } else if ((typeof options) === 'function' && (typeof cb) === 'undefined') {
+    cb = options;
+    options = undefined;
+  }
+  if (this.isReady) {
+    try {
+      prediction = this.predict(JSON.parse(JSON.stringify(inputData)),
+                                method, options).prediction;
+      models = this.models();
+      for (index = 0; index < models.length; index++) {
+        model = models[index];
+        modelExplanation = model.contributions(
+          model.validateInput(JSON.parse(JSON.stringify(inputData))),
+          prediction);
+        base += modelExplanation.base / models.length;
+        for (field in modelExplanation.contributions) {
+          if (modelExplanation.contributions.hasOwnProperty(field)) {
+            fields[field] = model.fields[field];
+            contributions[field] = (contributions[field] || 0) +
+              modelExplanation.contributions[field] / models.length;
+          }
+        }
+      }
+      explanation = {
+        prediction: prediction,
+        base: base,
+        contributions: utils.fieldsRanking(contributions, fields,
+                                           'contribution')
+      };
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, explanation) : explanation;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.explain(inputData, method, options, cb);
+  });
+  return;
+};
+
 if (NODEJS) {
   module.exports = LocalEnsemble;
 } else {
@@ -0,0 +1,336 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+"use strict";
+
+var utils = require('./utils');
+var LocalModel = require('./LocalModel');
+var LocalEnsemble = require('./LocalEnsemble');
+var LocalLogisticRegression = require('./LocalLogisticRegression');
+var LocalBatchPredictor = require('./LocalBatchPredictor');
+
+// Name of the column where the batch predictor stores the predictions
+var PREDICTION_COLUMN = '__prediction__';
+
+
+function objectiveInfo(predictor) {
+  /**
+   * Returns the objective field id and the fields structure of a ready
+   * predictor
+   *
+   * @param {object} predictor Local model, ensemble or logistic regression
+   */
+  var model = predictor;
+  if (predictor instanceof LocalEnsemble) {
+    model = predictor.modelsSplits[0][0];
+  }
+  if (model instanceof LocalModel) {
+    return {id: [].concat(model.tree.objectiveField)[0],
+            fields: model.fields};
+  }
+  return {id: [].concat(predictor.objectiveField)[0],
+          fields: predictor.fields};
+}
+
+
+function divide(numerator, denominator) {
+  return (denominator === 0) ? 0 : numerator / denominator;
+}
+
+
+function average(values) {
+  var index, total = 0;
+  for (index = 0; index < values.length; index++) {
+    total += values[index];
+  }
+  return divide(total, values.length);
+}
+
+
+function classificationMetrics(classNames, confusionMatrix) {
+  /**
+   * Computes the metrics of a classification evaluation given its confusion
+   * matrix, where rows are actual classes and columns predicted classes.
+   *
+   * @param {array} classNames Sorted list of classes
+   * @param {array} confusionMatrix Counts of actual/predicted classes
+   */
+  var total = 0, correct = 0, index, column, perClass = [], actual, predicted,
+    truePositives, falsePositives, falseNegatives, trueNegatives, precision,
+    recall, length = classNames.length, rowTotals = [], columnTotals = [];
+  for (index = 0; index < length; index++) {
+    rowTotals.push(0);
+    columnTotals.push(0);
+  }
+  for (index = 0; index < length; index++) {
+    for (column = 0; column < length; column++) {
+      rowTotals[index] += confusionMatrix[index][column];
+      columnTotals[column] += confusionMatrix[index][column];
+      total += confusionMatrix[index][column];
+    }
+    correct += confusionMatrix[index][index];
+  }
+  for (index = 0; index < length; index++) {
+    actual = rowTotals[index];
+    predicted = columnTotals[index];
+    truePositives = confusionMatrix[index][index];
+    falsePositives = predicted - truePositives;
+    falseNegatives = actual - truePositives;
+    trueNegatives = total - truePositives - falsePositives - falseNegatives;
+    precision = divide(truePositives, predicted);
+    recall = divide(truePositives, actual);
+    perClass.push({
+      class_name: classNames[index],
+      accuracy: divide(truePositives + trueNegatives, total),
+      precision: precision,
+      recall: recall,
+      f_measure: divide(2 * precision * recall, precision + recall),
+      phi_coefficient: divide(
+        truePositives * trueNegatives - falsePositives * falseNegatives,
+        Math.sqrt(predicted * actual * (trueNegatives + falsePositives) *
+                  (trueNegatives + falseNegatives))),
+      present_in_test_data: actual > 0
+    });
+  }
+  function averageOf(metric) {
+    return average(perClass.map(function (classStatistics) {
+      return classStatistics[metric];
+    }));
+  }
+  return {
+    accuracy: divide(correct, total),
+    average_f_measure: averageOf('f_measure'),
+    average_phi: averageOf('phi_coefficient'),
+    average_precision: averageOf('precision'),
+    average_recall: averageOf('recall'),
+    confusion_matrix: confusionMatrix,
+    per_class_statistics: perClass
+  };
+}
+
+
+function regressionMetrics(actuals, absoluteErrors, squaredErrors) {
+  /**
+   * Computes the metrics of a regression evaluation
+   *
+   * @param {array} actuals Actual values of the objective field
+   * @param {array} absoluteErrors (Expected) absolute error for each value
+   * @param {array} squaredErrors (Expected) squared error for each value
+   */
+  var mean = average(actuals), index, totalSquares = 0,
+    meanSquaredError = average(squaredErrors);
+  for (index = 0; index < actuals.length; index++) {
+    totalSquares += Math.pow(actuals[index] - mean, 2);
+  }
+  return {
+    mean_absolute_error: average(absoluteErrors),
+    mean_squared_error: meanSquaredError,
+    r_squared: 1 - divide(meanSquaredError * actuals.length, totalSquares)
+  };
+}
+
+
+function emptyMatrix(length) {
+  var matrix = [], index, column;
+  for (index = 0; index < length; index++) {
+    matrix.push([]);
+    for (column = 0; column < length; column++) {
+      matrix[index].push(0);
+    }
+  }
+  return matrix;
+}
+
+
+/**
+ * LocalEvaluator: evaluations of local predictors.
+ * @constructor
+ */
+function LocalEvaluator(predictor, args) {
+  /**
+   * Constructor for the local evaluator.
+   *
+   * @param {object} predictor Local model, ensemble or logistic regression
+   * @param {object} args Options for the predictor: method and
+   *                      missing_strategy
+   */
+  if (!(predictor instanceof LocalModel ||
+        predictor instanceof LocalEnsemble ||
+        predictor instanceof LocalLogisticRegression)) {
+    throw new Error('Cannot evaluate this object. A local model, ensemble' +
+                    ' or logistic regression is expected.');
+  }
+  this.predictor = predictor;
+  this.args = args || {};
+}
+
+LocalEvaluator.prototype.evaluate = utils.promisify(function (input, cb) {
+  /**
+   * Evaluates the predictor using the rows in the input, which must
+   * contain the objective field. The result has the structure of the
+   * `result` attribute in BigML evaluations: the metrics of the model and
+   * those of the mode (or mean) and random baselines.
+   *
+   * @param {string|object} input Path to a CSV file with a headers row, a
+   *                              readable stream of CSV contents or an
+   *                              object stream of rows
+   * @param {function} cb Callback
+   */
+  var self = this, key, batchArgs = {all_fields: true,
+                                     prediction_name: PREDICTION_COLUMN};
+  function evaluateRows(error, rows) {
+    var info, objective, pairs = [], index, actual;
+    if (error) {
+      return cb(error, null);
+    }
+    try {
+      info = objectiveInfo(self.predictor);
+      objective = info.fields[info.id];
+      for (index = 0; index < rows.length; index++) {
+        actual = rows[index].hasOwnProperty(objective.name) ?
+          rows[index][objective.name] : rows[index][info.id];
+        // rows with no objective value cannot be evaluated
+        if ((typeof actual) !== 'undefined' && actual !== null &&
+            actual !== '') {
+          pairs.push({actual: actual,
+                      predicted: rows[index][PREDICTION_COLUMN]});
+        }
+      }
+      if (objective.optype === 'numeric') {
+        return cb(null, self.evaluateRegression(pairs, objective));
+      }
+      return cb(null, self.evaluateClassification(pairs, objective));
+    } catch (err) {
+      return cb(err, null);
+    }
+  }
+  for (key in this.args) {
+    if (this.args.hasOwnProperty(key)) {
+      batchArgs[key] = this.args[key];
+    }
+  }
+  new LocalBatchPredictor(this.predictor, batchArgs).predict(input,
+                                                             evaluateRows);
+});
+
+LocalEvaluator.prototype.evaluateClassification = function (pairs,
+                                                            objective) {
+  /**
+   * Builds the confusion matrices of the model, the mode and the random
+   * baselines and their metrics.
+   *
+   * @param {array} pairs Actual and predicted classes
+   * @param {object} objective Objective field structure
+   */
+  var classNames = [], counts = {}, summary = objective.summary || {},
+    categories = summary.categories, mode, index, actual, predicted,
+    modelMatrix, modeMatrix, randomMatrix, column, length;
+  function addClass(name) {
+    name = String(name);
+    if (classNames.indexOf(name) < 0) {
+      classNames.push(name);
+    }
+    return name;
+  }
+  for (index = 0; index < pairs.length; index++) {
+    actual = addClass(pairs[index].actual);
+    counts[actual] = (counts[actual] || 0) + 1;
+    addClass(pairs[index].predicted);
+  }
+  // the mode is taken from the training data when available
+  if (utils.isArray(categories) && categories.length > 0) {
+    mode = String(categories[0][0]);
+    for (index = 0; index < categories.length; index++) {
+      addClass(categories[index][0]);
+    }
+  } else {
+    for (actual in counts) {
+      if (counts.hasOwnProperty(actual) &&
+          ((typeof mode) === 'undefined' || counts[actual] > counts[mode])) {
+        mode = actual;
+      }
+    }
+  }
+  classNames.sort();
+  length = classNames.length;
+  modelMatrix = emptyMatrix(length);
+  modeMatrix = emptyMatrix(length);
+  randomMatrix = emptyMatrix(length);
+  for (index = 0; index < pairs.length; index++) {
+    actual = classNames.indexOf(String(pairs[index].actual));
+    predicted = classNames.indexOf(String(pairs[index].predicted));
+    modelMatrix[actual][predicted] += 1;
+    modeMatrix[actual][classNames.indexOf(mode)] += 1;
+    // random predictions are expected to be uniformly distributed
+    for (column = 0; column < length; column++) {
+      randomMatrix[actual][column] += 1 / length;
+    }
+  }
+  return {
+    class_names: classNames,
+    model: classificationMetrics(classNames, modelMatrix),
+    mode: classificationMetrics(classNames, modeMatrix),
+    random: classificationMetrics(classNames, randomMatrix)
+  };
+};
+
+LocalEvaluator.prototype.evaluateRegression = function (pairs, objective) {
+  /**
+   * Computes the errors of the model, the mean and the random baselines.
+   *
+   * @param {array} pairs Actual and predicted values
+   * @param {object} objective Objective field structure
+   */
+  var actuals = [], model = {absolute: [], squared: []},
+    mean = {absolute: [], squared: []}, random = {absolute: [], squared: []},
+    summary = objective.summary || {}, index, actual, error, meanValue,
+    minimum, maximum, range;
+  for (index = 0; index < pairs.length; index++) {
+    actuals.push(parseFloat(pairs[index].actual));
+  }
+  // the mean is taken from the training data when available
+  meanValue = ((typeof summary.mean) === 'number') ? summary.mean :
+      average(actuals);
+  minimum = Math.min.apply(null, actuals);
+  maximum = Math.max.apply(null, actuals);
+  range = maximum - minimum;
+  for (index = 0; index < pairs.length; index++) {
+    actual = actuals[index];
+    error = actual - pairs[index].predicted;
+    model.absolute.push(Math.abs(error));
+    model.squared.push(error * error);
+    error = actual - meanValue;
+    mean.absolute.push(Math.abs(error));
+    mean.squared.push(error * error);
+    // expected errors of predictions uniformly distributed in the range
+    if (range === 0) {
+      random.absolute.push(0);
+      random.squared.push(0);
+    } else {
+      random.absolute.push((Math.pow(actual - minimum, 2) +
+                            Math.pow(maximum - actual, 2)) / (2 * range));
+      random.squared.push((Math.pow(actual - minimum, 3) +
+                           Math.pow(maximum - actual, 3)) / (3 * range));
+    }
+  }
+  return {
+    model: regressionMetrics(actuals, model.absolute, model.squared),
+    mean: regressionMetrics(actuals, mean.absolute, mean.squared),
+    random: regressionMetrics(actuals, random.absolute, random.squared)
+  };
+};
+
+module.exports = LocalEvaluator;
@@ -126,7 +126,8 @@ function LocalLogisticRegression(resource, connection) {
   this.objectiveField = undefined;
   this.description = undefined;
   this.locale = undefined;
-  this.ready = undefined;
+  this.isReady = undefined;
+  this.error = undefined;
   this.resourceId = undefined;
   this.termForms = {};
   this.tagClouds = {};
@@ -287,7 +288,7 @@ function LocalLogisticRegression(resource, connection) {
         }
         self.description = resource.description;
         self.locale = resource.locale || constants.DEFAULT_LOCALE;
-        self.ready = true;
+        self.isReady = true;
         if (NODEJS) {
           self.emit('ready', self);
         }
@@ -313,16 +314,17 @@ function LocalLogisticRegression(resource, connection) {
       try {
         fs.readFile(resource, 'utf8', function (err, data) {
           if (err) {
-            throw new Error('Failed to read local logistic regression file: ' +
-                            resource);
+            return utils.loadFailed(self, new Error(
+              'Failed to read local logistic regression file: ' + resource));
           }
           try {
-            resource = JSON.parse(data);
-            fillStructure(null, resource);
+            data = JSON.parse(data);
           } catch (jsonErr) {
-            throw new Error('Failed to parse the JSON logistic regression' +
-                            ' in: ' + resource);
+            return utils.loadFailed(self, new Error(
+              'Failed to parse the JSON logistic regression in: ' +
+                resource));
           }
+          utils.loadCallback(self, fillStructure)(null, data);
         });
       } catch (errf) {
         // if no file is read, throw error reading file
@@ -334,7 +336,8 @@ function LocalLogisticRegression(resource, connection) {
       // if a resource id has been found, then load the logistic regression
       logisticRegression = new LogisticRegression(connection);
       logisticRegression.get(this.resourceId.resource, true,
-                             constants.ONLY_MODEL, fillStructure);
+                             constants.ONLY_MODEL,
+                             utils.loadCallback(self, fillStructure));
     }
 
   } else {
@@ -350,15 +353,33 @@ if (NODEJS) {
   util.inherits(LocalLogisticRegression, events.EventEmitter);
 }
 
-LocalLogisticRegression.prototype.predict = function (inputData, cb) {
+LocalLogisticRegression.prototype.ready = function () {
+  /**
+   * Returns a Promise that is resolved with the local logistic regression
+   * once its resource is loaded or rejected with the error that prevented
+   * loading it.
+   */
+  return utils.readyPromise(this);
+};
+
+LocalLogisticRegression.prototype.predict = function (inputData, options,
+                                                      cb) {
   /**
    * Makes a prediction based on a number of field values.
    *
    * The input fields must be keyed by field name or field id.
    * @param {object} inputData Input data to predict
+   * @param {object} options Prediction options: operatingPoint
    * @param {function} cb Callback
    */
   var newInputData = {}, field, prediction, self = this;
+  if ((typeof options) === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  if (options && options.operatingPoint) {
+    return this.predictOperating(inputData, options.operatingPoint, cb);
+  }
 
   function createLocalPrediction(error, data) {
     /**
@@ -374,7 +395,7 @@ LocalLogisticRegression.prototype.predict = function (inputData, cb) {
     return cb(null, prediction);
   }
 
-  if (this.ready) {
+  if (this.isReady) {
     if (cb) {
       this.validateInput(inputData, createLocalPrediction);
     } else {
@@ -382,14 +403,103 @@ LocalLogisticRegression.prototype.predict = function (inputData, cb) {
       return prediction;
     }
   } else {
-    this.on('ready', function (self) {
-      return self.predict(inputData, cb);
+    utils.onReady(this, cb, function (self) {
+      return self.predict(inputData, options, cb);
     });
     return;
   }
 };
 
 
+LocalLogisticRegression.prototype.predictProbability = function (inputData,
+                                                                 cb) {
+  /**
+   * Makes a prediction and returns the probability of each class of the
+   * objective field, sorted by decreasing probability.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {function} cb Callback
+   */
+  var probabilities;
+  if (this.isReady) {
+    try {
+      probabilities = this.predict(inputData).distribution;
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, probabilities) : probabilities;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictProbability(inputData, cb);
+  });
+  return;
+};
+
+LocalLogisticRegression.prototype.predictConfidence = function (inputData,
+                                                                cb) {
+  /**
+   * Makes a prediction and returns the confidence of each class of the
+   * objective field, sorted by decreasing confidence. Logistic regressions
+   * use the probability of each class as its confidence.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {function} cb Callback
+   */
+  var confidences;
+  if (this.isReady) {
+    try {
+      confidences = this.predictProbability(inputData).map(function (item) {
+        return {category: item.category, confidence: item.probability};
+      });
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, confidences) : confidences;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictConfidence(inputData, cb);
+  });
+  return;
+};
+
+
+LocalLogisticRegression.prototype.predictOperating = function (
+  inputData, operatingPoint, cb) {
+  /**
+   * Makes a prediction for an operating point. The positive class is
+   * predicted only when its probability is over the threshold. Otherwise,
+   * the class with the highest probability among the rest is predicted.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {object} operatingPoint Operating point: kind (probability),
+   *                                threshold and positiveClass
+   * @param {function} cb Callback
+   */
+  var prediction;
+  if (this.isReady) {
+    try {
+      prediction = utils.operatingPrediction(
+        this.predictProbability(inputData), operatingPoint, ['probability']);
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, prediction) : prediction;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictOperating(inputData, operatingPoint, cb);
+  });
+  return;
+};
+
 LocalLogisticRegression.prototype.logisticPredict = function (inputData) {
   /**
    * Computes the prediction based on the coefficients of the logistic
@@ -679,7 +789,7 @@ LocalLogisticRegression.prototype.validateInput = function (inputData, cb) {
    * @param {function} cb Callback
    */
   var newInputData = {}, field, inputDataKey, fieldId;
-  if (this.ready) {
+  if (this.isReady) {
     if (!this.missingNumerics) {
       for (fieldId in this.fields) {
         if (this.fields.hasOwnProperty(fieldId)) {
@@ -725,7 +835,7 @@ LocalLogisticRegression.prototype.validateInput = function (inputData, cb) {
     }
     return inputData;
   }
-  this.on('ready', function (self) {
+  utils.onReady(this, cb, function (self) {
     return self.validateInput(inputData, cb);
   });
   return;
@@ -30,6 +30,89 @@ if (NODEJS) {
 }
 
 
+// Code of the generated predictors that builds the input object keyed by
+// field id. FIELDS is replaced by the name of each field in the predicates
+// and whether it is numeric.
+var GENERATED_INPUT = [
+  '  var fields = FIELDS, input = {}, fieldId, value;',
+  '  for (fieldId in fields) {',
+  '    if (fields.hasOwnProperty(fieldId)) {',
+  '      value = data.hasOwnProperty(fields[fieldId][0]) ?',
+  '        data[fields[fieldId][0]] : data[fieldId];',
+  '      if ((typeof value) !== "undefined" && value !== null) {',
+  '        input[fieldId] = (fields[fieldId][1] &&',
+  '                          (typeof value) === "string") ?',
+  '          parseFloat(value) : value;',
+  '      }',
+  '    }',
+  '  }'
+];
+
+// Code of the generated predictors that counts the occurrences of terms
+var GENERATED_TERM_COUNT = [
+  '  function termCount(text, terms, fullTerm, caseSensitive) {',
+  '    var matches;',
+  '    if (fullTerm) {',
+  '      if (!caseSensitive) {',
+  '        return (text.toLowerCase() == terms[0].toLowerCase()) ? 1 : 0;',
+  '      }',
+  '      return (text == terms[0]) ? 1 : 0;',
+  '    }',
+  '    matches = text.match(new RegExp(',
+  '      "(\\\\b|_)" + terms.join("(\\\\b|_)|(\\\\b|_)") + "(\\\\b|_)",',
+  '      caseSensitive ? "g" : "gi"));',
+  '    return (matches === null) ? 0 : matches.length;',
+  '  }'
+];
+
+// Code of the generated predictors that checks the presence of items
+var GENERATED_ITEM_COUNT = [
+  '  function itemCount(text, item, separator) {',
+  '    return (text.split(new RegExp(separator)).indexOf(item) > -1) ? 1 : 0;',
+  '  }'
+];
+
+
+function classScores(model, prediction, score, key) {
+  /**
+   * Builds the list of classes of a classification model and the score of
+   * each of them for a prediction, sorted by decreasing score
+   *
+   * @param {object} model Local model
+   * @param {object} prediction Prediction of the model
+   * @param {function} score Function that computes the score of a class
+   *                         given the counts per class in the prediction
+   *                         node and their total
+   * @param {string} key Attribute used to store the score
+   */
+  var classes, counts = {}, total = 0, index, scores = [], item,
+    distribution = prediction.distribution || [];
+  if (model.tree.regression) {
+    throw new Error('Class scores are only available for classification' +
+                    ' models.');
+  }
+  classes = model.objectiveClasses();
+  for (index = 0; index < classes.length; index++) {
+    counts[classes[index]] = 0;
+  }
+  for (index = 0; index < distribution.length; index++) {
+    if (!counts.hasOwnProperty(distribution[index][0])) {
+      classes.push(distribution[index][0]);
+    }
+    counts[distribution[index][0]] = distribution[index][1];
+    total += distribution[index][1];
+  }
+  for (index = 0; index < classes.length; index++) {
+    item = {category: classes[index]};
+    item[key] = score(classes[index], counts, total, classes.length);
+    scores.push(item);
+  }
+  return scores.sort(function (a, b) {
+    return b[key] - a[key];
+  });
+}
+
+
 /**
  * LocalModel: Simplified local object for the model resource.
  * @constructor
@@ -49,9 +132,12 @@ function LocalModel(resource, connection) {
   this.fields = undefined;
   this.invertedFields = undefined;
   this.tree = undefined;
+  this.fieldImportance = undefined;
+  this.boosting = undefined;
   this.description = undefined;
   this.locale = undefined;
-  this.ready = undefined;
+  this.isReady = undefined;
+  this.error = undefined;
 
   self = this;
   fillStructure = function (error, resource) {
@@ -97,10 +183,13 @@ function LocalModel(resource, connection) {
         self.invertedFields = utils.invertObject(fields);
         self.tree = new Tree(resource.model.root, fields,
                              resource['objective_fields'],
-                             resource.model.distribution.training);
+                             (resource.model.distribution || {}).training);
+        self.fieldImportance = resource.model.importance;
+        // models in boosted ensembles store their weight and objective class
+        self.boosting = resource.boosting;
         self.description = resource.description;
         self.locale = resource.locale || constants.DEFAULT_LOCALE;
-        self.ready = true;
+        self.isReady = true;
         if (NODEJS) {
           self.emit('ready', self);
         }
@@ -124,14 +213,16 @@ function LocalModel(resource, connection) {
       try {
         fs.readFile(resource, 'utf8', function (err, data) {
           if (err) {
-            throw new Error('Failed to read local model file: ' + resource);
+            return utils.loadFailed(self, new Error(
+              'Failed to read local model file: ' + resource));
           }
           try {
-            resource = JSON.parse(data);
-            fillStructure(null, resource);
+            data = JSON.parse(data);
           } catch (jsonErr) {
-            throw new Error('Failed to parse the JSON model in: ' + resource);
+            return utils.loadFailed(self, new Error(
+              'Failed to parse the JSON model in: ' + resource));
           }
+          utils.loadCallback(self, fillStructure)(null, data);
         });
       } catch (errf) {
         // if no file is read, throw error reading file
@@ -142,7 +233,7 @@ function LocalModel(resource, connection) {
       // if a resource id has been found, then load the model
       model = new Model(connection);
       model.get(this.resourceId.resource, true,
-                constants.ONLY_MODEL, fillStructure);
+                constants.ONLY_MODEL, utils.loadCallback(self, fillStructure));
     }
   } else {
   // loads when the entire resource is given
@@ -157,6 +248,14 @@ if (NODEJS) {
   util.inherits(LocalModel, events.EventEmitter);
 }
 
+LocalModel.prototype.ready = function () {
+  /**
+   * Returns a Promise that is resolved with the local model once its
+   * resource is loaded or rejected with the error that prevented loading it.
+   */
+  return utils.readyPromise(this);
+};
+
 LocalModel.prototype.predict = function (inputData, missingStrategy,
                                          median, cb) {
   /**
@@ -164,9 +263,13 @@ LocalModel.prototype.predict = function (inputData, missingStrategy,
    *
    * The input fields must be keyed by field name or field id.
    * @param {object} inputData Input data to predict
+   * @param {0|1|object} missingStrategy Code for the chosen missing strategy
+   *                     or an options object with the missingStrategy,
+   *                     median and operatingPoint attributes
+   * @param {boolean} median Predicts the median in regressions
    * @param {function} cb Callback
    */
-  var newInputData = {}, field, prediction, self = this;
+  var newInputData = {}, field, prediction, options, self = this;
   if (arguments.length < 3 && (typeof missingStrategy === 'function')) {
     // downgrading gently to old syntax with no missingStrategy
     return self.predict(inputData, undefined, false, missingStrategy);
@@ -175,6 +278,15 @@ LocalModel.prototype.predict = function (inputData, missingStrategy,
     // downgrading gently to old syntax with no median
     return self.predict(inputData, missingStrategy, false, median);
   }
+  if (missingStrategy !== null && (typeof missingStrategy) === 'object') {
+    options = missingStrategy;
+    if (options.operatingPoint) {
+      return self.predictOperating(inputData, options.operatingPoint,
+                                   options.missingStrategy, cb);
+    }
+    return self.predict(inputData, options.missingStrategy,
+                        options.median || false, cb);
+  }
 
   function createLocalPrediction(error, data) {
     /**
@@ -190,7 +302,7 @@ LocalModel.prototype.predict = function (inputData, missingStrategy,
                                    []);
     return cb(null, prediction);
   }
-  if (this.ready) {
+  if (this.isReady) {
     if (cb) {
       this.validateInput(inputData, createLocalPrediction);
     } else {
@@ -203,7 +315,7 @@ LocalModel.prototype.predict = function (inputData, missingStrategy,
       return prediction;
     }
   } else {
-    this.on('ready', function (self) {
+    utils.onReady(this, cb, function (self) {
       return self.predict(inputData, missingStrategy, median, cb);
     });
     return;
@@ -219,7 +331,7 @@ LocalModel.prototype.validateInput = function (inputData, cb) {
    * @param {function} cb Callback
    */
   var newInputData = {}, field, inputDataKey;
-  if (this.ready) {
+  if (this.isReady) {
     for (field in inputData) {
       if (inputData.hasOwnProperty(field)) {
         if (inputData[field] === null ||
@@ -251,12 +363,421 @@ LocalModel.prototype.validateInput = function (inputData, cb) {
     }
     return inputData;
   }
-  this.on('ready', function (self) {
+  utils.onReady(this, cb, function (self) {
     return self.validateInput(inputData, cb);
   });
   return;
 };
 
+LocalModel.prototype.objectiveClasses = function () {
+  /**
+   * Returns the list of classes of the objective field, as found in its
+   * summary or in the training distribution
+   */
+  var objective = this.fields[[].concat(this.tree.objectiveField)[0]],
+    categories = (objective.summary && objective.summary.categories) ||
+      this.tree.distribution || [];
+  return categories.map(function (category) {
+    return category[0];
+  });
+};
+
+LocalModel.prototype.predictProbability = function (inputData,
+                                                    missingStrategy, cb) {
+  /**
+   * Makes a prediction and returns the probability of each class of the
+   * objective field, sorted by decreasing probability. Probabilities are
+   * Laplace-smoothed versions of the class frequencies in the
+   * prediction node.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {0|1} missingStrategy Code for the chosen missing strategy
+   * @param {function} cb Callback
+   */
+  var probabilities;
+  if (arguments.length < 3 && (typeof missingStrategy) === 'function') {
+    cb = missingStrategy;
+    missingStrategy = undefined;
+  }
+  if (this.isReady) {
+    try {
+      probabilities = classScores(
+        this, this.predict(inputData, missingStrategy),
+        function (category, counts, total, classesNumber) {
+          return (counts[category] + 1 / classesNumber) / (total + 1);
+        }, 'probability');
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, probabilities) : probabilities;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictProbability(inputData, missingStrategy, cb);
+  });
+  return;
+};
+
+LocalModel.prototype.predictConfidence = function (inputData,
+                                                   missingStrategy, cb) {
+  /**
+   * Makes a prediction and returns the confidence of each class of the
+   * objective field, sorted by decreasing confidence. The confidence is
+   * the lower bound of the Wilson score interval of the class in the
+   * prediction node.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {0|1} missingStrategy Code for the chosen missing strategy
+   * @param {function} cb Callback
+   */
+  var confidences;
+  if (arguments.length < 3 && (typeof missingStrategy) === 'function') {
+    cb = missingStrategy;
+    missingStrategy = undefined;
+  }
+  if (this.isReady) {
+    try {
+      confidences = classScores(
+        this, this.predict(inputData, missingStrategy),
+        function (category, counts, total) {
+          return (total === 0) ? 0 :
+              utils.wsConfidence(category, counts, total);
+        }, 'confidence');
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, confidences) : confidences;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictConfidence(inputData, missingStrategy, cb);
+  });
+  return;
+};
+
+LocalModel.prototype.predictOperating = function (inputData, operatingPoint,
+                                                  missingStrategy, cb) {
+  /**
+   * Makes a prediction for an operating point. The positive class is
+   * predicted only when its probability or confidence is over the
+   * threshold. Otherwise, the class with the highest score among the rest
+   * is predicted.
+   *
+   * @param {object} inputData Input data to predict
+   * @param {object} operatingPoint Operating point: kind (probability or
+   *                                confidence), threshold and positiveClass
+   * @param {0|1} missingStrategy Code for the chosen missing strategy
+   * @param {function} cb Callback
+   */
+  var prediction, scores;
+  if (this.isReady) {
+    try {
+      scores = (operatingPoint.kind === 'confidence') ?
+          this.predictConfidence(inputData, missingStrategy) :
+          this.predictProbability(inputData, missingStrategy);
+      prediction = utils.operatingPrediction(scores, operatingPoint,
+                                             ['probability', 'confidence']);
+    } catch (err) {
+      if (cb) {
+        return cb(err, null);
+      }
+      throw err;
+    }
+    return (cb) ? cb(null, prediction) : prediction;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.predictOperating(inputData, operatingPoint, missingStrategy,
+                                 cb);
+  });
+  return;
+};
+
+LocalModel.prototype.generateCode = function (functionName, cb) {
+  /**
+   * Generates the code of a standalone JavaScript function that predicts
+   * using the model's tree. The function receives the input data keyed by
+   * field name or id and returns the prediction and its confidence.
+   *
+   * @param {string} functionName Name of the generated function. Defaults
+   *                              to predict + objective field name
+   * @param {function} cb Callback
+   */
+  var optypes = {}, body, code, fieldId, fieldsMap = {}, objectiveName,
+    textFields = false, itemsFields = false;
+  if ((typeof functionName) === 'function') {
+    cb = functionName;
+    functionName = undefined;
+  }
+  if (this.isReady) {
+    objectiveName = this.objectiveName();
+    if ((typeof functionName) === 'undefined' || functionName === null) {
+      functionName = 'predict' + objectiveName.replace(
+        /(^|[^a-zA-Z0-9]+)([a-zA-Z0-9])/g,
+        function (match, separator, character) {
+          return character.toUpperCase();
+        });
+    }
+    body = this.tree.toCode(0, optypes);
+    for (fieldId in optypes) {
+      if (optypes.hasOwnProperty(fieldId)) {
+        fieldsMap[fieldId] = [this.fields[fieldId].name,
+                              optypes[fieldId] === 'numeric'];
+        textFields = textFields || optypes[fieldId] === 'text';
+        itemsFields = itemsFields || optypes[fieldId] === 'items';
+      }
+    }
+    code = '/**\n * Predictor for ' + objectiveName + ' generated from ' +
+      this.resourceId.resource + '\n *\n' +
+      ' * @param {object} data Input data keyed by field name or id\n */\n' +
+      'function ' + functionName + '(data) {\n' +
+      GENERATED_INPUT.join('\n').replace('FIELDS',
+                                          JSON.stringify(fieldsMap)) + '\n';
+    if (textFields) {
+      code += GENERATED_TERM_COUNT.join('\n') + '\n';
+    }
+    if (itemsFields) {
+      code += GENERATED_ITEM_COUNT.join('\n') + '\n';
+    }
+    code += body + '}\n';
+    return (cb) ? cb(null, code) : code;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.generateCode(functionName, cb);
+  });
+  return;
+};
+
+LocalModel.prototype.objectiveName = function () {
+  /**
+   * Returns the name of the objective field
+   */
+  return this.fields[[].concat(this.tree.objectiveField)[0]].name;
+};
+
+LocalModel.prototype.rules = function (cb) {
+  /**
+   * Returns the rules of the model as nested IF/THEN statements
+   *
+   * @param {function} cb Callback
+   */
+  var rules;
+  if (this.isReady) {
+    rules = this.tree.toRules(0, this.objectiveName());
+    return (cb) ? cb(null, rules) : rules;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.rules(cb);
+  });
+  return;
+};
+
+LocalModel.prototype.summarize = function (cb) {
+  /**
+   * Returns a summary of the model: the distribution of the objective field
+   * in the training data, the distribution of the predictions in the
+   * leaves and the importance of the fields
+   *
+   * @param {function} cb Callback
+   */
+  var summary, predictions = {}, leaves, index, output, importance;
+  function distributionLines(distribution) {
+    var lines = '', total = 0, element;
+    for (element = 0; element < distribution.length; element++) {
+      total += distribution[element][1];
+    }
+    for (element = 0; element < distribution.length; element++) {
+      lines += '    ' + distribution[element][0] + ': ' +
+        (100 * distribution[element][1] / total).toFixed(2) + '% (' +
+        distribution[element][1] + ' ' +
+        utils.plural('instance', distribution[element][1]) + ')\n';
+    }
+    return lines;
+  }
+  function byValue(a, b) {
+    return (a[0] < b[0]) ? -1 : ((a[0] > b[0]) ? 1 : 0);
+  }
+  if (this.isReady) {
+    leaves = this.tree.leaves();
+    for (index = 0; index < leaves.length; index++) {
+      output = leaves[index].node.output;
+      predictions[output] = (predictions[output] || 0) +
+        leaves[index].node.count;
+    }
+    summary = 'Data distribution:\n' +
+      distributionLines((this.tree.distribution || []).slice().sort(byValue)) +
+      '\nPredicted distribution:\n' +
+      distributionLines(Object.keys(predictions).map(function (output) {
+        return [output, predictions[output]];
+      }).sort(byValue));
+    if (utils.isArray(this.fieldImportance)) {
+      summary += '\nField importance:\n';
+      for (index = 0; index < this.fieldImportance.length; index++) {
+        importance = this.fieldImportance[index];
+        summary += '    ' + (index + 1) + '. ' +
+          this.fields[importance[0]].name + ': ' +
+          (100 * importance[1]).toFixed(2) + '%\n';
+      }
+    }
+    return (cb) ? cb(null, summary) : summary;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.summarize(cb);
+  });
+  return;
+};
+
+LocalModel.prototype.toDot = function (cb) {
+  /**
+   * Returns the tree of the model in Graphviz DOT format. Nodes are
+   * labelled with their prediction, confidence and number of instances
+   * and edges with the rule of the split.
+   *
+   * @param {function} cb Callback
+   */
+  var self = this, dot, lastId = 0, objectiveName;
+  function nodeDot(node, id) {
+    var text = '  n' + id + ' [label=' + JSON.stringify(
+      objectiveName + ' = ' + node.output + '\nconfidence: ' +
+        node.confidence + '\ninstances: ' + node.count) + '];\n',
+      index, child, childId;
+    for (index = 0; index < node.children.length; index++) {
+      child = node.children[index];
+      lastId += 1;
+      childId = lastId;
+      text += '  n' + id + ' -> n' + childId + ' [label=' +
+        JSON.stringify(child.predicate.toRule(self.fields).trim()) + '];\n' +
+        nodeDot(child, childId);
+    }
+    return text;
+  }
+  if (this.isReady) {
+    objectiveName = this.objectiveName();
+    dot = 'digraph ' + JSON.stringify(this.resourceId.resource) + ' {\n' +
+      '  node [shape=box];\n' + nodeDot(this.tree, 0) + '}\n';
+    return (cb) ? cb(null, dot) : dot;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.toDot(cb);
+  });
+  return;
+};
+
+LocalModel.prototype.toRulesJSON = function (cb) {
+  /**
+   * Returns the list of rules that lead to each leaf of the tree. Each rule
+   * contains the text of its conditions, the predicates, the prediction,
+   * its confidence and the number of instances in the leaf.
+   *
+   * @param {function} cb Callback
+   */
+  var self = this, rules;
+  if (this.isReady) {
+    rules = this.tree.leaves().map(function (leaf) {
+      return {
+        conditions: leaf.path.map(function (predicate) {
+          return predicate.toRule(self.fields).trim();
+        }),
+        predicates: leaf.path.map(function (predicate) {
+          return predicate.toJSON();
+        }),
+        prediction: leaf.node.output,
+        confidence: leaf.node.confidence,
+        count: leaf.node.count
+      };
+    });
+    return (cb) ? cb(null, rules) : rules;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.toRulesJSON(cb);
+  });
+  return;
+};
+
+LocalModel.prototype.getFieldImportance = function (cb) {
+  /**
+   * Returns the importance of the fields in the model, as computed by
+   * BigML, sorted by decreasing importance. Each element contains the
+   * field id, its name and its importance.
+   *
+   * @param {function} cb Callback
+   */
+  var importance = {}, index, ranking;
+  if (this.isReady) {
+    if (utils.isArray(this.fieldImportance)) {
+      for (index = 0; index < this.fieldImportance.length; index++) {
+        importance[this.fieldImportance[index][0]] =
+          this.fieldImportance[index][1];
+      }
+    }
+    ranking = utils.fieldsRanking(importance, this.fields, 'importance');
+    return (cb) ? cb(null, ranking) : ranking;
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.getFieldImportance(cb);
+  });
+  return;
+};
+
+LocalModel.prototype.contributions = function (inputData, prediction) {
+  /**
+   * Computes the contribution of each field to a prediction by walking
+   * the path of the input data in the tree. The `base` value is the output
+   * of the root node in regressions and the probability of the predicted
+   * class in classifications, and adding up the contributions to it gives
+   * the value of the last node in the path.
+   *
+   * @param {object} inputData Validated input data keyed by field id
+   * @param {string|number} prediction Prediction to be explained. Defaults
+   *                        to the prediction of the model
+   */
+  if ((typeof prediction) === 'undefined') {
+    prediction = this.tree.predict(inputData).prediction;
+  }
+  return {
+    prediction: prediction,
+    base: this.tree.value(prediction),
+    contributions: this.tree.contributions(inputData, prediction)
+  };
+};
+
+LocalModel.prototype.explain = function (inputData, cb) {
+  /**
+   * Makes a prediction and explains it by listing the contribution of
+   * each field in the path of the prediction, sorted by decreasing
+   * absolute contribution.
+   *
+   * The input fields must be keyed by field name or field id.
+   * @param {object} inputData Input data to predict
+   * @param {function} cb Callback
+   */
+  var self = this;
+  function explainPrediction(data) {
+    var explanation = self.contributions(data);
+    explanation.contributions = utils.fieldsRanking(
+      explanation.contributions, self.fields, 'contribution');
+    return explanation;
+  }
+  if (this.isReady) {
+    if (cb) {
+      return this.validateInput(inputData, function (error, data) {
+        if (error) {
+          return cb(error, null);
+        }
+        return cb(null, explainPrediction(data));
+      });
+    }
+    return explainPrediction(this.validateInput(inputData));
+  }
+  utils.onReady(this, cb, function (self) {
+    return self.explain(inputData, cb);
+  });
+  return;
+};
+
 if (NODEJS) {
   module.exports = LocalModel;
 } else {
@@ -339,6 +339,66 @@ MultiVote.prototype.combine = function (method, options) {
   return predictions.combineCategorical(WEIGHT_LABELS[method]);
 };
 
+MultiVote.prototype.boosting = function (offsets) {
+  /**
+   * Combines the predictions of the models in a boosted ensemble. Each
+   * prediction is the gradient contribution of a model and must contain
+   * its `weight` and, in classifications, the `objectiveClass` it refers
+   * to. Regressions add up the weighted contributions to the initial
+   * offset and classifications apply the softmax function to the sum of
+   * contributions for each class.
+   *
+   * @param {number|array} offsets Initial offset (regressions) or list of
+   *                               initial offsets per class
+   * @return {{'prediction': {string|number}, 'probability': {number},
+   *           'probabilities': {array}}} Prediction and, for
+   *           classifications, its probability and the list of
+   *           [class, probability] pairs
+   */
+  var index, len, prediction, scores = {}, categories = [], category,
+    maxScore = -Infinity, total = 0, probabilities = [], best;
+  checkKeys(this.predictions, ['weight']);
+  if (!utils.isArray(offsets)) {
+    total = offsets || 0;
+    for (index = 0, len = this.predictions.length; index < len; index++) {
+      prediction = this.predictions[index];
+      total += prediction.prediction * prediction.weight;
+    }
+    return {'prediction': total};
+  }
+  for (index = 0, len = offsets.length; index < len; index++) {
+    categories.push(offsets[index][0]);
+    scores[offsets[index][0]] = offsets[index][1];
+  }
+  for (index = 0, len = this.predictions.length; index < len; index++) {
+    prediction = this.predictions[index];
+    category = prediction.objectiveClass;
+    if (!scores.hasOwnProperty(category)) {
+      categories.push(category);
+      scores[category] = 0;
+    }
+    scores[category] += prediction.prediction * prediction.weight;
+  }
+  // softmax, shifted by the maximum score to avoid overflows
+  for (index = 0, len = categories.length; index < len; index++) {
+    maxScore = Math.max(maxScore, scores[categories[index]]);
+  }
+  for (index = 0, len = categories.length; index < len; index++) {
+    scores[categories[index]] = Math.exp(scores[categories[index]] -
+                                         maxScore);
+    total += scores[categories[index]];
+  }
+  for (index = 0, len = categories.length; index < len; index++) {
+    probabilities.push([categories[index],
+                        scores[categories[index]] / total]);
+    if (!best || probabilities[index][1] > best[1]) {
+      best = probabilities[index];
+    }
+  }
+  return {'prediction': best[0], 'probability': best[1],
+          'probabilities': probabilities};
+};
+
 MultiVote.prototype.is_regression = function () {
   /**
    * Check if this is a regression model
@@ -32,6 +32,17 @@ var OPERATORS = {
   'in': function (a, b) { return b.indexOf(a) > -1; }
 };
 
+// Operators used in the generated code for each predicate operator
+var CODE_OPERATORS = {
+  '=': '==',
+  '!=': '!=',
+  '/=': '!=',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>='
+};
+
 
 /**
  * Predicate
@@ -167,19 +178,71 @@ Predicate.prototype.evaluate = function (inputData, fields) {
   return OPERATORS[this.operator](tmpInputData[this.field], this.value);
 };
 
+Predicate.prototype.toCode = function (fields) {
+  /**
+   * Builds the JavaScript condition that evaluates the predicate for the
+   * `input` object of a generated predictor, keyed by field id. Missing
+   * values are undefined in `input`.
+   *
+   * @param {object} fields Model's fields
+   */
+  var value = 'input[' + JSON.stringify(this.field) + ']',
+    operator = this.operator, reference = JSON.stringify(this.value),
+    terms, termForms, options, fullTerm, condition;
+  if ((typeof this.term) !== 'undefined') {
+    // missings in text and items fields are considered as ""
+    value = '(' + value + ' === undefined ? "" : ' + value + ')';
+    if (fields[this.field].optype == 'text') {
+      terms = [this.term];
+      termForms = (fields[this.field].summary.term_forms || {})[this.term];
+      if ((typeof termForms) !== 'undefined') {
+        terms = terms.concat(termForms);
+      }
+      options = fields[this.field]['term_analysis'];
+      fullTerm = options['token_mode'] === constants.TM_FULL_TERM ||
+        (options['token_mode'] === constants.TM_ALL && terms.length == 1 &&
+         constants.FULL_TERM_PATTERN.test(this.term));
+      value = 'termCount(' + value + ', ' + JSON.stringify(terms) + ', ' +
+        fullTerm + ', ' + Boolean(options['case_sensitive']) + ')';
+    } else {
+      options = fields[this.field]['item_analysis'];
+      value = 'itemCount(' + value + ', ' + JSON.stringify(this.term) +
+        ', ' + JSON.stringify(utils.separatorRegexp(options)) + ')';
+    }
+    if (operator == 'in') {
+      return reference + '.indexOf(' + value + ') > -1';
+    }
+    return value + ' ' + CODE_OPERATORS[operator] + ' ' + reference;
+  }
+  if (this.value == null && operator == '=') {
+    return value + ' === undefined';
+  }
+  if (this.value == null && (operator == '!=' || operator == '/=')) {
+    return this.missing ? 'true' : value + ' !== undefined';
+  }
+  if (operator == 'in') {
+    condition = reference + '.indexOf(' + value + ') > -1';
+  } else {
+    condition = value + ' ' + CODE_OPERATORS[operator] + ' ' + reference;
+  }
+  if (this.missing) {
+    return value + ' === undefined || ' + condition;
+  }
+  return value + ' !== undefined && ' + condition;
+};
+
 Predicate.prototype.toJSON = function () {
   /**
    * Returns the object representing the predicate
    *
    */
 
-   var toJSON = {
-    operator: (this.missing) ? "*" + this.operator : this.operator,
+  // missing operators are suffixed with an asterisk, as in BigML models
+  var toJSON = {
+    operator: (this.missing) ? this.operator + "*" : this.operator,
     field: this.field,
     value: this.value
-  }
-  if (this.missing) {
-    toJSON.operator = "*" + toJSON.operator}
+  };
   if (this.term) {
     toJSON.term = this.term;
   }
@@ -48,8 +48,9 @@ Prediction.prototype = new Resource();
 
 Prediction.prototype.parent = Resource.prototype;
 
-Prediction.prototype.create = function (modelResource, inputData, args,
-                                        retry, cb) {
+Prediction.prototype.create = utils.promisify(function (modelResource,
+                                                        inputData, args, retry,
+                                                        cb) {
   /**
    * Creates a prediction and builds customized error and resource info
    *
@@ -84,10 +85,14 @@ Prediction.prototype.create = function (modelResource, inputData, args,
   self.parent.create.call(self, 'prediction', ['model', 'ensemble', 'logisticregression'], message,
                           resourceId.resource,
                           options.args, options.retry, options.cb);
-};
+});
 
 Prediction.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'prediction', query, cb);
+  return this.parent.list.call(this, 'prediction', query, cb);
+};
+
+Prediction.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'prediction', filter);
 };
 
 
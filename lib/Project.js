@@ -21,6 +21,7 @@ var Resource = require('./Resource');
 var constants = require('./constants');
 var logger = require('./logger');
 var utils = require('./utils');
+var async = require('async');
 
 
 function Project(connection) {
@@ -31,7 +32,7 @@ Project.prototype = new Resource();
 
 Project.prototype.parent = Resource.prototype;
 
-Project.prototype.create = function (args, cb) {
+Project.prototype.create = utils.promisify(function (args, cb) {
   /**
    * Creates a project and builds customized error and resource info
    *
@@ -61,33 +62,109 @@ Project.prototype.create = function (args, cb) {
       endpoint: '/'
     };
 
-  if (arguments.length > 0) {
-    // no prior resource needed to create a project, we add an empty resource
-    // to use the same method as in other resources
-    callArguments = [undefined];
-    for (index = 0; index < arguments.length; index++) {
-      callArguments.push(arguments[index]);
-    }
-    options = utils.optionalCUParams(callArguments, message);
-    options = utils.setRetries(options);
-    options.type = reqOptions.resourceType;
-    options.operation = 'create';
-    this.options = options;
-  } else {
-    if (!this.options) {
-      logger.error("Create has been called with no parameters.");
-      return;
-    }
-    options = this.options;
+  // no prior resource needed to create a project, we add an empty resource
+  // to use the same method as in other resources
+  callArguments = [undefined];
+  for (index = 0; index < arguments.length; index++) {
+    callArguments.push(arguments[index]);
   }
+  options = utils.optionalCUParams(callArguments, message);
+  options = utils.setRetries(options, this.connection);
+  options.type = reqOptions.resourceType;
+  options.operation = 'create';
   reqOptions.body = options.args;
   sendRequest = utils.makeSendRequest(self, reqOptions, options);
   sendRequest(null);
-};
+});
 
 
 Project.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'project', query, cb);
+  return this.parent.list.call(this, 'project', query, cb);
 };
 
+Project.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'project', filter);
+};
+
+Project.prototype.listResources = utils.promisify(function (project, query,
+                                                            cb) {
+  /**
+   * Lists all the resources in a project for every resource type
+   *
+   * Returns an object whose keys are the resource types and whose values
+   * are the lists of resources of each type in the project
+   *
+   * @param {string|object} project Project id or object
+   * @param {string|object} query (optional) Filters and order for the
+   *                              listings
+   * @param {function} cb Callback
+   */
+  var self = this, projectId = utils.getResource(project), filter, types;
+  if ((typeof query) === 'function' && (typeof cb) === 'undefined') {
+    cb = query;
+    query = undefined;
+  }
+  if ((typeof cb) === 'undefined') {
+    cb = utils.showResult;
+  }
+  if (projectId.type !== 'project') {
+    throw new Error('Failed to list the resources. First parameter must' +
+                    ' be a project id.');
+  }
+  filter = utils.buildQuery({project: projectId.resource});
+  if ((typeof query) !== 'undefined' && query !== null) {
+    filter = utils.buildQuery(query) + ';' + filter;
+  }
+  types = constants.RESOURCE_TYPES.filter(function (type) {
+    return type !== 'project';
+  });
+  async.map(types, function (type, done) {
+    var resources = [];
+    self.parent.iterate.call(self, type, filter)
+      .on('data', function (resource) {
+        resources.push(resource);
+      })
+      .on('error', done)
+      .on('end', function () {
+        done(null, resources);
+      });
+  }, function (error, lists) {
+    var result = {};
+    if (error) {
+      return cb(error, null);
+    }
+    types.forEach(function (type, index) {
+      result[type] = lists[index];
+    });
+    return cb(null, result);
+  });
+});
+
+Project.prototype.moveResources = utils.promisify(function (resources,
+                                                            project, cb) {
+  /**
+   * Moves existing resources to a project
+   *
+   * Returns the list of results of the updates of the resources
+   *
+   * @param {array|string|object} resources Resource ids or objects
+   * @param {string|object} project Id or object of the destination project
+   * @param {function} cb Callback
+   */
+  var self = this, projectId = utils.getResource(project);
+  if ((typeof cb) === 'undefined') {
+    cb = utils.showResult;
+  }
+  if (projectId.type !== 'project') {
+    throw new Error('Failed to move the resources. Second parameter must' +
+                    ' be a project id.');
+  }
+  if (!utils.isArray(resources)) {
+    resources = [resources];
+  }
+  async.map(resources, function (resource, done) {
+    self.update(resource, {project: projectId.resource}, done);
+  }, cb);
+});
+
 module.exports = Project;
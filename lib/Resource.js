@@ -18,10 +18,11 @@
 
 var BigML = require('./BigML');
 var constants = require('./constants');
-var logger = require('./logger');
 var utils = require('./utils');
-var waittime = require('./waittime');
+var errors = require('./errors');
+var RetryPolicy = require('./RetryPolicy');
 var async = require('async');
+var ListStream = require('./ListStream');
 
 
 /**
@@ -31,8 +32,6 @@ var async = require('async');
  */
 function Resource(connection) {
   this.connection = utils.checkConnection(connection);
-  this.options = null;
-  this.resources = null;
 }
 
 function optionalParams(args) {
@@ -73,16 +72,17 @@ function optionalParams(args) {
   return fullArgs;
 }
 
-Resource.prototype.get = function (resource, finished, query, cb) {
+Resource.prototype.get = utils.promisify(function (resource, finished, query,
+                                                   cb) {
   /**
    * Gets a resource and builds costumized error and resource info
    *
    * @param {object|string} resource BigML resource or resource id
    * @param {object|boolean} finished (optional) Set to true if you want only
-   *        finished resources. Can also be given as an object specifying the
-            retries and the time to wait between them.
-             {retries: 5,
-              wait: 10}
+   *        finished resources. Can also be given as a RetryPolicy or an
+            object with the options that change the connection's one.
+             {attempts: 6,
+              delay: 10}
 
    * @param {string} query (optional) Query string for the api call
    * @param {function} cb (optional) Callback
@@ -97,51 +97,34 @@ Resource.prototype.get = function (resource, finished, query, cb) {
    *   error: An error code and message
    */
 
-  var length, finishOptions, self = this, resourceId,
-    reqOptions, fullArgs, options;
+  var self = this, resourceId, reqOptions, fullArgs, options, stored;
 
   // Dealing with optional arguments
-  if (arguments.length > 0) {
-    options = {query: query, finished: finished, cb: cb};
-    if (arguments.length < 4) {
-      // Getting optional parameters into a full list
-      fullArgs = optionalParams(arguments);
-      options.finished = fullArgs[1];
-      options.query = fullArgs[2];
-      options.cb = fullArgs[3];
-    }
-    if ((typeof options.cb) === 'undefined') {
-      options.cb = utils.showResult;
-    }
-
-    // reference to self and arguments for retries
-    if (options.finished) {
-      // Setting default values for the finished object
-      if ((typeof options.finished) === 'boolean') {
-        options.retry = {retries: constants.DEFAULT_BIGML_RETRIES,
-                         wait: constants.DEFAULT_BIGML_WAIT};
-      } else if (options.finished.retries === Infinity) {
-        logger.warning("Infinite retries are not allowed. Changing to " +
-                        constants.DEFAULT_BIGML_RETRIES);
-        options.retry = {retries: constants.DEFAULT_BIGML_RETRIES,
-                         wait: options.finished.wait};
-      } else {
-        options.retry = options.finished;
-      }
-      if ((typeof options.retry.retriesLeft) === 'undefined') {
-        options.retry.retriesLeft = options.retry.retries;
-      }
-      options.operation = 'get';
-      this.options = options;
-      this.resource = resource;
-    }
-  } else {
-    options = this.options;
-    resource = this.resource;
+  options = {query: query, finished: finished, cb: cb};
+  if (arguments.length < 4) {
+    // Getting optional parameters into a full list
+    fullArgs = optionalParams(arguments);
+    options.finished = fullArgs[1];
+    options.query = fullArgs[2];
+    options.cb = fullArgs[3];
   }
+  if ((typeof options.cb) === 'undefined') {
+    options.cb = utils.showResult;
+  }
+
+  // the finished object sets the retry policy of the polling, that is used
+  // even if the connection disables retries
+  options.retry = RetryPolicy.build(options.finished,
+                                    this.connection.retryPolicy ||
+                                    new RetryPolicy());
+  options.attempts = 1;
+  options.operation = 'get';
+  // only the finished resources loaded by local predictors are stored
+  stored = options.query === constants.ONLY_MODEL;
 
   // connection options
   resourceId = utils.getResource(resource);
+  options.resource = resourceId.resource;
   reqOptions = {
     method: 'GET',
     resource: resourceId.resource,
@@ -150,72 +133,98 @@ Resource.prototype.get = function (resource, finished, query, cb) {
     query: options.query
   };
 
-  this.connection.request(reqOptions,
-                          function processResponse(error, data, response) {
-      var status, errorMessage, wait, info,
-        code = constants.HTTP_INTERNAL_SERVER_ERROR,
-        result = utils.makeEmptyResult('resource',
-                                       code,
-                                       'The resource couldn\'t be retrieved');
-      if (error) {
-        logger.error('Request processing error: ' + error);
-        result.error.status.message += ': ' + error;
-        info = '';
-        if ((typeof data) !== 'undefined') {
-          info = self.options.operation + " for " + data.name +
-                   ' (' + data.resource + ').';
-        }
-        return self.retryRequest(result, info);
+  function processResponse(error, data, response) {
+    var status, errorMessage, wait, info, log = self.connection.logger,
+      code = constants.HTTP_INTERNAL_SERVER_ERROR,
+      result = utils.makeEmptyResult('resource',
+                                     code,
+                                     'The resource couldn\'t be retrieved');
+    if (error) {
+      log.error('Request processing error: ' + error);
+      result.error.status.message += ': ' + error;
+      info = '';
+      if (data) {
+        info = options.operation + " for " + data.name +
+                 ' (' + data.resource + ').';
+      }
+      return self.retryRequest(options, result, info);
+    }
+    log.debug(response.statusCode);
+    code = response.statusCode;
+    options.response = response;
+    if (code === constants.HTTP_OK) {
+      try {
+        result = utils.makeResult('resource', data, response);
+      } catch (err) {
+        return options.cb(err, result);
       }
-      logger.debug(response.statusCode);
-      code = response.statusCode;
-      if (code === constants.HTTP_OK) {
+      if (options.finished) {
         try {
-          result = utils.makeResult('resource', data, response);
-        } catch (err) {
-          return options.cb(err, result);
+          status = utils.getStatus(result);
+        } catch (statusError) {
+          console.log(statusError);
+          return options.cb(statusError, result);
         }
-        if (options.finished) {
-          try {
-            status = utils.getStatus(result);
-          } catch (statusError) {
-            console.log(statusError);
-            return options.cb(statusError, result);
-          }
-          if ([constants.FAULTY,
-               constants.FINISHED].indexOf(status.code) > -1) {
-            logger.debug(result);
-            return options.cb(null, result);
-          }
-          return self.retryRequest(result);
+        if (status.code === constants.FAULTY) {
+          return options.cb(errors.faultyResource(result, response), result);
         }
-        logger.debug(result);
-        return options.cb(null, result);
-      }
-      if (constants.HTTP_COMMON_ERRORS.indexOf(code) > -1) {
-        result.error = data;
-        logger.error(data);
-      } else {
-        errorMessage = 'Unexpected error (' + code +
-                       ' [' + result.error.status.code + ']).';
-        logger.error(errorMessage);
-        result.error.status.message += ': ' + errorMessage;
-        if (constants.RETRY_ERRORS.indexOf(result.error.status.code) > -1) {
-          info = '';
-          if ((typeof data) !== 'undefined') {
-            info = self.options.operation + " for " + data.name +
-                   ' (' + data.resource + ').';
+        if (status.code === constants.FINISHED) {
+          log.debug(result);
+          if (stored) {
+            return self.connection.store(result, options.query, function () {
+              options.cb(null, result);
+            });
           }
-          return self.retryRequest(result, info);
+          return options.cb(null, result);
         }
+        return self.retryRequest(options, result);
+      }
+      log.debug(result);
+      return options.cb(null, result);
+    }
+    if (constants.HTTP_COMMON_ERRORS.indexOf(code) > -1) {
+      result.error = data;
+      log.error(data);
+    } else {
+      errorMessage = 'Unexpected error (' + code +
+                     ' [' + result.error.status.code + ']).';
+      log.error(errorMessage);
+      result.error.status.message += ': ' + errorMessage;
+    }
+    if (options.retry &&
+        options.retry.isRetriable(code, (result.error && result.error.status) ?
+                                  result.error.status.code : undefined)) {
+      info = '';
+      if (data && data.resource) {
+        info = options.operation + " for " + data.name +
+               ' (' + data.resource + ').';
+      }
+      return self.retryRequest(options, result, info);
+    }
+    error = errors.fromResponse(result, resourceId.resource, response);
+    return options.cb(error, result);
+  }
+
+  options.operationFunction = function () {
+    self.connection.request(reqOptions, processResponse);
+  };
+  if (!stored) {
+    return options.operationFunction();
+  }
+  // stored resources are reused and never expire: they are only removed
+  // when updated or deleted through the connection or invalidated
+  self.connection.getStored(resourceId.resource, options.query,
+                            function (error, result) {
+      if (result) {
+        return options.cb(null, result);
       }
-      error = new Error(result.error.status.message);
-      return options.cb(error, result);
+      options.operationFunction();
     });
-};
+});
 
-Resource.prototype.create = function (type, origins, message,
-                                      resource, body, retry, cb) {
+Resource.prototype.create = utils.promisify(function (type, origins, message,
+                                                      resource, body, retry,
+                                                      cb) {
   /**
    * Creates a resource and builds customized error and resource info
    *
@@ -249,40 +258,28 @@ Resource.prototype.create = function (type, origins, message,
       endpoint: '/'
     };
 
-  if (arguments.length > 0) {
-    resourceId = utils.getResource(resource);
-    this.resource = resource;
-    options = utils.optionalCUParams([].slice.call(arguments, 3), message);
+  resourceId = utils.getResource(resource);
+  options = utils.optionalCUParams([].slice.call(arguments, 3), message);
 
-    if (origins.indexOf(resourceId.type) > -1) {
-      options.args[resourceId.type] = resourceId.resource;
-    } else {
-      throw new Error(message);
-    }
-    options = utils.setRetries(options);
-    options.type = type;
-    options.operation = 'create';
-    options.operationFunction = this.create;
-    this.options = options;
+  if (origins.indexOf(resourceId.type) > -1) {
+    options.args[resourceId.type] = resourceId.resource;
   } else {
-    resourceId = utils.getResource(this.resource);
-    options = this.options;
+    throw new Error(message);
   }
+  options = utils.setRetries(options, this.connection);
+  options.type = type;
+  options.operation = 'create';
   reqOptions.body = options.args;
 
   sendRequest = utils.makeSendRequest(self, reqOptions, options);
   // The origin resource must be retrieved in a finished state before
-  // create starts. This is only done when create is called by the user, not
-  // internally to retry creation.
-  if (arguments.length > 0) {
-    this.get(resourceId.resource, true, sendRequest);
-  } else {
-    sendRequest(null);
-  }
-};
+  // create starts. Retries only send the creation request again.
+  this.get(resourceId.resource, true, sendRequest);
+});
 
 
-Resource.prototype.update = function (resource, body, retry, cb) {
+Resource.prototype.update = utils.promisify(function (resource, body, retry,
+                                                      cb) {
   /**
    * Updates a resource and builds customized error and resource info
    *
@@ -306,21 +303,15 @@ Resource.prototype.update = function (resource, body, retry, cb) {
    */
 
   var options, resourceId, reqOptions, message, self = this, sendRequest;
-  if (arguments.length > 0) {
-    resourceId = utils.getResource(resource);
-    message = ('Failed to update the ' + resourceId.type +
-    '. First parameter must be a ' + resourceId.type + ' id.');
-
-    options = utils.optionalCUParams(arguments, message);
-    options = utils.setRetries(options);
-    options.type = resourceId.type;
-    options.operation = 'update';
-    this.options = options;
-    this.resource = resource;
-  } else {
-    options = this.options;
-    resourceId = utils.getResource(this.resource);
-  }
+  resourceId = utils.getResource(resource);
+  message = ('Failed to update the ' + resourceId.type +
+  '. First parameter must be a ' + resourceId.type + ' id.');
+
+  options = utils.optionalCUParams(arguments, message);
+  options = utils.setRetries(options, this.connection);
+  options.type = resourceId.type;
+  options.operation = 'update';
+  options.resource = resourceId.resource;
   reqOptions = {
     method: 'PUT',
     resourceType: resourceId.type,
@@ -328,35 +319,32 @@ Resource.prototype.update = function (resource, body, retry, cb) {
   };
   reqOptions.body = options.args;
   sendRequest = function () {
+    self.connection.invalidate(resourceId.resource, function () {
       self.connection.request(reqOptions,
                               function processResponse(error, data, response) {
           var code = constants.HTTP_INTERNAL_SERVER_ERROR,
             result = utils.makeEmptyResult('resource',
                                            code,
                                            'The resource couldn\'t be updated');
-          return utils.requestResponse('resource', self,
+          return utils.requestResponse('resource', self, options,
                                        constants.HTTP_ACCEPTED,
                                        constants.HTTP_UPDATE_ERRORS,
-                                       error, data, response, result,
-                                       options.cb);
+                                       error, data, response, result);
         });
-  }
-  // The origin resources must be retrieved in a finished state before
-  // create starts. This is only done when create is called by the user, not
-  // internally to retry creation.
-  if (arguments.length > 0) {
-    async.each([resource], function (resource, done) {
-      var id = utils.getResource(resource);
-      new Resource(self.connection).get(id.resource, true, done);
-    },
-      sendRequest);
-  } else {
-    sendRequest(null);
-  }
-};
-
-
-Resource.prototype.delete = function (resource, retry, cb) {
+    });
+  };
+  options.operationFunction = sendRequest;
+  // The resource must be retrieved in a finished state before
+  // update starts. Retries only send the update request again.
+  async.each([resource], function (resource, done) {
+    var id = utils.getResource(resource);
+    new Resource(self.connection).get(id.resource, true, done);
+  },
+    sendRequest);
+});
+
+
+Resource.prototype.delete = utils.promisify(function (resource, retry, cb) {
   /**
    * Deletes a resource
    * If the request is successful the status `code` will be HTTP_NO_CONTENT
@@ -364,74 +352,76 @@ Resource.prototype.delete = function (resource, retry, cb) {
    * and `error` will provide a specific code and explanation.
    *
    * @param {string|object} resource Resource id (or object)
-   * @param {boolean} retry Turns on/off the retries if a resumable
-   *                        condition happens
+   * @param {boolean|object} retry Turns on/off the retries if a resumable
+   *                               condition happens. Can also be a
+   *                               RetryPolicy or its options
    * @param {function} cb Callback function
    */
-  var resourceId, reqOptions, options, message;
-
-  if (arguments.length > 0) {
+  var resourceId, reqOptions, options, message, self = this;
 
-    resourceId = utils.getResource(resource);
-    message = ('Failed to delete the ' + resourceId.type +
-    '. First parameter must be a ' + resourceId.type + ' id.');
-    options = utils.optionalCUParams(arguments, message);
-    options.operation = 'delete';
-    this.resource = resource;
-    this.options = options;
-  } else {
-    resourceId = utils.getResource(this.resource);
-    options = this.options;
-  }
+  resourceId = utils.getResource(resource);
+  message = ('Failed to delete the ' + resourceId.type +
+  '. First parameter must be a ' + resourceId.type + ' id.');
+  options = utils.optionalCUParams(arguments, message);
+  // delete has no args, so the second argument is the retry one
+  options.retry = ((typeof retry) === 'function') ? false : retry;
+  options.args = undefined;
+  options = utils.setRetries(options, this.connection);
+  options.type = resourceId.type;
+  options.operation = 'delete';
+  options.resource = resourceId.resource;
 
   reqOptions = {
     method: 'DELETE',
     resourceType: resourceId.type,
     endpoint: '/' + resourceId.id
   };
-  this.connection.request(reqOptions,
-                          function processResponse(error, data, response) {
-
-      var code = constants.HTTP_INTERNAL_SERVER_ERROR,
-        result = utils.makeEmptyResult('delete',
-                                       code,
-                                       'The resource couldn\'t be deleted');
-      return utils.requestResponse('delete', this,
-                                   constants.HTTP_NO_CONTENT,
-                                   constants.HTTP_COMMON_ERRORS,
-                                   error, data, response, result, options.cb);
+  options.operationFunction = function () {
+    self.connection.invalidate(resourceId.resource, function () {
+      self.connection.request(reqOptions,
+                              function processResponse(error, data, response) {
 
+          var code = constants.HTTP_INTERNAL_SERVER_ERROR,
+            result = utils.makeEmptyResult('delete',
+                                           code,
+                                           'The resource couldn\'t be deleted');
+          return utils.requestResponse('delete', self, options,
+                                       constants.HTTP_NO_CONTENT,
+                                       constants.HTTP_COMMON_ERRORS,
+                                       error, data, response, result);
+
+        });
     });
-};
+  };
+  options.operationFunction();
+});
 
-Resource.prototype.list = function (resourceType, query, cb) {
+Resource.prototype.list = utils.promisify(function (resourceType, query, cb) {
   /**
    * Lists the resources of a certain type
    *
    * @param {string} resourceType Type of the resource: source, dataset...
-   * @param {query} query Query to filter retrieved resources
+   * @param {string|object} query Query to filter retrieved resources. Can
+   *                              be a query string or an object with the
+   *                              filter and order parameters
    * @param {function} cb Callback
    */
 
-  var options, reqOptions;
-  if (arguments.length > 0) {
-    options = {
-      resourceType: resourceType,
-      query: query,
-      cb: cb,
-      operation: 'list'
-    };
-    if ((typeof query) === 'function' && (typeof cb === 'undefined')) {
-      options.query = undefined;
-      options.cb = query;
-    }
-    if ((typeof cb) === 'undefined') {
-      options.cb = utils.showResult;
-    }
-    this.options = options;
-  } else {
-    options = this.options;
+  var options, reqOptions, self = this;
+  options = {
+    resourceType: resourceType,
+    query: query,
+    cb: cb,
+    operation: 'list'
+  };
+  if ((typeof query) === 'function' && (typeof cb === 'undefined')) {
+    options.query = undefined;
+    options.cb = query;
   }
+  if ((typeof options.cb) === 'undefined') {
+    options.cb = utils.showResult;
+  }
+  options.query = utils.buildQuery(options.query);
   reqOptions = {
     method: 'GET',
     resourceType: options.resourceType,
@@ -439,37 +429,67 @@ Resource.prototype.list = function (resourceType, query, cb) {
     query: options.query,
     headers: constants.ACCEPT_JSON
   };
-  this.connection.request(reqOptions,
-                          function processResponse(error, data, response) {
-      var code = constants.HTTP_INTERNAL_SERVER_ERROR,
-        result = utils.makeEmptyResult('list',
-                                       code,
-                                       'The resources couldn\'t be listed');
-      return utils.requestResponse('list', this, constants.HTTP_OK,
-                                   constants.HTTP_COMMON_ERRORS,
-                                   error, data, response, result, options.cb);
-    });
+  options.operationFunction = function () {
+    self.connection.request(reqOptions,
+                            function processResponse(error, data, response) {
+        var code = constants.HTTP_INTERNAL_SERVER_ERROR,
+          result = utils.makeEmptyResult('list',
+                                         code,
+                                         'The resources couldn\'t be listed');
+        return utils.requestResponse('list', self, options, constants.HTTP_OK,
+                                     constants.HTTP_COMMON_ERRORS,
+                                     error, data, response, result);
+      });
+  };
+  options.operationFunction();
+});
+
+Resource.prototype.iterate = function (resourceType, filter) {
+  /**
+   * Lists all the resources of a certain type that match the filter. The
+   * pages of the listing are retrieved as needed.
+   *
+   * Returns a readable stream in object mode that emits the resources one by
+   * one and can be used as an async iterator.
+   *
+   * @param {string} resourceType Type of the resource: source, dataset...
+   * @param {object|string} filter Filter and order parameters. The limit
+   *                               parameter sets the size of the pages
+   */
+  var self = this;
+  return new ListStream(function (query, cb) {
+    Resource.prototype.list.call(self, resourceType, query, cb);
+  }, filter);
 };
 
-Resource.prototype.retryRequest = function (result, resourceInfo) {
+Resource.prototype.retryRequest = function (options, result, resourceInfo) {
   /**
-   * Retries a request
+   * Retries a request using the retry info stored in the options of the
+   * call. Each call keeps its own options, so retries of concurrent calls
+   * made with the same object don't interfere.
    *
+   * @param {object} options Options of the call to be retried. The
+   *                         operationFunction attribute sends the request
+   *                         again.
+   * @param {object} result Result of the last request
+   * @param {string} resourceInfo Information to be logged on retry
    */
-  var wait, debug, errorMessage, self = this;
-  if (this.options.retry.retriesLeft > 0) {
-    this.options.retry.retriesLeft -= 1;
-    wait = waittime.getWaitTimeExp(this.options.retry);
-    if ((typeof resourceInfo) !== 'undefined') {
+  var wait, debug, errorMessage, log = this.connection.logger;
+  if (options.retry && options.attempts < options.retry.attempts) {
+    wait = options.retry.getDelay(options.attempts);
+    options.attempts += 1;
+    if (resourceInfo) {
       errorMessage = "Retrying " + resourceInfo + '. ';
-      logger.error(errorMessage);
+      log.error(errorMessage);
     }
     debug = 'Waiting ' + wait / 1000 + 's. ';
-    debug += this.options.retry.retriesLeft + ' retries left.';
-    logger.debug(debug);
-    setTimeout(function () {self[self.options.operation](); }, wait);
+    debug += (options.retry.attempts - options.attempts) +
+      ' retries left.';
+    log.debug(debug);
+    setTimeout(options.operationFunction, wait);
   } else {
-    return this.options.cb(new Error('Retries limit exceeded'), result);
+    return options.cb(errors.retriesExceeded(result, options.resource,
+                                             options.response), result);
   }
   return;
 };
@@ -0,0 +1,187 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+"use strict";
+
+var NODEJS = ((typeof module !== 'undefined') && module.exports);
+var PATH = (NODEJS) ? "./" : "";
+
+var constants = require(PATH + 'constants');
+if (NODEJS) {
+  var logger = require('./logger');
+} else {
+  var logger = {warn: console.log};
+}
+
+var JITTERS = ['none', 'full', 'equal'];
+
+
+/**
+ * RetryPolicy: how many times and how often requests are sent again.
+ * @constructor
+ */
+function RetryPolicy(options) {
+  /**
+   * Constructor for the retry policy
+   *
+   * @param {object} options Optional settings:
+   *                         attempts: maximum number of times a request is
+   *                                   sent, the first one included
+   *                         delay: base delay between attempts in
+   *                                milliseconds. It doubles after each
+   *                                attempt
+   *                         maxDelay: maximum delay between attempts
+   *                         jitter: randomization of the delays: 'none',
+   *                                 'full' (between 0 and the delay),
+   *                                 'equal' (between half the delay and
+   *                                 the delay) or a function that gets
+   *                                 the delay and the attempt number
+   *                         httpCodes: HTTP status codes of the responses
+   *                                    that are retried
+   *                         createHttpCodes: HTTP status codes of the
+   *                                          responses to creates that
+   *                                          are retried
+   *                         codes: BigML status codes of the responses
+   *                                that are retried
+   */
+  options = options || {};
+  this.attempts = ((typeof options.attempts) === 'number') ?
+    options.attempts : constants.DEFAULT_BIGML_RETRIES + 1;
+  if (this.attempts === Infinity) {
+    logger.warn("Infinite retries are not allowed. Changing to " +
+                constants.DEFAULT_BIGML_RETRIES);
+    this.attempts = constants.DEFAULT_BIGML_RETRIES + 1;
+  }
+  this.delay = ((typeof options.delay) === 'number') ? options.delay :
+    constants.DEFAULT_BIGML_WAIT;
+  this.maxDelay = options.maxDelay || constants.DEFAULT_BIGML_MAX_WAIT;
+  this.jitter = options.jitter || 'equal';
+  if ((typeof this.jitter) !== 'function' &&
+      JITTERS.indexOf(this.jitter) < 0) {
+    throw new Error('The jitter must be a function or one of: ' +
+                    JITTERS.join(', ') + '.');
+  }
+  this.httpCodes = options.httpCodes || constants.RETRY_HTTP_ERRORS;
+  this.createHttpCodes = options.createHttpCodes ||
+    constants.RETRY_CREATE_HTTP_ERRORS;
+  this.codes = options.codes || constants.RETRY_ERRORS;
+}
+
+RetryPolicy.prototype.getDelay = function (attempt) {
+  /**
+   * Returns the milliseconds to wait before sending a request again
+   *
+   * @param {integer} attempt Number of times the request has been sent
+   */
+  var delay = Math.min(this.maxDelay,
+                       this.delay * Math.pow(2, Math.max(0, attempt - 1)));
+  if ((typeof this.jitter) === 'function') {
+    return this.jitter(delay, attempt);
+  }
+  switch (this.jitter) {
+  case 'full':
+    return Math.floor(Math.random() * delay);
+  case 'equal':
+    return Math.floor(delay / 2 + Math.random() * delay / 2);
+  default:
+    return delay;
+  }
+};
+
+RetryPolicy.prototype.isRetriable = function (httpStatus, code, create) {
+  /**
+   * Checks whether a failed request should be sent again. Creates are only
+   * sent again for the HTTP status codes in createHttpCodes, so that
+   * resources are not duplicated.
+   *
+   * @param {integer} httpStatus HTTP status code of the response
+   * @param {integer} code BigML status code of the response
+   * @param {boolean} create Whether the request is a create
+   */
+  if (create) {
+    return this.createHttpCodes.indexOf(httpStatus) > -1;
+  }
+  return this.httpCodes.indexOf(httpStatus) > -1 ||
+    this.codes.indexOf(code) > -1;
+};
+
+RetryPolicy.prototype.extend = function (options) {
+  /**
+   * Returns a new policy where the given options replace the ones of
+   * this policy
+   *
+   * @param {object} options Settings to be changed
+   */
+  var settings = {}, key;
+  for (key in this) {
+    if (this.hasOwnProperty(key)) {
+      settings[key] = this[key];
+    }
+  }
+  for (key in options) {
+    if (options.hasOwnProperty(key) &&
+        (typeof options[key]) !== 'undefined') {
+      settings[key] = options[key];
+    }
+  }
+  return new RetryPolicy(settings);
+};
+
+RetryPolicy.build = function (retry, base) {
+  /**
+   * Builds the policy used in a call from its retry argument. Returns null
+   * when retries are disabled.
+   *
+   * @param {boolean|object} retry True to use the base policy, a policy or
+   *                               the options that change the base policy.
+   *                               The `retries` (number of retries after
+   *                               the first attempt) and `wait` (base
+   *                               delay) options are also accepted
+   * @param {object} base Base policy, usually the connection's one. Null
+   *                      when the connection disables retries
+   */
+  var options;
+  if ((typeof base) === 'undefined') {
+    base = new RetryPolicy();
+  }
+  if (!retry) {
+    return null;
+  }
+  if (retry instanceof RetryPolicy) {
+    return retry;
+  }
+  if ((typeof retry) !== 'object') {
+    return base;
+  }
+  base = base || new RetryPolicy();
+  options = {};
+  Object.keys(retry).forEach(function (key) {
+    options[key] = retry[key];
+  });
+  if ((typeof retry.retries) === 'number') {
+    options.attempts = retry.retries + 1;
+  }
+  if ((typeof retry.wait) === 'number') {
+    options.delay = retry.wait;
+  }
+  delete options.retries;
+  delete options.wait;
+  return base.extend(options);
+};
+
+if (NODEJS) {
+  module.exports = RetryPolicy;
+}
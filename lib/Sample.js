@@ -31,7 +31,7 @@ Sample.prototype = new Resource();
 
 Sample.prototype.parent = Resource.prototype;
 
-Sample.prototype.create = function (dataset, args, retry, cb) {
+Sample.prototype.create = utils.promisify(function (dataset, args, retry, cb) {
   /**
    * Creates a sample and builds customized error and resource info
    *
@@ -65,10 +65,14 @@ Sample.prototype.create = function (dataset, args, retry, cb) {
                           resourceId.resource,
                           options.args, options.retry, options.cb);
 
-};
+});
 
 Sample.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'sample', query, cb);
+  return this.parent.list.call(this, 'sample', query, cb);
+};
+
+Sample.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'sample', filter);
 };
 
 
@@ -0,0 +1,210 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+"use strict";
+
+var constants = require('./constants');
+var logger = require('./logger');
+
+
+function retryAfter(response) {
+  /**
+   * Returns the milliseconds to wait set in the Retry-After header of a
+   * response (either a number of seconds or a date) or null if absent
+   *
+   * @param {object} response Response of the request
+   */
+  var header, name, wait;
+  if ([constants.HTTP_TOO_MANY_REQUESTS,
+       constants.HTTP_SERVICE_UNAVAILABLE].indexOf(response.statusCode) < 0 ||
+      !response.headers) {
+    return null;
+  }
+  for (name in response.headers) {
+    if (response.headers.hasOwnProperty(name) &&
+        name.toLowerCase() === 'retry-after') {
+      header = String(response.headers[name]);
+    }
+  }
+  if ((typeof header) === 'undefined') {
+    return null;
+  }
+  if (/^\s*\d+\s*$/.test(header)) {
+    return parseInt(header, 10) * 1000;
+  }
+  wait = Date.parse(header);
+  return isNaN(wait) ? null : Math.max(0, wait - Date.now());
+}
+
+
+/**
+ * Scheduler: queue of the requests sent by a connection.
+ * @constructor
+ */
+function Scheduler(options, log) {
+  /**
+   * Constructor for the requests scheduler. Requests are sent as long as
+   * the number of concurrent requests and the rate limit allow it and
+   * wait in the queue otherwise. The scheduler only delays requests:
+   * failed ones are sent again by the retry policy of their call.
+   *
+   * @param {object} options Optional settings:
+   *                         concurrency: maximum number of requests sent
+   *                                      at the same time
+   *                         rate: maximum number of requests sent in each
+   *                               interval (token bucket)
+   *                         interval: length of the rate interval in
+   *                                   milliseconds (1 second by default)
+   *                         taskWait: milliseconds that creates wait when
+   *                                   the account has too many running
+   *                                   tasks and no Retry-After is given
+   * @param {object} log Logger used to report the waits (the default
+   *                     logger if absent)
+   */
+  options = options || {};
+  this.logger = log || logger;
+  this.concurrency = options.concurrency || Infinity;
+  this.rate = options.rate || Infinity;
+  this.interval = options.interval || 1000;
+  this.taskWait = options.taskWait || constants.DEFAULT_TASK_WAIT;
+  this.tokens = this.rate;
+  this.lastRefill = Date.now();
+  this.running = 0;
+  this.queue = [];
+  // requests are held until these times after a Retry-After header or a
+  // too many tasks response to a create
+  this.pausedUntil = 0;
+  this.createsPausedUntil = 0;
+  this.timer = null;
+}
+
+Scheduler.prototype.schedule = function (method, send, cb) {
+  /**
+   * Adds a request to the queue
+   *
+   * @param {string} method HTTP method of the request. POST requests are
+   *                        creates
+   * @param {function} send Function that sends the request and calls its
+   *                        argument with the (error, response, body) of
+   *                        the request
+   * @param {function} cb Callback
+   */
+  this.queue.push({create: method === 'POST', send: send, cb: cb});
+  this.next();
+};
+
+Scheduler.prototype.takeToken = function (now) {
+  /**
+   * Refills the token bucket and takes a token if available. Returns the
+   * milliseconds to wait for the next token when the bucket is empty.
+   *
+   * @param {number} now Current time
+   */
+  if (this.rate === Infinity) {
+    return 0;
+  }
+  this.tokens = Math.min(this.rate, this.tokens +
+                         (now - this.lastRefill) * this.rate / this.interval);
+  this.lastRefill = now;
+  if (this.tokens >= 1) {
+    this.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - this.tokens) * this.interval / this.rate);
+};
+
+Scheduler.prototype.next = function () {
+  /**
+   * Sends the queued requests that the limits allow and sets a timer to
+   * go on when they must wait
+   */
+  var self = this, now = Date.now(), index, wait = null;
+  clearTimeout(this.timer);
+  this.timer = null;
+  while (this.queue.length > 0 && this.running < this.concurrency) {
+    if (now < this.pausedUntil) {
+      wait = this.pausedUntil - now;
+      break;
+    }
+    index = 0;
+    if (now < this.createsPausedUntil) {
+      while (index < this.queue.length && this.queue[index].create) {
+        index += 1;
+      }
+      if (index === this.queue.length) {
+        wait = this.createsPausedUntil - now;
+        break;
+      }
+    }
+    wait = this.takeToken(now);
+    if (wait > 0) {
+      break;
+    }
+    wait = null;
+    this.send(this.queue.splice(index, 1)[0]);
+  }
+  if (wait !== null) {
+    this.timer = setTimeout(function () {
+      self.next();
+    }, wait);
+  }
+};
+
+Scheduler.prototype.send = function (item) {
+  /**
+   * Sends a request and holds the next ones when the response asks to
+   * wait
+   *
+   * @param {object} item Queued request
+   */
+  var self = this, answered = false;
+  this.running += 1;
+  try {
+    item.send(answer);
+  } catch (err) {
+    if (answered) {
+      throw err;
+    }
+    // requests that cannot be sent free their slot
+    this.running -= 1;
+    item.cb(err);
+    this.next();
+  }
+
+  function answer(error, response, body) {
+    var wait, now = Date.now();
+    answered = true;
+    self.running -= 1;
+    if (!error && response) {
+      wait = retryAfter(response);
+      if (wait !== null) {
+        self.logger.warn('The API asked to wait ' + wait / 1000 +
+                         's before sending more requests.');
+        self.pausedUntil = Math.max(self.pausedUntil, now + wait);
+      } else if (item.create &&
+                 response.statusCode === constants.HTTP_TOO_MANY_REQUESTS) {
+        self.logger.warn('Too many running tasks. Creates wait ' +
+                         self.taskWait / 1000 + 's.');
+        self.createsPausedUntil = Math.max(self.createsPausedUntil,
+                                           now + self.taskWait);
+      }
+    }
+    item.cb(error, response, body);
+    self.next();
+  }
+};
+
+module.exports = Scheduler;
@@ -34,12 +34,17 @@ Script.prototype = new BaseScript();
 
 Script.prototype.parent = BaseScript.prototype;
 
-Script.prototype.create = function (sourceCode, args, retry, cb) {
+Script.prototype.create = utils.promisify(function (sourceCode, args, retry,
+                                                    cb) {
   this.parent.create.call(this, 'script', sourceCode, args, retry, cb);
-};
+});
 
 Script.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'script', query, cb);
+  return this.parent.list.call(this, 'script', query, cb);
+};
+
+Script.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'script', filter);
 };
 
 
@@ -16,7 +16,6 @@
 
 "use strict";
 
-var request = require('request');
 var fs = require('fs');
 var FormData = require('form-data');
 var util = require('util');
@@ -31,6 +30,163 @@ var util = require('util');
 var createErrors = constants.HTTP_COMMON_ERRORS.slice();
 createErrors.push(constants.HTTP_PAYMENT_REQUIRED);
 
+var REMOTE_RE = /^[a-z][a-z0-9+.\-]*:\/\//i;
+// file paths have no line breaks: strings with them are inline data
+var INLINE_RE = /[\r\n]/;
+var DEFAULT_FILENAME = 'data.csv';
+
+function isReadable(value) {
+  /**
+   * Checks whether the value is a readable stream
+   *
+   * @param {object} value Value to be checked
+   */
+  return value !== null && (typeof value) === 'object' &&
+    (typeof value.pipe) === 'function' && (typeof value.on) === 'function';
+}
+
+function csvValue(value) {
+  /**
+   * Formats a value to be used as a CSV cell, quoting it when needed
+   *
+   * @param {string|number|boolean} value Value of the cell
+   */
+  if ((typeof value) === 'undefined' || value === null) {
+    return '';
+  }
+  value = String(value);
+  if (/[",\r\n]/.test(value)) {
+    value = '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+}
+
+function rowsToCSV(rows) {
+  /**
+   * Builds the CSV contents for a list of rows. Rows can be arrays of values
+   * or objects. In the latter case, the headers row is built from the keys
+   * of the first row.
+   *
+   * @param {array} rows List of rows
+   */
+  var lines = [], headers, index;
+  if (rows.length > 0 && !utils.isArray(rows[0])) {
+    headers = Object.keys(rows[0]);
+    lines.push(headers.map(csvValue).join(','));
+    for (index = 0; index < rows.length; index++) {
+      lines.push(headers.map(function (header) {
+        return csvValue(rows[index][header]);
+      }).join(','));
+    }
+  } else {
+    for (index = 0; index < rows.length; index++) {
+      lines.push(rows[index].map(csvValue).join(','));
+    }
+  }
+  return lines.join('\n');
+}
+
+function readContents(readable, cb) {
+  /**
+   * Reads all the contents of a stream
+   *
+   * @param {object} readable Readable stream
+   * @param {function} cb Callback called with the error and the contents
+   */
+  var chunks = [], finished = false;
+  function done(error, contents) {
+    if (!finished) {
+      finished = true;
+      return cb(error, contents);
+    }
+  }
+  readable.on('data', function (chunk) {
+    chunks.push(chunk);
+  });
+  readable.on('error', done);
+  readable.on('end', function () {
+    if (chunks.length > 0 && (typeof chunks[0]) === 'string') {
+      return done(null, chunks.join(''));
+    }
+    return done(null, Buffer.concat(chunks));
+  });
+}
+
+function checkConfiguration(config) {
+  /**
+   * Checks the optypes and source parser attributes in a source
+   * configuration, throwing an error when they're not valid
+   *
+   * @param {object} config Source configuration
+   */
+  var key, parser, field;
+  if ((typeof config.fields) !== 'undefined') {
+    if (config.fields === null || (typeof config.fields) !== 'object') {
+      throw new Error('The fields configuration must be an object.');
+    }
+    for (key in config.fields) {
+      if (config.fields.hasOwnProperty(key)) {
+        field = config.fields[key];
+        if ((typeof field.optype) !== 'undefined' &&
+            constants.OPTYPES.indexOf(field.optype) < 0) {
+          throw new Error('Wrong optype for field ' + key + ': ' +
+                          field.optype + '. Allowed optypes are ' +
+                          constants.OPTYPES.join(', ') + '.');
+        }
+      }
+    }
+  }
+  parser = config.source_parser;
+  if ((typeof parser) !== 'undefined') {
+    if (parser === null || (typeof parser) !== 'object') {
+      throw new Error('The source_parser configuration must be an object.');
+    }
+    for (key in parser) {
+      if (parser.hasOwnProperty(key) &&
+          constants.SOURCE_PARSER_ATTRIBUTES.indexOf(key) < 0) {
+        throw new Error('Unknown source_parser attribute: ' + key +
+                        '. Allowed attributes are ' +
+                        constants.SOURCE_PARSER_ATTRIBUTES.join(', ') + '.');
+      }
+    }
+    if ((typeof parser.header) !== 'undefined' &&
+        (typeof parser.header) !== 'boolean') {
+      throw new Error('The header attribute must be a boolean.');
+    }
+    if ((typeof parser.missing_tokens) !== 'undefined' &&
+        !utils.isArray(parser.missing_tokens)) {
+      throw new Error('The missing_tokens attribute must be a list.');
+    }
+  }
+}
+
+function getFieldId(fields, key) {
+  /**
+   * Finds the id of a field given its id, name or column number
+   *
+   * @param {object} fields Fields structure of the source
+   * @param {string} key Field id, name or column number
+   */
+  var fieldId;
+  if (fields.hasOwnProperty(key)) {
+    return key;
+  }
+  for (fieldId in fields) {
+    if (fields.hasOwnProperty(fieldId) && fields[fieldId].name === key) {
+      return fieldId;
+    }
+  }
+  if (/^\d+$/.test(key)) {
+    for (fieldId in fields) {
+      if (fields.hasOwnProperty(fieldId) &&
+          fields[fieldId].column_number === parseInt(key, 10)) {
+        return fieldId;
+      }
+    }
+  }
+  throw new Error('No field found for ' + key + '.');
+}
+
 function Source(connection) {
   Resource.call(this, connection);
 }
@@ -39,7 +195,7 @@ Source.prototype = new Resource();
 
 Source.prototype.parent = Resource.prototype;
 
-Source.prototype.create = function (path, args, retry, cb) {
+Source.prototype.create = utils.promisify(function (path, args, retry, cb) {
   /**
    * Creates a source and builds customized error and resource info
    *
@@ -52,7 +208,12 @@ Source.prototype.create = function (path, args, retry, cb) {
    *   object: The resource itself
    *   error: An error code and message
    *
-   * @param {string} path Path to the source file
+   * @param {string|array|Buffer|stream} path Path to the source file. Remote
+   *                       URLs, lists of rows, Buffers and Readable streams
+   *                       are also accepted. Strings with line breaks are
+   *                       uploaded as inline data. Streams are piped to the
+   *                       request when retries are off and read into memory
+   *                       otherwise, so that they can be sent again
    * @param {object} args Arguments that should be used in the call. For
    *                      example {name: "my_name"}
    * @param {boolean} retry Turns on/off the retries if a resumable
@@ -60,58 +221,259 @@ Source.prototype.create = function (path, args, retry, cb) {
    * @param {function} cb Callback function
    */
 
-  var self = this, uri, form, formLength, headers, arg, options,
+  var self = this, uri, options, filename, failed = false,
     message = 'Failed to create the source. First parameter must be' +
-    ' a file path.';
-
-  if (arguments.length > 0) {
-    options = utils.optionalCUParams(arguments, message);
-    options.path = path;
-    options = utils.setRetries(options);
-    options.type = 'source';
-    options.operation = 'create';
-    this.options = options;
-  } else {
-    options = this.options;
+    ' a file path, a remote URL, a list of rows, a Buffer or a Readable' +
+    ' stream.';
+
+  if ((typeof path) === 'string' && REMOTE_RE.test(path)) {
+    return this.createRemote.apply(this, arguments);
+  }
+  if (utils.isArray(path) ||
+      ((typeof path) === 'string' && INLINE_RE.test(path))) {
+    return this.createInline.apply(this, arguments);
   }
+  options = utils.optionalCUParams(arguments, message);
+  options = utils.setRetries(options, this.connection);
+  options.args = utils.setProject(options.args, this.connection);
+  options.type = 'source';
+  options.operation = 'create';
   uri = this.connection.resourceUrls.source + this.connection.auth;
-  form = new FormData();
-  try {
-    form.append('file', fs.createReadStream(options.path));
-  } catch (err) {
-    return options.cb(err, null);
-  }
-  for (arg in options.args) {
-    if (options.args.hasOwnProperty(arg)) {
-      form.append(arg, options.args[arg]);
-    }
-  }
-  form.getLength(function (error, length) {
-    formLength = length;
-    headers = form.getHeaders({'content-length': formLength});
-    var r = request.post({
-      uri        : uri,
-      method     : 'POST',
-      strictSSL  : constants.VERIFY,
-      headers    : headers
-    }, function (error, response) {
-      var code = constants.HTTP_INTERNAL_SERVER_ERROR,
-        result = utils.makeEmptyResult('resource',
-                                       code,
-                                       'The resource couldn\'t be created');
-
-      return utils.requestResponse('create', self, constants.HTTP_CREATED,
-                                   createErrors,
-                                   error, undefined, response,
-                                   result, options.cb);
+
+  function upload(getContents, streamed) {
+    // The form is built again on each retry, as its contents can only be
+    // read once.
+    options.operationFunction = function () {
+      var form = new FormData(), arg;
+      try {
+        form.append('file', getContents(), {filename: filename});
+      } catch (err) {
+        return options.cb(err, null);
+      }
+      for (arg in options.args) {
+        if (options.args.hasOwnProperty(arg)) {
+          form.append(arg, options.args[arg]);
+        }
+      }
+      form.once('error', function (error) {
+        failed = true;
+        options.cb(error, null);
+      });
+      function send(length) {
+        // the length of streamed contents is unknown: they are sent in chunks
+        var headers = form.getHeaders(streamed ? {} :
+                                      {'content-length': length}),
+          reqOptions = {
+            uri        : uri,
+            method     : 'POST',
+            headers    : headers
+          };
+        self.connection.transportOptions(reqOptions);
+        self.connection.schedule(reqOptions, function (error, response) {
+          var code = constants.HTTP_INTERNAL_SERVER_ERROR,
+            result = utils.makeEmptyResult('resource',
+                                           code,
+                                           'The resource couldn\'t be created');
+
+          // errors of piped streams have already been reported
+          if (failed) {
+            return;
+          }
+          return utils.requestResponse('create', self, options,
+                                       constants.HTTP_CREATED,
+                                       createErrors,
+                                       error, undefined, response, result);
+        }, function (done) {
+          form.pipe(self.connection.transport(reqOptions, done));
+        });
+      }
+      if (streamed) {
+        return send();
+      }
+      form.getLength(function (error, length) {
+        send(length);
+      });
+    };
+    options.operationFunction();
+  }
+
+  if ((typeof path) === 'string') {
+    filename = path;
+    return upload(function () {
+      return fs.createReadStream(path);
+    });
+  }
+  if (Buffer.isBuffer(path)) {
+    filename = DEFAULT_FILENAME;
+    return upload(function () {
+      return path;
+    });
+  }
+  if (isReadable(path)) {
+    filename = (typeof path.path) === 'string' ? path.path : DEFAULT_FILENAME;
+    if (options.retry === null) {
+      return upload(function () {
+        return path;
+      }, true);
+    }
+    // Stream contents are read before the upload so that the request
+    // can be sent again on retries.
+    return readContents(path, function (error, contents) {
+      if (error) {
+        return options.cb(error, null);
+      }
+      upload(function () {
+        return contents;
+      });
     });
+  }
+  throw new Error(message);
+});
+
+Source.prototype.createRemote = utils.promisify(function (url, args, retry,
+                                                          cb) {
+  /**
+   * Creates a source from a remote URL and builds customized error and
+   * resource info
+   *
+   * @param {string} url Remote URL to the data
+   * @param {object} args Arguments that should be used in the call. For
+   *                      example {name: "my_name"}
+   * @param {boolean} retry Turns on/off the retries if a resumable
+   *                        condition happens
+   * @param {function} cb Callback function
+   */
+  var options, reqOptions, sendRequest,
+    message = 'Failed to create the source. First parameter must be' +
+    ' a remote URL.';
+
+  if ((typeof url) !== 'string') {
+    throw new Error(message);
+  }
+  options = utils.optionalCUParams(arguments, message);
+  options.args.remote = url;
+  options = utils.setRetries(options, this.connection);
+  options.type = 'source';
+  options.operation = 'create';
+  reqOptions = {
+    method: 'POST',
+    resourceType: 'source',
+    endpoint: '/',
+    body: options.args
+  };
+  sendRequest = utils.makeSendRequest(this, reqOptions, options);
+  sendRequest(null);
+});
 
-    form.pipe(r);
+Source.prototype.createInline = utils.promisify(function (data, args, retry,
+                                                          cb) {
+  /**
+   * Creates a source from inline data and builds customized error and
+   * resource info
+   *
+   * @param {string|array} data Contents of the source or list of rows. Rows
+   *                            can be arrays of values or objects
+   * @param {object} args Arguments that should be used in the call. For
+   *                      example {name: "my_name"}
+   * @param {boolean} retry Turns on/off the retries if a resumable
+   *                        condition happens
+   * @param {function} cb Callback function
+   */
+  var options, reqOptions, sendRequest,
+    message = 'Failed to create the source. First parameter must be' +
+    ' a string or a list of rows.';
+
+  if (utils.isArray(data)) {
+    data = rowsToCSV(data);
+  }
+  if ((typeof data) !== 'string') {
+    throw new Error(message);
+  }
+  options = utils.optionalCUParams(arguments, message);
+  options.args.data = data;
+  options = utils.setRetries(options, this.connection);
+  options.type = 'source';
+  options.operation = 'create';
+  reqOptions = {
+    method: 'POST',
+    resourceType: 'source',
+    endpoint: '/',
+    body: options.args
+  };
+  sendRequest = utils.makeSendRequest(this, reqOptions, options);
+  sendRequest(null);
+});
+
+Source.prototype.configure = utils.promisify(function (source, config, retry,
+                                                       cb) {
+  /**
+   * Updates the fields and parsing options of a source. Fields can be
+   * referred to by id, name or column number.
+   *
+   * @param {string|object} source Source id or object
+   * @param {object} config Configuration of the source. For example
+   *                        {fields: {'sepal length': {optype: 'numeric'},
+   *                                  4: {optype: 'categorical'}},
+   *                         source_parser: {separator: ';', header: true,
+   *                                         missing_tokens: ['?'],
+   *                                         locale: 'es-ES'},
+   *                         term_analysis: {enabled: true}}.
+   *                        Other attributes are sent unchanged
+   * @param {boolean} retry Turns on/off the retries if a resumable
+   *                        condition happens
+   * @param {function} cb Callback function
+   */
+  var self = this, options, resourceId,
+    message = 'Failed to configure the source. First parameter must be' +
+    ' a source id.';
+
+  resourceId = utils.getResource(source);
+  if ((typeof resourceId) === 'undefined' || resourceId.type !== 'source') {
+    throw new Error(message);
+  }
+  options = utils.optionalCUParams(arguments, message);
+  checkConfiguration(options.args);
+
+  function sendUpdate(fields) {
+    var body = {}, key;
+    for (key in options.args) {
+      if (options.args.hasOwnProperty(key) && key !== 'fields') {
+        body[key] = options.args[key];
+      }
+    }
+    if ((typeof fields) !== 'undefined') {
+      body.fields = {};
+      for (key in options.args.fields) {
+        if (options.args.fields.hasOwnProperty(key)) {
+          try {
+            body.fields[getFieldId(fields, key)] = options.args.fields[key];
+          } catch (err) {
+            return options.cb(err, null);
+          }
+        }
+      }
+    }
+    self.update(resourceId.resource, body, options.retry, options.cb);
+  }
+
+  if ((typeof options.args.fields) === 'undefined') {
+    return sendUpdate();
+  }
+  // The source fields are needed to find the ids of the fields
+  this.get(resourceId.resource, true, function (error, data) {
+    if (error) {
+      return options.cb(error, data);
+    }
+    sendUpdate(data.object.fields || {});
   });
-};
+});
 
 Source.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'source', query, cb);
+  return this.parent.list.call(this, 'source', query, cb);
+};
+
+Source.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'source', filter);
 };
 
 module.exports = Source;
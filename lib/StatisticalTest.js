@@ -31,7 +31,8 @@ StatisticalTest.prototype = new Resource();
 
 StatisticalTest.prototype.parent = Resource.prototype;
 
-StatisticalTest.prototype.create = function (dataset, args, retry, cb) {
+StatisticalTest.prototype.create = utils.promisify(function (dataset, args,
+                                                             retry, cb) {
   /**
    * Creates a test and builds customized error and resource info
    *
@@ -63,10 +64,14 @@ StatisticalTest.prototype.create = function (dataset, args, retry, cb) {
   self.parent.create.call(self, 'statisticaltest', ['dataset'], message,
                           resourceId.resource,
                           options.args, options.retry, options.cb);
-};
+});
 
 StatisticalTest.prototype.list = function (query, cb) {
-  this.parent.list.call(this, 'statisticaltest', query, cb);
+  return this.parent.list.call(this, 'statisticaltest', query, cb);
+};
+
+StatisticalTest.prototype.iterate = function (filter) {
+  return this.parent.iterate.call(this, 'statisticaltest', filter);
 };
 
 
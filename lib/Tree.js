@@ -53,7 +53,7 @@ function getInstances(distribution) {
    * @param {array} distribution List of classes and their instances
    */
   var i, count = 0;
-  if (distribution !== null) {
+  if (distribution) {
     for (i = 0; i < distribution.length; i++) {
       count += distribution[i][1];
     }
@@ -649,6 +649,120 @@ Tree.prototype.nextPredicate = function () {
 };
 
 
+Tree.prototype.toCode = function (depth, optypes) {
+  /**
+   * Builds the JavaScript statements that return the prediction of the
+   * subtree, following the last prediction strategy for missing values.
+   *
+   * @param {integer} depth Depth of the node, used to indent the code
+   * @param {object} optypes Object where the optypes of the fields used
+   *                         in the predicates are stored, keyed by id
+   */
+  var indent = new Array(depth + 2).join('  '), code = '', index, child;
+  for (index = 0; index < this.children.length; index++) {
+    child = this.children[index];
+    optypes[child.predicate.field] = this.fields[child.predicate.field].optype;
+    code += ((index === 0) ? indent + 'if (' : ' else if (') +
+      child.predicate.toCode(this.fields) + ') {\n' +
+      child.toCode(depth + 1, optypes) + indent + '}';
+  }
+  if (code !== '') {
+    code += '\n';
+  }
+  return code + indent + 'return {prediction: ' +
+    JSON.stringify(this.output) + ', confidence: ' +
+    JSON.stringify(this.confidence) + '};\n';
+};
+
+Tree.prototype.toRules = function (depth, objectiveName) {
+  /**
+   * Builds the nested IF/THEN rules of the subtree
+   *
+   * @param {integer} depth Depth of the node, used to indent the rules
+   * @param {string} objectiveName Name of the objective field
+   */
+  var indent = new Array(depth + 1).join('    '), rules = '', index, child;
+  if (this.children.length === 0) {
+    return indent + objectiveName + ' = ' + this.output + '\n';
+  }
+  for (index = 0; index < this.children.length; index++) {
+    child = this.children[index];
+    rules += indent + 'IF ' + child.predicate.toRule(this.fields).trim() +
+      ((child.children.length > 0) ? ' AND\n' : ' THEN\n') +
+      child.toRules(depth + 1, objectiveName);
+  }
+  return rules;
+};
+
+Tree.prototype.leaves = function (path) {
+  /**
+   * Returns the leaves of the subtree and the list of predicates that lead
+   * to each of them
+   *
+   * @param {array} path Predicates that lead to the node
+   */
+  var leaves = [], index, child;
+  path = path || [];
+  if (this.children.length === 0) {
+    return [{path: path, node: this}];
+  }
+  for (index = 0; index < this.children.length; index++) {
+    child = this.children[index];
+    leaves = leaves.concat(child.leaves(path.concat([child.predicate])));
+  }
+  return leaves;
+};
+
+Tree.prototype.value = function (prediction) {
+  /**
+   * Returns the value of the node used to measure the contribution of the
+   * splits: the output in regressions and the probability of the
+   * predicted class in classifications.
+   *
+   * @param {string|number} prediction Predicted class
+   */
+  var index, instances;
+  if (this.regression) {
+    return this.output;
+  }
+  instances = getInstances(this.distribution);
+  if (instances === 0) {
+    return (this.output === prediction) ? 1 : 0;
+  }
+  for (index = 0; index < this.distribution.length; index++) {
+    if (this.distribution[index][0] === prediction) {
+      return this.distribution[index][1] / instances;
+    }
+  }
+  return 0;
+};
+
+Tree.prototype.contributions = function (inputData, prediction,
+                                         contributions) {
+  /**
+   * Follows the path of the input data in the subtree, crediting the field
+   * used in each split with the change in the value of the node. The
+   * contributions, keyed by field id, add up to the difference between
+   * the values of the last node in the path and the subtree root.
+   *
+   * @param {object} inputData Input data keyed by field id
+   * @param {string|number} prediction Predicted class
+   * @param {object} contributions Contributions of the previous splits
+   */
+  var index, child, field;
+  contributions = contributions || {};
+  for (index = 0; index < this.children.length; index++) {
+    child = this.children[index];
+    if (child.predicate.evaluate(inputData, this.fields)) {
+      field = child.predicate.field;
+      contributions[field] = (contributions[field] || 0) +
+        child.value(prediction) - this.value(prediction);
+      return child.contributions(inputData, prediction, contributions);
+    }
+  }
+  return contributions;
+};
+
 if (NODEJS) {
   module.exports = Tree;
 } else {
@@ -32,24 +32,27 @@ if (NODEJS) {
   // BigML domain
   define("BIGML_DOMAIN", process.env.BIGML_DOMAIN || 'bigml.io');
 
-  // BigML domain
-  var PROTOCOLS = ['http', 'https'];
+  // BigML protocol
+  define("BIGML_PROTOCOLS", ['http', 'https']);
   var USER_PROTOCOL = process.env.BIGML_PROTOCOL || 'https';
   define("BIGML_PROTOCOL", USER_PROTOCOL.toLowerCase());
-  if (PROTOCOLS.indexOf(exports.BIGML_PROTOCOL) < 0) {
+  if (exports.BIGML_PROTOCOLS.indexOf(exports.BIGML_PROTOCOL) < 0) {
     throw new Error('Check your BIGML_PROTOCOL environment variable.\n' +
                     'Only http and https are accepted as protocols.');
   }
 
+  // API version prefix of the URLs
+  define("BIGML_API_VERSION", 'andromeda');
+
   // Base URL
   define("BIGML_URL",
          exports.BIGML_PROTOCOL + '://' +
-         exports.BIGML_DOMAIN + '/andromeda/');
+         exports.BIGML_DOMAIN + '/' + exports.BIGML_API_VERSION + '/');
 
   // Development Mode URL
   define("BIGML_DEV_URL",
          exports.BIGML_PROTOCOL + '://'  +
-         exports.BIGML_DOMAIN + '/dev/andromeda/');
+         exports.BIGML_DOMAIN + '/dev/' + exports.BIGML_API_VERSION + '/');
 
   // Check BigML.io host’s SSL certificate
   // DO NOT CHANGE IT.
@@ -115,6 +118,9 @@ define("HTTP_METHOD_NOT_ALLOWED", 405);
 define("HTTP_LENGTH_REQUIRED", 411);
 define("HTTP_TOO_MANY_REQUESTS", 429);
 define("HTTP_INTERNAL_SERVER_ERROR", 500);
+define("HTTP_BAD_GATEWAY", 502);
+define("HTTP_SERVICE_UNAVAILABLE", 503);
+define("HTTP_GATEWAY_TIMEOUT", 504);
 define("HTTP_COMMON_ERRORS", [exports.HTTP_UNAUTHORIZED,
                               exports.HTTP_BAD_REQUEST,
                               exports.HTTP_NOT_FOUND,
@@ -153,6 +159,18 @@ define("SHARED_RESOURCE_TYPES", ['dataset', 'model', 'evaluation', 'cluster',
                                  'batchcentroid', 'anomaly', 'anomalyscore',
                                  'batchanomalyscore', 'correlation',
                                  'script', 'execution', 'library']);
+// Attributes that point to the resources a resource was created from
+define("ORIGIN_ATTRIBUTES", ['source', 'dataset', 'datasets',
+                             'origin_dataset', 'origin_datasets',
+                             'origin_batch_resource', 'model', 'models',
+                             'ensemble', 'cluster', 'anomaly',
+                             'logisticregression', 'association', 'script',
+                             'scripts']);
+// Field optypes understood by the local predictors
+define("OPTYPES", ['numeric', 'categorical', 'text', 'items', 'datetime']);
+// Attributes accepted in the source_parser of a source
+define("SOURCE_PARSER_ATTRIBUTES", ['header', 'locale', 'missing_tokens',
+                                    'quote', 'separator', 'trim']);
 // Resources syntax patterns
 define("ID_PATTERN", /^[a-f0-9]{24}$/);
 define("PUBLIC_PREFIX", "public/");
@@ -163,8 +181,26 @@ define("ONLY_MODEL", 'only_model=true;limit=-1;');
 // Default retries parameters
 define("DEFAULT_BIGML_RETRIES", 10);
 define("DEFAULT_BIGML_WAIT", 1000);
-
-// Retriable error codes
+// Maximum time between polls when waiting for a resource
+define("DEFAULT_BIGML_MAX_WAIT", 30000);
+// Number of resources retrieved in each page when iterating a listing
+define("DEFAULT_LIST_PAGE_SIZE", 200);
+// Time that creates wait when the account has too many running tasks
+define("DEFAULT_TASK_WAIT", 10000);
+// Deletions sent at the same time by a cleanup
+define("DEFAULT_CLEANUP_CONCURRENCY", 5);
+
+// Retriable HTTP status codes
+define("RETRY_HTTP_ERRORS", [exports.HTTP_TOO_MANY_REQUESTS,
+                             exports.HTTP_INTERNAL_SERVER_ERROR,
+                             exports.HTTP_BAD_GATEWAY,
+                             exports.HTTP_SERVICE_UNAVAILABLE,
+                             exports.HTTP_GATEWAY_TIMEOUT]);
+// HTTP status codes that are retried in creates: the rest of errors might
+// happen once the resource has been created
+define("RETRY_CREATE_HTTP_ERRORS", [exports.HTTP_TOO_MANY_REQUESTS,
+                                    exports.HTTP_SERVICE_UNAVAILABLE]);
+// Retriable BigML error codes
 define("RETRY_ERRORS", [-10, -20, -40, -45, -50, -500, -2000,
                         -2003, -2010, -3000, -3003, -3010, -4000,
                         -4003, -4200, -5000, -6010, -6020]);
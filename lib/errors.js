@@ -0,0 +1,173 @@
+/**
+ * Copyright 2016 BigML
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+"use strict";
+
+var NODEJS = ((typeof module !== 'undefined') && module.exports);
+var PATH = (NODEJS) ? "./" : "";
+
+var constants = require(PATH + 'constants');
+
+
+/**
+ * BigMLError: Base class for the failures of the calls to the BigML API.
+ * @constructor
+ */
+function BigMLError(message, details) {
+  /**
+   * Constructor for the errors of the BigML API calls
+   *
+   * @param {string} message Error message
+   * @param {object} details Info about the failed call:
+   *                         httpStatus: HTTP status code of the response
+   *                         code: BigML status code
+   *                         resource: Resource id, when the call is about
+   *                                   an existing resource
+   *                         response: Raw response of the request
+   */
+  details = details || {};
+  this.name = 'BigMLError';
+  this.message = message;
+  this.httpStatus = details.httpStatus;
+  this.code = details.code;
+  this.resource = details.resource;
+  this.response = details.response;
+  if ((typeof Error.captureStackTrace) === 'function') {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = (new Error(message)).stack;
+  }
+}
+
+BigMLError.prototype = Object.create(Error.prototype);
+BigMLError.prototype.constructor = BigMLError;
+
+
+function defineError(name) {
+  /**
+   * Creates a subclass of BigMLError
+   *
+   * @param {string} name Name of the error class
+   */
+  var ErrorClass = function (message, details) {
+    BigMLError.call(this, message, details);
+    this.name = name;
+  };
+  ErrorClass.prototype = Object.create(BigMLError.prototype);
+  ErrorClass.prototype.constructor = ErrorClass;
+  return ErrorClass;
+}
+
+// 401 and 403 responses: wrong credentials or not enough permissions
+var BigMLAuthError = defineError('BigMLAuthError');
+// 402 responses: the account's subscription limits have been reached
+var BigMLPaymentRequiredError = defineError('BigMLPaymentRequiredError');
+// 429 responses: too many requests
+var BigMLRateLimitError = defineError('BigMLRateLimitError');
+// 404 responses: the resource does not exist or is not accessible
+var BigMLNotFoundError = defineError('BigMLNotFoundError');
+// the resource ended up in a FAULTY status
+var BigMLFaultyResourceError = defineError('BigMLFaultyResourceError');
+// the retries of a request were exhausted
+var BigMLRetriesExceededError = defineError('BigMLRetriesExceededError');
+
+var HTTP_ERRORS = {};
+HTTP_ERRORS[constants.HTTP_UNAUTHORIZED] = BigMLAuthError;
+HTTP_ERRORS[constants.HTTP_FORBIDDEN] = BigMLAuthError;
+HTTP_ERRORS[constants.HTTP_PAYMENT_REQUIRED] = BigMLPaymentRequiredError;
+HTTP_ERRORS[constants.HTTP_TOO_MANY_REQUESTS] = BigMLRateLimitError;
+HTTP_ERRORS[constants.HTTP_NOT_FOUND] = BigMLNotFoundError;
+
+
+function errorDetails(result, resource, response) {
+  /**
+   * Extracts the info stored in the errors from the result of a call
+   *
+   * @param {object} result Result of the call, as passed to its callback
+   * @param {string} resource Resource id
+   * @param {object} response Raw response of the request
+   */
+  var status = (result && result.error) ? result.error.status : undefined;
+  return {
+    httpStatus: (response && response.statusCode) || (result && result.code),
+    code: status ? status.code : undefined,
+    resource: resource || (result && result.resource) || undefined,
+    response: response
+  };
+}
+
+
+function fromResponse(result, resource, response) {
+  /**
+   * Builds the error for a failed call from its result, choosing the class
+   * that corresponds to the HTTP status of the response
+   *
+   * @param {object} result Result of the call, as passed to its callback
+   * @param {string} resource Resource id
+   * @param {object} response Raw response of the request
+   */
+  var details = errorDetails(result, resource, response),
+    ErrorClass = HTTP_ERRORS[details.httpStatus] || BigMLError,
+    status = (result && result.error) ? result.error.status : undefined;
+  return new ErrorClass((status && status.message) || 'Unexpected error',
+                        details);
+}
+
+
+function retriesExceeded(result, resource, response) {
+  /**
+   * Builds the error for a call whose retries were exhausted
+   *
+   * @param {object} result Result of the last request
+   * @param {string} resource Resource id
+   * @param {object} response Raw response of the last request
+   */
+  return new BigMLRetriesExceededError(
+    'Retries limit exceeded', errorDetails(result, resource, response));
+}
+
+
+function faultyResource(result, response) {
+  /**
+   * Builds the error for a resource whose status is FAULTY
+   *
+   * @param {object} result Result of the call that retrieved the resource
+   * @param {object} response Raw response of the request
+   */
+  var status = result.object.status;
+  return new BigMLFaultyResourceError(
+    'The resource ' + result.resource + ' is faulty: ' + status.message,
+    {httpStatus: result.code, code: status.code, resource: result.resource,
+     response: response});
+}
+
+
+exports = {
+  BigMLError: BigMLError,
+  BigMLAuthError: BigMLAuthError,
+  BigMLPaymentRequiredError: BigMLPaymentRequiredError,
+  BigMLRateLimitError: BigMLRateLimitError,
+  BigMLNotFoundError: BigMLNotFoundError,
+  BigMLFaultyResourceError: BigMLFaultyResourceError,
+  BigMLRetriesExceededError: BigMLRetriesExceededError,
+  fromResponse: fromResponse,
+  retriesExceeded: retriesExceeded,
+  faultyResource: faultyResource
+};
+
+if (NODEJS) {
+  module.exports = exports;
+}
@@ -18,18 +18,40 @@
 var winston = require('winston');
 var constants = require('./constants');
 
-var CONSOLE_SILENT = (['0', '3'].indexOf(constants.BIGML_LOG_LEVEL) > -1);
-var FILE_SILENT = (['0', '2'].indexOf(constants.BIGML_LOG_LEVEL) > -1);
-var LEVEL = (['4'].indexOf(constants.BIGML_LOG_LEVEL) > -1) ? 'debug' : 'error';
+function createLogger(options) {
+  /**
+   * Creates a logger
+   *
+   * @param {object} options Logging settings:
+   *                         level: 0 - silent,
+   *                                1 - console and file log winston defaults,
+   *                                2 - console log only
+   *                                3 - file log only
+   *                                4 - console and file with debug info
+   *                         file: name of the log file
+   *                         handleExceptions: whether uncaught exceptions
+   *                                           are logged to the file
+   */
+  var level = String(options.level),
+    consoleSilent = (['0', '3'].indexOf(level) > -1),
+    fileSilent = (['0', '2'].indexOf(level) > -1);
+  level = (level === '4') ? 'debug' : 'error';
+  return new (winston.Logger)({
+    exitOnError: false,
+    transports: [
+      new winston.transports.Console({silent: consoleSilent, level: level}),
+      new winston.transports.File({filename: options.file,
+                                   handleExceptions:
+                                     options.handleExceptions || false,
+                                   silent: fileSilent, level: level})
+    ]
+  });
+}
 
-var logger = new (winston.Logger)({
-  exitOnError: false,
-  transports: [
-    new winston.transports.Console({silent: CONSOLE_SILENT, level: LEVEL}),
-    new winston.transports.File({filename: constants.BIGML_LOG_FILE,
-                                 handleExceptions: true,
-                                 silent: FILE_SILENT, level: LEVEL})
-  ]
-});
+// default logger, set by the BIGML_LOG_LEVEL and BIGML_LOG_FILE variables
+var logger = createLogger({level: constants.BIGML_LOG_LEVEL,
+                           file: constants.BIGML_LOG_FILE,
+                           handleExceptions: true});
+logger.createLogger = createLogger;
 
 module.exports = logger;
@@ -20,9 +20,10 @@ var NODEJS = ((typeof module !== 'undefined') && module.exports);
 var PATH = (NODEJS) ? "./" : "";
 
 var constants = require(PATH + 'constants');
+var errors = require(PATH + 'errors');
+var RetryPolicy = require(PATH + 'RetryPolicy');
 if (NODEJS) {
   var logger = require('./logger');
-  var BigML = require('./BigML');
 } else {
   var logger = {error: console.log, debug: console.log, warning: console.log,
                 info: console.log};
@@ -60,6 +61,47 @@ exports = {
     console.log(resource);
   },
 
+  promisify: function (method) {
+    /**
+     * Wraps a callback-based method so that it returns a Promise when no
+     * callback function is found in its arguments. The promise is resolved
+     * with the result the callback would receive and rejected with the
+     * error, which stores that result in its `result` attribute.
+     *
+     * @param {function} method Method that expects a callback as its last
+     *                          argument
+     */
+    return function () {
+      var self = this, args = [].slice.call(arguments), index;
+      if ((typeof Promise) === 'undefined') {
+        return method.apply(self, args);
+      }
+      for (index = 0; index < args.length; index++) {
+        if ((typeof args[index]) === 'function') {
+          return method.apply(self, args);
+        }
+      }
+      // trailing undefined arguments would push the callback out of place
+      while (args.length > 0 &&
+             (typeof args[args.length - 1]) === 'undefined') {
+        args.pop();
+      }
+      return new Promise(function (resolve, reject) {
+        args.push(function (error, result) {
+          if (error) {
+            if ((typeof error) === 'object' && error !== null &&
+                (typeof error.result) === 'undefined') {
+              error.result = result;
+            }
+            return reject(error);
+          }
+          return resolve(result);
+        });
+        method.apply(self, args);
+      });
+    };
+  },
+
   getResource: function (resource) {
     /**
      * Auxiliary function to get the resource structure
@@ -244,23 +286,26 @@ exports = {
     }
   },
 
-  requestResponse: function (type, self, okStatus, koStatuses,
-                             error, data, response, result, cb) {
+  requestResponse: function (type, self, options, okStatus, koStatuses,
+                             error, data, response, result) {
     /**
      * Analyzes the request response to trigger the callback and returned info
      *
      * @param {string} type Type of results: resource, delete, list, create
      * @param {object} self Reference to the original bigml Resource object
+     * @param {object} options Options of the call being processed: args,
+     *                         retry info, callback and the function that
+     *                         sends the request again
      * @param {integer} okStatus Http status code for success
      * @param {integer} koStatus Http status code for failure
      * @param {object} error Error info
      * @param {string} data Response data
      * @param {object} response Request response object
      * @param {object} result Returned info
-     * @param {function} cb Callback
      */
 
-    var errorMessage, message, wait,
+    var errorMessage, message, wait, cb = options.cb,
+      log = self.connection.logger,
       code = constants.HTTP_INTERNAL_SERVER_ERROR;
     try {
       if (error) {
@@ -268,83 +313,89 @@ exports = {
         if ((typeof data) !== 'undefined') {
           errorMessage += '\ndata: ' + data;
         }
-        logger.error(errorMessage + ". Retrying.");
+        log.error(errorMessage + ". Retrying.");
         result.error.status.message += ': ' + error + ". Retrying.";
-        message = (self.options.type + " " + self.options.operation +
+        message = (options.type + " " + options.operation +
                    ' with arguments: ' +
-                   JSON.stringify(self.options.args));
-        return self.retryRequest(result, message);
+                   JSON.stringify(options.args));
+        return self.retryRequest(options, result, message);
       }
-      logger.debug(response.statusCode);
+      log.debug(response.statusCode);
       code = response.statusCode;
+      options.response = response;
       if (code === okStatus) {
         try {
           result = exports.makeResult(type, data, response);
         } catch (err) {
           return cb(err, result);
         }
-        logger.debug(JSON.stringify(result));
+        log.debug(JSON.stringify(result));
         return cb(null, result);
       }
       if (koStatuses.indexOf(code) > -1) {
-        if ((typeof data) === "undefined" ||
+        if ((typeof data) === "undefined" || data === null ||
             (typeof data.status) === "undefined") {
           data = {status:
                    {code: code, message: 'Unexpected response from server'}};
         }
         result.error = data;
-        logger.error(JSON.stringify(data));
+        log.error(JSON.stringify(data));
       } else {
         errorMessage = 'Unexpected error (' + code +
                        ' [' + result.error.status.code + ']).';
-        if (constants.RETRY_ERRORS.indexOf(result.error.status.code) > -1) {
-          result.error.status.message += ': ' + errorMessage + "  Retrying.";
-          if ((typeof self) !== 'undefined' && self.options.retry &&
-              self.options.retry.retriesLeft > 0) {
-            message = (self.options.type + " " + self.options.operation +
-                       ' with arguments: ' +
-                       JSON.stringify(self.options.args));
-            self.retryRequest(result, message);
-          } else if ((typeof self) !== 'undefined' && self.options.retry) {
-            errorMessage += (' Retries limit exceeded. The request failed.');
-            logger.error(errorMessage);
-            result.error.status.message += ': ' + errorMessage;
-            return cb(new Error("Retries limit exceeded"), result);
-          }
-        }
+        result.error.status.message += ': ' + errorMessage;
+      }
+      if (options.retry &&
+          options.retry.isRetriable(code, (data && data.status) ?
+                                    data.status.code : undefined,
+                                    options.operation === 'create')) {
+        message = (options.type + " " + options.operation +
+                   ' with arguments: ' +
+                   JSON.stringify(options.args));
+        return self.retryRequest(options, result, message);
       }
 
-      error = new Error(result.error.status.message);
+      error = errors.fromResponse(result, options.resource, response);
       return cb(error, result);
     } catch (exc) {
-      logger.error(exc);
+      log.error(exc);
       return cb(exc, result);
     }
 
   },
 
-  setRetries: function (options) {
+  setRetries: function (options, connection) {
     /**
-     * Sets the number of retries and first wait time if retry is set
+     * Sets the retry policy of a call if retry is set. Each call keeps its
+     * own count of attempts.
      *
      * @param {object} options Object that stores resource creation variables
+     * @param {object} connection BigML connection, whose retry policy is
+     *                            used by default
      */
-    if (options.retry) {
-      // Setting default values for the retry object
-      if ((typeof options.retry) === 'boolean') {
-        options.retry = {retries: constants.DEFAULT_BIGML_RETRIES,
-                         wait: constants.DEFAULT_BIGML_WAIT};
-      } else if (options.options.retry === Infinity) {
-        logger.warning("Infinite retries are not allowed. Changing to " +
-                        constants.DEFAULT_BIGML_RETRIES);
-        options.retry = {retries: constants.DEFAULT_BIGML_RETRIES,
-                         wait: options.finished.wait};
-      }
-      options.retry.retriesLeft = options.retry.retries;
-    }
+    options.retry = RetryPolicy.build(options.retry, connection.retryPolicy);
+    options.attempts = 1;
     return options;
   },
 
+  setProject: function (args, connection) {
+    /**
+     * Adds the default project of the connection to the arguments of a
+     * create unless they already set one.
+     *
+     * @param {object} args Arguments of the create call
+     * @param {object} connection BigML connection
+     */
+    if (!connection.project) {
+      return args;
+    }
+    args = args || {};
+    if ((typeof args.project) === 'undefined') {
+      args.project = connection.project;
+    }
+    return args;
+  },
+
   checkConnection: function (connection) {
     /**
      * Checks the argument for a BigML connection object or creates one
@@ -356,12 +407,60 @@ exports = {
         return connection;
       }
       if ((typeof connection) === 'undefined') {
-        return new BigML();
+        // required here because BigML.js also depends on this module
+        return new (require('./BigML'))();
       }
     }
     throw new Error('Check your arguments. BigML connection needed.');
   },
 
+  buildQuery: function (filter) {
+    /**
+     * Builds the query string used to filter and order listings from an
+     * object whose keys are the query parameters, e.g.
+     *
+     *   {name__contains: 'iris', created__gt: new Date(2016, 0, 1),
+     *    project: 'project/5143a51a37203f2cf7000972', order_by: '-created'}
+     *
+     * Dates are sent in ISO format, arrays as comma-separated values and
+     * resource objects as their id. Strings are used as given.
+     *
+     * @param {object|string} filter Filters and order for the listing
+     */
+    var key, value, params = [];
+    if ((typeof filter) === 'undefined' || filter === null) {
+      return undefined;
+    }
+    if ((typeof filter) === 'string') {
+      return filter;
+    }
+    if ((typeof filter) !== 'object' || exports.isArray(filter)) {
+      throw new Error('The filter must be an object or a query string.');
+    }
+    for (key in filter) {
+      if (filter.hasOwnProperty(key) &&
+          (typeof filter[key]) !== 'undefined') {
+        value = filter[key];
+        if (value instanceof Date) {
+          // BigML expects dates with no time zone suffix
+          value = value.toISOString().replace('Z', '');
+        } else if (exports.isArray(value)) {
+          value = value.join(',');
+        } else if (value !== null && (typeof value) === 'object' &&
+                   (typeof value.resource) === 'string') {
+          value = value.resource;
+        } else if (value === null || ['string', 'number',
+                                      'boolean'].indexOf(typeof value) < 0) {
+          throw new Error('Wrong value for the ' + key + ' filter: ' +
+                          value);
+        }
+        params.push(encodeURIComponent(key) + '=' +
+                    encodeURIComponent(String(value)));
+      }
+    }
+    return params.join(';');
+  },
+
   optionalCUParams: function (argsArray, message) {
     /**
      * Checks the arguments given to the create or update method and
@@ -552,10 +651,24 @@ exports = {
 
 
   makeSendRequest: function (self, reqOptions, options) {
+    /**
+     * Builds the function that sends the creation request. It is also
+     * stored in the call options to be used when the request is retried.
+     *
+     * @param {object} self Reference to the original bigml Resource object
+     * @param {object} reqOptions Options for the connection request
+     * @param {object} options Options of the create call
+     */
 
-    function sendRequest (error) {
+    if (options.type !== 'project') {
+      options.args = exports.setProject(options.args, self.connection);
+      reqOptions.body = options.args;
+    }
+    function sendRequest (error, origin) {
         if (error) {
-          logger.error("Origin resources could not be retrieved: " + error);
+          self.connection.logger.error(
+            "Origin resources could not be retrieved: " + error);
+          return options.cb(error, origin);
         } else {
           self.connection.request(reqOptions,
                                   function processResponse(error, data,
@@ -566,14 +679,14 @@ exports = {
                                                  'The resource couldn\'t' +
                                                  ' be created');
 
-              return exports.requestResponse('resource', self,
+              return exports.requestResponse('resource', self, options,
                                              constants.HTTP_CREATED,
                                              constants.HTTP_CREATE_ERRORS,
-                                             error, data, response, result,
-                                             options.cb);
+                                             error, data, response, result);
             });
         }
     }
+    options.operationFunction = sendRequest;
     return sendRequest;
   },
 
@@ -676,6 +789,160 @@ exports = {
       items = [];
     items = text.split(new RegExp(regexp));
     return (items.indexOf(item) > -1) ? 1 : 0;
+  },
+
+  fieldsRanking: function (values, fields, key) {
+    /**
+     * Builds the list of fields and their values (importance,
+     * contributions, etc.) sorted by decreasing absolute value
+     *
+     * @param {object} values Values keyed by field id
+     * @param {object} fields Fields structure
+     * @param {string} key Attribute used to store the value in the list
+     */
+    var field, item, ranking = [];
+    for (field in values) {
+      if (values.hasOwnProperty(field)) {
+        item = {field: field, name: fields[field].name};
+        item[key] = values[field];
+        ranking.push(item);
+      }
+    }
+    return ranking.sort(function (a, b) {
+      return Math.abs(b[key]) - Math.abs(a[key]);
+    });
+  },
+
+  operatingPrediction: function (scores, operatingPoint, kinds) {
+    /**
+     * Chooses the prediction for an operating point: the positive class is
+     * predicted when its score is over the threshold and the class with
+     * the highest score among the rest is predicted otherwise.
+     *
+     * @param {array} scores List of classes and their scores, sorted by
+     *                       decreasing score (e.g. [{category: 'a',
+     *                       probability: 0.8}, ...])
+     * @param {object} operatingPoint Operating point: kind of score
+     *                                (probability, confidence or votes),
+     *                                threshold and positiveClass
+     * @param {array} kinds Kinds of score allowed by the predictor
+     */
+    var kind = operatingPoint.kind, threshold = operatingPoint.threshold,
+      positiveClass = operatingPoint.positiveClass, index, chosen,
+      result = {};
+    if (kinds.indexOf(kind) < 0) {
+      throw new Error('The operating point kind must be one of: ' +
+                      kinds.join(', ') + '.');
+    }
+    if ((typeof threshold) !== 'number') {
+      throw new Error('The operating point needs a numeric threshold.');
+    }
+    for (index = 0; index < scores.length; index++) {
+      if (scores[index].category === positiveClass) {
+        chosen = scores[index];
+      }
+    }
+    if ((typeof chosen) === 'undefined') {
+      throw new Error('The positive class of the operating point must be' +
+                      ' one of the objective field classes.');
+    }
+    if (!(chosen[kind] > threshold) && scores.length > 1) {
+      chosen = (scores[0].category === positiveClass) ? scores[1] : scores[0];
+    }
+    result.prediction = chosen.category;
+    result[kind] = chosen[kind];
+    return result;
+  },
+
+  loadFailed: function (localObject, error) {
+    /**
+     * Stores the error that prevented a local object from loading its
+     * resource and emits it to the 'error' listeners and pending calls.
+     * The event is not emitted when nobody listens, to avoid an uncaught
+     * exception.
+     *
+     * @param {object} localObject Local object that was being loaded
+     * @param {object} error Loading error
+     */
+    localObject.isReady = false;
+    localObject.error = error;
+    if (localObject.listeners('error').length > 0) {
+      localObject.emit('error', error);
+    }
+  },
+
+  loadCallback: function (localObject, fillStructure) {
+    /**
+     * Wraps the function that loads the resource info in a local object
+     * so that the errors raised when called asynchronously are reported
+     * as loading errors instead of thrown.
+     *
+     * @param {object} localObject Local object that is being loaded
+     * @param {function} fillStructure Function that loads the resource info
+     */
+    return function (error, resource) {
+      // only the first error of a resource loaded in parts is reported
+      if (localObject.error) {
+        return;
+      }
+      try {
+        fillStructure(error, resource);
+      } catch (err) {
+        // errors in the 'ready' listeners are not loading errors
+        if (localObject.isReady) {
+          throw err;
+        }
+        exports.loadFailed(localObject, err);
+      }
+    };
+  },
+
+  onReady: function (localObject, cb, retry) {
+    /**
+     * Delays a call to a method of a local object until its resource is
+     * loaded. The callback receives the error if the resource fails to load
+     * and the error is thrown if no callback is given.
+     *
+     * @param {object} localObject Local object that is being loaded
+     * @param {function} cb Callback of the delayed call
+     * @param {function} retry Repeats the call once the object is ready
+     */
+    var onLoaded, onError;
+    if (localObject.error) {
+      if (cb) {
+        return cb(localObject.error, null);
+      }
+      throw localObject.error;
+    }
+    onLoaded = function (self) {
+      localObject.removeListener('error', onError);
+      return retry(self);
+    };
+    onError = function (error) {
+      localObject.removeListener('ready', onLoaded);
+      if (cb) {
+        return cb(error, null);
+      }
+    };
+    localObject.once('ready', onLoaded);
+    localObject.once('error', onError);
+  },
+
+  readyPromise: function (localObject) {
+    /**
+     * Returns a Promise that is resolved with the local object when its
+     * resource is loaded or rejected with the loading error.
+     *
+     * @param {object} localObject Local object that is being loaded
+     */
+    return new Promise(function (resolve, reject) {
+      if (localObject.isReady) {
+        return resolve(localObject);
+      }
+      exports.onReady(localObject, function (error) {
+        reject(error);
+      }, resolve);
+    });
   }
 };
 
@@ -26,3 +26,145 @@ describe('Connect with a BigML object', function(){
     });
   });
 });
+
+describe('Wait for resources with a BigML object', function () {
+  var server = new bigml.FakeServer({
+      statusSteps: [bigml.constants.QUEUED, bigml.constants.STARTED,
+                    bigml.constants.IN_PROGRESS, bigml.constants.FINISHED]}),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    source = new bigml.Source(connection);
+  describe('#waitFor(resource, options)', function () {
+    it('should report every status change until it finishes', function () {
+      var codes = [];
+      return source.create('./data/iris.csv').then(function (data) {
+        return connection.waitFor(data.resource, {
+          wait: 5,
+          onProgress: function (status) {
+            codes.push(status.code);
+          }});
+      }).then(function (data) {
+        assert.equal(data.object.status.code, bigml.constants.FINISHED);
+        assert.deepEqual(codes, [bigml.constants.STARTED,
+                                 bigml.constants.IN_PROGRESS,
+                                 bigml.constants.FINISHED]);
+      });
+    });
+    it('should stop waiting when the resource is faulty', function (done) {
+      source.create('./data/iris.csv', function (error, data) {
+        server.setStatus(data.resource, bigml.constants.FAULTY);
+        connection.waitFor(data.resource, function (error, data) {
+          assert.ok(error instanceof bigml.errors.BigMLFaultyResourceError);
+          assert.equal(error.code, bigml.constants.FAULTY);
+          assert.equal(data.object.status.code, bigml.constants.FAULTY);
+          done();
+        });
+      });
+    });
+    it('should fail when the timeout is reached', function () {
+      return source.create('./data/iris.csv').then(function (data) {
+        server.setStatus(data.resource, bigml.constants.IN_PROGRESS);
+        return connection.waitFor(data.resource, {wait: 5, timeout: 50});
+      }).then(function () {
+        assert.fail('The wait should have timed out');
+      }, function (error) {
+        assert.ok(error.message.indexOf('was not finished in 50 ms') > -1);
+        assert.equal(error.result.object.status.code,
+                     bigml.constants.IN_PROGRESS);
+      });
+    });
+    it('should be cancelled by its signal', function () {
+      var controller = new AbortController();
+      return source.create('./data/iris.csv').then(function (data) {
+        server.setStatus(data.resource, bigml.constants.IN_PROGRESS);
+        setTimeout(function () {
+          controller.abort();
+        }, 20);
+        return connection.waitFor(data.resource,
+                                  {wait: 5, signal: controller.signal});
+      }).then(function () {
+        assert.fail('The wait should have been cancelled');
+      }, function (error) {
+        assert.ok(error.message.indexOf('was cancelled') > -1);
+      });
+    });
+    it('should fail when the resource does not exist', function () {
+      return connection.waitFor('source/5143a51a37203f2cf7000972')
+        .then(function () {
+          assert.fail('The wait should have failed');
+        }, function (error) {
+          assert.equal(error.result.error.status.code,
+                       bigml.constants.HTTP_NOT_FOUND);
+        });
+    });
+  });
+});
+
+describe('Configure each BigML connection', function () {
+  var server = new bigml.FakeServer({username: 'username', apiKey: 'apikey'});
+
+  describe('#BigML(username, apiKey, devMode, context)', function () {
+    it('should build the URLs from its own settings', function () {
+      var vpc = new bigml.BigML('username', 'apikey', true,
+                                {domain: 'bigml.example.com',
+                                 protocol: 'HTTP', apiVersion: ''}),
+        io = new bigml.BigML('username', 'apikey', false,
+                             {domain: 'bigml.io'});
+      assert.equal(vpc.url, 'http://bigml.example.com/dev/');
+      assert.equal(vpc.resourceUrls.model,
+                   'http://bigml.example.com/dev/model');
+      assert.equal(vpc.verify, false);
+      assert.equal(io.url, 'https://bigml.io/andromeda/');
+      assert.equal(io.verify, true);
+      assert.throws(function () {
+        return new bigml.BigML('username', 'apikey', false,
+                               {protocol: 'ftp'});
+      });
+    });
+    it('should send its SSL and proxy settings', function () {
+      var sent = [], connection = new bigml.BigML(
+        'username', 'apikey', false,
+        {verify: false, proxy: 'http://proxy.example.com:3128',
+         transport: function (reqOptions, cb) {
+           sent.push(reqOptions);
+           return server.transport(reqOptions, cb);
+         }});
+      return new bigml.Source(connection).create('./data/iris.csv')
+        .then(function (result) {
+          return new bigml.Source(connection).get(result.resource);
+        }).then(function () {
+          assert.equal(sent.length, 2);
+          sent.forEach(function (reqOptions) {
+            assert.strictEqual(reqOptions.strictSSL, false);
+            assert.equal(reqOptions.proxy, 'http://proxy.example.com:3128');
+          });
+        });
+    });
+    it('should create the resources in its default project', function () {
+      var projectId, connection = new bigml.BigML(
+        'username', 'apikey', false, {transport: server.transport});
+      return new bigml.Project(connection).create().then(function (result) {
+        projectId = result.resource;
+        assert.equal(result.object.project, undefined);
+        connection.project = projectId;
+        return new bigml.Source(connection).createInline('a,b\n1,2\n');
+      }).then(function (result) {
+        assert.equal(result.object.project, projectId);
+      });
+    });
+    it('should log with its own logger', function () {
+      var logged = [], log = function (message) {
+        logged.push(message);
+      }, connection = new bigml.BigML(
+        'username', 'apikey', false,
+        {transport: server.transport,
+         logging: {error: log, debug: function () {}, warn: log}});
+      return new bigml.Source(connection)
+        .get('source/5143a51a37203f2cf7000972').then(function () {
+          assert.fail('The source should not be found');
+        }, function () {
+          assert.ok(logged.length > 0);
+        });
+    });
+  });
+});
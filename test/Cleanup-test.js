@@ -0,0 +1,125 @@
+var assert = require('assert'),
+  bigml = require('../index');
+
+describe('Delete resources in bulk', function () {
+  var server, connection, cleanup, sourceId, datasetId, modelId,
+    predictionId, otherSourceId, oldSourceId;
+
+  function ids(results) {
+    return results.map(function (result) {
+      return result.resource;
+    }).sort();
+  }
+
+  beforeEach(function () {
+    server = new bigml.FakeServer({statusSteps: [bigml.constants.FINISHED]});
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport});
+    cleanup = new bigml.Cleanup(connection);
+    oldSourceId = server.addResource({
+      resource: 'source/5143a51a37203f2cf7000001', name: 'old data',
+      created: '2015-01-01T00:00:00.000000',
+      status: {code: bigml.constants.FINISHED}}).resource;
+    return new bigml.Source(connection).createInline(
+      'a,b\n1,2\n', {name: 'iris data', tags: ['experiment']})
+      .then(function (result) {
+        sourceId = result.resource;
+        return new bigml.Dataset(connection).create(sourceId);
+      }).then(function (result) {
+        datasetId = result.resource;
+        return new bigml.Model(connection).create(datasetId);
+      }).then(function (result) {
+        modelId = result.resource;
+        return new bigml.Prediction(connection).create(modelId, {a: 1});
+      }).then(function (result) {
+        predictionId = result.resource;
+        return new bigml.Source(connection).createInline(
+          'a,b\n3,4\n', {name: 'other', tags: ['keep']});
+      }).then(function (result) {
+        otherSourceId = result.resource;
+      });
+  });
+
+  describe('#select(criteria, callback)', function () {
+    it('should select by type, tag, name and age', function () {
+      return cleanup.select({types: 'source', tags: 'experiment'})
+        .then(function (resources) {
+          assert.deepEqual(ids(resources), [sourceId]);
+          return cleanup.select({types: ['source'], name: /^o/});
+        }).then(function (resources) {
+          assert.deepEqual(ids(resources),
+                           [oldSourceId, otherSourceId].sort());
+          return cleanup.select({olderThan: new Date(2016, 0, 1)});
+        }).then(function (resources) {
+          assert.deepEqual(ids(resources), [oldSourceId]);
+        });
+    });
+    it('should walk the dependencies of a root resource', function () {
+      return cleanup.select({root: sourceId}).then(function (resources) {
+        assert.deepEqual(resources.map(function (resource) {
+          return resource.resource;
+        }), [predictionId, modelId, datasetId, sourceId]);
+        return cleanup.select({root: datasetId, types: ['model']});
+      }).then(function (resources) {
+        assert.deepEqual(ids(resources), [modelId]);
+      });
+    });
+    it('should refuse to select without criteria', function () {
+      assert.throws(function () {
+        cleanup.select({}, function () {});
+      }, /At least one selection criterion/);
+      assert.throws(function () {
+        cleanup.select({root: sourceId, name: 'iris'}, function () {});
+      }, /can only be combined/);
+    });
+  });
+  describe('#delete(criteria, options, callback)', function () {
+    it('should only list the resources in a dry run', function () {
+      return cleanup.delete({root: datasetId}, {dryRun: true})
+        .then(function (results) {
+          assert.deepEqual(ids(results),
+                           [datasetId, modelId, predictionId].sort());
+          results.forEach(function (result) {
+            assert.equal(result.deleted, false);
+          });
+          return cleanup.select({root: datasetId});
+        }).then(function (resources) {
+          assert.equal(resources.length, 3);
+        });
+    });
+    it('should delete the resources and report each one', function () {
+      var running = 0, maxRunning = 0,
+        transport = connection.transport;
+      connection.transport = function (reqOptions, cb) {
+        if (reqOptions.method !== 'DELETE') {
+          return transport(reqOptions, cb);
+        }
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        if (reqOptions.uri.indexOf(modelId) > -1) {
+          // the model is deleted by someone else in the meantime
+          server.delete(modelId);
+        }
+        return transport(reqOptions, function () {
+          running -= 1;
+          cb.apply(null, arguments);
+        });
+      };
+      return cleanup.delete({root: sourceId}, {concurrency: 2})
+        .then(function (results) {
+          var failed = results.filter(function (result) {
+            return !result.deleted;
+          });
+          assert.equal(results.length, 4);
+          assert.deepEqual(ids(failed), [modelId]);
+          assert.ok(failed[0].error instanceof
+                    bigml.errors.BigMLNotFoundError);
+          assert.equal(maxRunning, 2);
+          return cleanup.select({types: 'source'});
+        }).then(function (resources) {
+          assert.deepEqual(ids(resources),
+                           [oldSourceId, otherSourceId].sort());
+        });
+    });
+  });
+});
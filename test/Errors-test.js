@@ -0,0 +1,107 @@
+var assert = require('assert'),
+  bigml = require('../index'),
+  errors = bigml.errors;
+
+describe('Typed errors of the API calls', function () {
+  var server = new bigml.FakeServer({username: 'username', apiKey: 'apikey'}),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    source = new bigml.Source(connection),
+    missingId = 'source/53cd37e6ffa0443bbe0130ff';
+
+  function respondWith(statusCode, body) {
+    /**
+     * Builds a transport that always returns the same response
+     */
+    return function (reqOptions, cb) {
+      cb(null, {statusCode: statusCode, headers: {},
+                request: {uri: {href: reqOptions.uri}}},
+         JSON.stringify(body));
+    };
+  }
+
+  describe('#get(missingId)', function () {
+    it('should fail with a BigMLNotFoundError', function () {
+      return source.get(missingId).then(function () {
+        assert.fail('The source should not be found');
+      }, function (error) {
+        assert.ok(error instanceof errors.BigMLNotFoundError);
+        assert.ok(error instanceof errors.BigMLError);
+        assert.ok(error instanceof Error);
+        assert.equal(error.name, 'BigMLNotFoundError');
+        assert.equal(error.message, 'Not found');
+        assert.equal(error.httpStatus, 404);
+        assert.equal(error.code, 404);
+        assert.equal(error.resource, missingId);
+        assert.equal(error.response.statusCode, 404);
+      });
+    });
+  });
+  describe('#list() with wrong credentials', function () {
+    it('should fail with a BigMLAuthError', function (done) {
+      var wrongSource = new bigml.Source(new bigml.BigML(
+        'username', 'wrongkey', false, {transport: server.transport}));
+      wrongSource.list(function (error) {
+        assert.ok(error instanceof errors.BigMLAuthError);
+        assert.equal(error.httpStatus, 401);
+        done();
+      });
+    });
+  });
+  describe('#list() when too many requests are sent', function () {
+    it('should fail with a BigMLRateLimitError', function () {
+      var busySource = new bigml.Source(new bigml.BigML(
+        'username', 'apikey', false,
+        {transport: respondWith(429, {code: 429, status: {
+          code: -1602, message: 'Too many requests'}})}));
+      return busySource.list().then(function () {
+        assert.fail('The listing should fail');
+      }, function (error) {
+        assert.ok(error instanceof errors.BigMLRateLimitError);
+        assert.equal(error.code, -1602);
+        assert.equal(error.message, 'Too many requests');
+      });
+    });
+  });
+  describe('#get(sourceId, true) for a faulty source', function () {
+    it('should fail with a BigMLFaultyResourceError', function () {
+      return source.create('./data/iris.csv').then(function (result) {
+        server.setStatus(result.resource, bigml.constants.FAULTY);
+        return source.get(result.resource, true).then(function () {
+          assert.fail('The source should be faulty');
+        }, function (error) {
+          assert.ok(error instanceof errors.BigMLFaultyResourceError);
+          assert.equal(error.code, bigml.constants.FAULTY);
+          assert.equal(error.resource, result.resource);
+          assert.equal(error.result.object.status.code,
+                       bigml.constants.FAULTY);
+        });
+      });
+    });
+  });
+  describe('Model#create(missingDatasetId)', function () {
+    it('should fail with the error of the origin resource', function () {
+      var model = new bigml.Model(connection),
+        datasetId = 'dataset/53cd37e6ffa0443bbe0130ff';
+      return model.create(datasetId).then(function () {
+        assert.fail('The model should not be created');
+      }, function (error) {
+        assert.ok(error instanceof errors.BigMLNotFoundError);
+        assert.equal(error.resource, datasetId);
+      });
+    });
+  });
+  describe('#get(sourceId) when the connection fails', function () {
+    it('should fail with a BigMLRetriesExceededError', function (done) {
+      var failingSource = new bigml.Source(new bigml.BigML(
+        'username', 'apikey', false, {transport: function (reqOptions, cb) {
+          cb(new Error('ECONNRESET'));
+        }}));
+      failingSource.get(missingId, function (error) {
+        assert.ok(error instanceof errors.BigMLRetriesExceededError);
+        assert.equal(error.resource, missingId);
+        done();
+      });
+    });
+  });
+});
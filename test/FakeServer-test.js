@@ -0,0 +1,203 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  bigml = require('../index');
+
+describe('Manage resources in the fake server', function () {
+  var server = new bigml.FakeServer({username: 'username', apiKey: 'apikey'}),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    source = new bigml.Source(connection),
+    dataset = new bigml.Dataset(connection),
+    finished = {retries: 5, wait: 10},
+    sourceId, datasetId, path = './data/iris.csv';
+  describe('#create(path, args, callback)', function () {
+    it('should upload a source with its arguments', function (done) {
+      source.create(path, {name: 'iris'}, function (error, data) {
+        assert.equal(error, null);
+        assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        assert.equal(data.object.name, 'iris');
+        assert.equal(data.object.file_name, 'iris.csv');
+        assert.equal(data.object.status.code, bigml.constants.QUEUED);
+        sourceId = data.resource;
+        done();
+      });
+    });
+  });
+  describe('#get(source, finished, callback)', function () {
+    it('should retrieve the source once it is finished', function (done) {
+      source.get(sourceId, finished, function (error, data) {
+        assert.equal(error, null);
+        assert.equal(data.object.status.code, bigml.constants.FINISHED);
+        done();
+      });
+    });
+  });
+  describe('#create(source, args, callback)', function () {
+    it('should create a dataset from the source', function (done) {
+      dataset.create(sourceId, {name: 'iris dataset'}, function (error, data) {
+        assert.equal(error, null);
+        assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        assert.equal(data.object.source, sourceId);
+        datasetId = data.resource;
+        done();
+      });
+    });
+  });
+  describe('#create(wrongSource, args, callback)', function () {
+    it('should fail when the origin resource does not exist', function () {
+      return dataset.create('source/5143a51a37203f2cf7000972')
+        .then(function () {
+          assert.fail('The promise should have been rejected');
+        }, function (error) {
+          assert.equal(error.result.error.status.code,
+                       bigml.constants.HTTP_BAD_REQUEST);
+        });
+    });
+  });
+  describe('#list(query, callback)', function () {
+    it('should list the resources that match the query', function () {
+      return dataset.create(sourceId, {name: 'other dataset'})
+        .then(function () {
+          return dataset.list('limit=1;name=iris dataset');
+        }).then(function (data) {
+          assert.equal(data.meta.total_count, 1);
+          assert.equal(data.resources[0].resource, datasetId);
+          return dataset.list('limit=1');
+        }).then(function (data) {
+          assert.equal(data.meta.total_count, 2);
+          assert.equal(data.resources.length, 1);
+          assert.equal(data.resources[0].name, 'other dataset');
+          assert.notEqual(data.meta.next, null);
+        });
+    });
+  });
+  describe('#update(source, args, callback)', function () {
+    it('should update properties in the source', function () {
+      return source.update(sourceId, {name: 'new name'}).then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_ACCEPTED);
+        assert.equal(data.object.name, 'new name');
+      });
+    });
+  });
+  describe('#create(sourceCode, args, callback)', function () {
+    it('should create a script from its source code', function () {
+      var script = new bigml.Script(connection);
+      return script.create('(+ 1 1)').then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        assert.equal(data.object.source_code, '(+ 1 1)');
+      });
+    });
+  });
+  describe('#download(dataset, filename, callback)', function () {
+    it('should download the contents of the resource', function (done) {
+      var filename = './test/fake_download.csv';
+      if (fs.existsSync(filename)) {
+        fs.unlinkSync(filename);
+      }
+      server.addResource({resource: 'dataset/5143a51a37203f2cf7000973',
+                          status: {code: bigml.constants.FINISHED}},
+                         'a,b\n1,2\n');
+      dataset.download('dataset/5143a51a37203f2cf7000973', filename,
+                       function (error, data) {
+          assert.equal(error, null);
+          assert.equal(fs.readFileSync(filename, 'utf8'), 'a,b\n1,2\n');
+          fs.unlinkSync(filename);
+          done();
+        });
+    });
+  });
+  describe('#delete(source, callback)', function () {
+    it('should delete the source', function () {
+      return source.delete(sourceId).then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_NO_CONTENT);
+        return source.get(sourceId);
+      }).then(function () {
+        assert.fail('The source should have been deleted');
+      }, function (error) {
+        assert.equal(error.result.error.status.code,
+                     bigml.constants.HTTP_NOT_FOUND);
+      });
+    });
+  });
+  describe('#get(source) with wrong credentials', function () {
+    it('should be rejected as unauthorized', function () {
+      var wrongSource = new bigml.Source(
+        new bigml.BigML('username', 'wrong', false,
+                        {transport: server.transport}));
+      return wrongSource.get(datasetId).then(function () {
+        assert.fail('The request should have been rejected');
+      }, function (error) {
+        assert.equal(error.result.error.status.code,
+                     bigml.constants.HTTP_UNAUTHORIZED);
+      });
+    });
+  });
+});
+
+describe('Iterate listings in the fake server', function () {
+  var server = new bigml.FakeServer({statusSteps: [bigml.constants.FINISHED]}),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    project = 'project/5143a51a37203f2cf7000990',
+    source = new bigml.Source(connection),
+    names = [], index;
+  for (index = 0; index < 25; index++) {
+    names.push('iris ' + index);
+    server.addResource({resource: server.newId('source'),
+                        name: names[index],
+                        size: index,
+                        project: (index % 2) ? project : null,
+                        created: new Date(2016, 0, index + 1).toISOString(),
+                        status: {code: bigml.constants.FINISHED}});
+  }
+  describe('#iterate(filter)', function () {
+    it('should stream all the resources page by page', function (done) {
+      var listed = [];
+      source.iterate({limit: 10, order_by: 'size'})
+        .on('data', function (resource) {
+          listed.push(resource.name);
+        })
+        .on('error', done)
+        .on('end', function () {
+          assert.deepEqual(listed, names);
+          done();
+        });
+    });
+    it('should build the query from typed filters', function (done) {
+      var listed = [];
+      source.iterate({limit: 3, project: {resource: project},
+                      created__gte: new Date(2016, 0, 10),
+                      name__contains: 'iris 1', order_by: '-size'})
+        .on('data', function (resource) {
+          listed.push(resource.name);
+        })
+        .on('error', done)
+        .on('end', function () {
+          assert.deepEqual(listed, ['iris 19', 'iris 17', 'iris 15',
+                                    'iris 13', 'iris 11']);
+          done();
+        });
+    });
+    it('should be usable as an async iterator', function () {
+      var iterator = source.iterate({size__in: [3, 4, 30]});
+      return iterator[Symbol.asyncIterator]().next().then(function (item) {
+        assert.equal(item.value.name, 'iris 4');
+      });
+    });
+  });
+  describe('#list(query) without API version prefix', function () {
+    it('should serve the URLs of the connection', function () {
+      var unprefixed = new bigml.Source(new bigml.BigML(
+        'username', 'apikey', false,
+        {transport: server.transport, apiVersion: ''}));
+      return unprefixed.list('limit=10;offset=10;order_by=size')
+        .then(function (result) {
+          assert.equal(result.meta.next, '/source?limit=10;offset=20');
+          assert.equal(result.meta.previous, '/source?limit=10;offset=0');
+          return unprefixed.get(result.resources[0].resource);
+        }).then(function (result) {
+          assert.equal(result.object.name, 'iris 10');
+        });
+    });
+  });
+});
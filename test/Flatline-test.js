@@ -0,0 +1,181 @@
+var assert = require('assert'),
+  bigml = require('../index'),
+  Item = require('../lib/Item');
+
+describe('Evaluate Flatline expressions locally', function () {
+  var fields = {
+      '000000': {name: 'age', optype: 'numeric', column_number: 0},
+      '000001': {name: 'color', optype: 'categorical', column_number: 1},
+      '000002': {name: 'review', optype: 'text', column_number: 2,
+                 term_analysis: {case_sensitive: false, language: 'en'}},
+      '000003': {name: 'products', optype: 'items', column_number: 3,
+                 item_analysis: {separator: ';'}},
+      '000004': {name: 'date', optype: 'categorical', column_number: 4}
+    },
+    flatline = new bigml.Flatline(fields),
+    row = {'000000': 30, '000001': 'red', '000002': 'Good food, good price',
+           '000003': 'milk;bread', '000004': '2016-03-08T10:20:30.040Z'};
+
+  describe('#evaluate(expression, row)', function () {
+    it('should access fields by id, name and column number', function () {
+      assert.equal(flatline.evaluate('(f "000000")', row), 30);
+      assert.equal(flatline.evaluate('(field "color")', row), 'red');
+      assert.equal(flatline.evaluate('(f 0)', row), 30);
+      assert.throws(function () {
+        flatline.evaluate('(f "weight")', row);
+      }, /Unknown field/);
+    });
+    it('should compute arithmetic and math functions', function () {
+      assert.equal(flatline.evaluate('(+ 1 (* 2 (f "age")) (- 3))', row),
+                   58);
+      assert.equal(flatline.evaluate('(/ (f "age") 4)', row), 7.5);
+      assert.equal(flatline.evaluate('(/ (f "age") 0)', row), null);
+      assert.equal(flatline.evaluate('(mod -7 3)', row), 2);
+      assert.equal(flatline.evaluate('(round (sqrt (pow 3 2)))', row), 3);
+      assert.equal(flatline.evaluate('(log10 1000)', row), 3);
+      assert.equal(flatline.evaluate('(max 1 (abs -5) 2)', row), 5);
+      assert.equal(flatline.evaluate('(integer "42.5")', row), 42);
+      assert.equal(flatline.evaluate('(+ 1 (f "age"))', {}), null);
+    });
+    it('should compare values and combine them logically', function () {
+      assert.equal(flatline.evaluate('(< 10 (f "age") 40)', row), true);
+      assert.equal(flatline.evaluate('(!= (f "color") "blue")', row), true);
+      assert.equal(flatline.evaluate('(> (f "age") 2)', {}), false);
+      assert.equal(flatline.evaluate(
+        '(and (>= (f "age") 30) (or false (not (= (f 1) "blue"))))', row),
+        true);
+      assert.equal(flatline.evaluate(
+        '(in (f "color") (list "red" "green"))', row), true);
+      assert.equal(flatline.evaluate(
+        '(cond (< (f "age") 18) "young" (< (f "age") 65) "adult" "senior")',
+        row), 'adult');
+      assert.equal(flatline.evaluate(
+        '(let (x (f "age") y 2) (if (> x 20) (* x y) 0))', row), 60);
+    });
+    it('should handle strings', function () {
+      assert.equal(flatline.evaluate('(str (f "color") "-" 1)', row),
+                   'red-1');
+      assert.equal(flatline.evaluate('(length (f "color"))', row), 3);
+      assert.equal(flatline.evaluate('(subs (f "review") 0 4)', row),
+                   'Good');
+      assert.equal(flatline.evaluate('(matches? (f "review") "pr.ce")', row),
+                   true);
+      assert.equal(flatline.evaluate(
+        '(replace (f "review") "[Gg]ood" "bad")', row), 'bad food, bad price');
+      assert.equal(flatline.evaluate('(join "," (list "a" "b"))', row),
+                   'a,b');
+      assert.equal(flatline.evaluate(
+        '(occurrences (f "review") "good" true "en")', row), 2);
+      assert.equal(flatline.evaluate(
+        '(occurrences (f "review") "good" false)', row), 1);
+      assert.equal(flatline.evaluate(
+        '(contains-items? "products" "tea" "bread")', row), true);
+    });
+    it('should handle dates', function () {
+      var epoch = Date.UTC(2016, 2, 8, 10, 20, 30, 40);
+      assert.equal(flatline.evaluate('(epoch (f "date"))', row), epoch);
+      assert.equal(flatline.evaluate('(epoch-year (epoch (f 4)))', row),
+                   2016);
+      assert.equal(flatline.evaluate('(epoch-month (epoch (f 4)))', row), 3);
+      assert.equal(flatline.evaluate('(epoch-day (epoch (f 4)))', row), 8);
+      assert.equal(flatline.evaluate('(epoch-weekday (epoch (f 4)))', row),
+                   2);
+      assert.equal(flatline.evaluate('(epoch-hour (epoch (f 4)))', row), 10);
+      assert.equal(flatline.evaluate(
+        '(epoch-millisecond (epoch (f 4)))', row), 40);
+    });
+    it('should handle missing values', function () {
+      assert.equal(flatline.evaluate('(missing? "age")', row), false);
+      assert.equal(flatline.evaluate('(missing? 0)', {'000000': null}),
+                   true);
+      assert.equal(flatline.evaluate('(missing? (/ 1 0))', row), true);
+      assert.equal(flatline.evaluate('(missing-count)', {'000000': 3}), 4);
+    });
+    it('should fail on malformed expressions', function () {
+      assert.throws(function () {
+        flatline.evaluate('(+ 1 2', row);
+      }, /Missing closing parenthesis/);
+      assert.throws(function () {
+        flatline.evaluate('(foo 1)', row);
+      }, /Unknown Flatline function/);
+    });
+  });
+
+  describe('Item#toLispRule()', function () {
+    var rows = [{'000000': 15, '000001': 'red', '000002': 'Good',
+                 '000003': 'tea'},
+                {'000000': 45, '000001': 'blue', '000002': 'bad',
+                 '000003': 'milk;bread'},
+                {'000000': null, '000001': 'red', '000002': 'so good!',
+                 '000003': null}];
+    function selected(itemInfo) {
+      var rule = new Item(0, itemInfo, fields).toLispRule(),
+        indexes = [];
+      rows.forEach(function (row, index) {
+        if (flatline.test(rule, row)) {
+          indexes.push(index);
+        }
+      });
+      return indexes;
+    }
+    it('should select the rows in numeric bins', function () {
+      assert.deepEqual(selected({field_id: '000000', name: '10-20',
+                                 bin_start: 10, bin_end: 20}), [0]);
+      assert.deepEqual(selected({field_id: '000000', name: '> 20',
+                                 bin_start: 20}), [1]);
+      assert.deepEqual(selected({field_id: '000000', name: '<= 20',
+                                 bin_end: 20}), [0]);
+    });
+    it('should select the rows with categories', function () {
+      assert.deepEqual(selected({field_id: '000001', name: 'red'}), [0, 2]);
+      assert.deepEqual(selected({field_id: '000001', name: 'red',
+                                 complement: true}), [1]);
+    });
+    it('should select the rows with terms and items', function () {
+      assert.deepEqual(selected({field_id: '000002', name: 'good'}), [0, 2]);
+      assert.deepEqual(selected({field_id: '000003', name: 'bread'}), [1]);
+      assert.deepEqual(selected({field_id: '000003', name: 'bread',
+                                 complement: true}), [0, 2]);
+    });
+    it('should select the rows with missing values', function () {
+      assert.deepEqual(selected({field_id: '000000', name: null}), [2]);
+    });
+  });
+
+  describe('LocalAnomaly#anomaliesFilter(include)', function () {
+    var anomalyFields = {
+        '000000': fields['000000'], '000001': fields['000001']
+      },
+      localAnomaly = new bigml.LocalAnomaly({
+        resource: 'anomaly/53cd37e4ffa0443bb5007e53',
+        object: {
+          status: {code: 5},
+          sample_size: 10,
+          input_fields: ['000000', '000001'],
+          id_fields: [],
+          model: {
+            fields: anomalyFields,
+            mean_depth: 2,
+            trees: [{root: {predicates: true}}],
+            top_anomalies: [{row: [0, 'red']}, {row: [null, 'blue']}]
+          }
+        }
+      }),
+      rows = [{'000000': 0, '000001': 'red'},
+              {'000000': null, '000001': 'blue'},
+              {'000000': 0, '000001': 'blue'}];
+    function selected(filter) {
+      return rows.filter(function (row) {
+        return flatline.test(filter, row);
+      });
+    }
+    it('should select the top anomalies', function () {
+      assert.deepEqual(selected(localAnomaly.anomaliesFilter(true)),
+                       rows.slice(0, 2));
+    });
+    it('should select the rest of the rows', function () {
+      assert.deepEqual(selected(localAnomaly.anomaliesFilter(false)),
+                       [rows[2]]);
+    });
+  });
+});
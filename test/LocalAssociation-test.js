@@ -33,7 +33,7 @@ describe('Manage local association objects', function () {
   describe('LocalAssociation(associationId)', function () {
     it('should create a localAssociation from an association Id', function (done) {
       localAssociation = new bigml.LocalAssociation(associationId);
-      if (localAssociation.ready) {
+      if (localAssociation.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -46,7 +46,7 @@ describe('Manage local association objects', function () {
   describe('LocalAssociation(associationResource)', function () {
     it('should create a localAssociation from an association unfinished resource', function (done) {
       localAssociation = new bigml.LocalAssociation(associationResource);
-      if (localAssociation.ready) {
+      if (localAssociation.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -59,7 +59,7 @@ describe('Manage local association objects', function () {
   describe('LocalAssociation(associationFinishedResource)', function () {
     it('should create a localAssociation from an association finished resource', function () {
       localAssociation = new bigml.LocalAssociation(associationFinishedResource);
-      assert.ok(localAssociation.ready);
+      assert.ok(localAssociation.isReady);
     });
   });
   describe('#rulesCSV("my_csv.csv", rules)', function () {
@@ -0,0 +1,98 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  stream = require('stream'),
+  bigml = require('../index');
+
+describe('Make local batch predictions', function () {
+  var modelResource = JSON.parse(fs.readFileSync('./data/iris_model.json',
+                                                 'utf8')),
+    localModel = new bigml.LocalModel(modelResource),
+    inputPath = './data/iris.csv',
+    outputPath = './test-local-batch-predictions.csv';
+
+  after(function () {
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+  });
+
+  describe('#predict(inputPath, outputPath, callback)', function () {
+    it('should write the predictions of a CSV file to a CSV file',
+       function (done) {
+      var batch = new bigml.LocalBatchPredictor(localModel,
+                                                {confidence: true});
+      batch.predict(inputPath, outputPath, function (error, data) {
+        var lines;
+        assert.equal(error, null);
+        assert.equal(data, outputPath);
+        lines = fs.readFileSync(outputPath, 'utf8').split('\n');
+        assert.equal(lines.length, 151);
+        assert.equal(lines[0], 'species,confidence');
+        assert.equal(lines[1].split(',')[0], 'Iris-setosa');
+        done();
+      });
+    });
+  });
+  describe('#predict(inputStream)', function () {
+    it('should add the selected input fields and rename the columns',
+       function () {
+      var batch = new bigml.LocalBatchPredictor(
+        localModel, {output_fields: ['petal width'],
+                     prediction_name: 'predicted',
+                     probability: true,
+                     probability_name: 'prob'});
+      return batch.predict(fs.createReadStream(inputPath))
+        .then(function (rows) {
+          assert.equal(rows.length, 150);
+          assert.deepEqual(Object.keys(rows[0]),
+                           ['petal width', 'predicted', 'prob']);
+          assert.equal(rows[0]['petal width'], '0.2');
+          assert.equal(rows[0].predicted, 'Iris-setosa');
+          // Laplace-smoothed probability of a leaf with 50 setosas
+          assert.equal(rows[0].prob, (50 + 1 / 3) / 51);
+        });
+    });
+  });
+  describe('#predict(objectStream, writableStream, callback)', function () {
+    it('should predict object rows keyed by field id',
+       function (done) {
+      var input = new stream.Readable({objectMode: true}),
+        output = new stream.PassThrough(), contents = '',
+        batch = new bigml.LocalBatchPredictor(
+          localModel, {all_fields: true, header: false, separator: ';'});
+      input._read = function () {};
+      input.push({'000002': 1, '000003': ''});
+      input.push({'000002': 5, '000003': 2});
+      input.push(null);
+      output.on('data', function (chunk) {
+        contents += chunk;
+      });
+      batch.predict(input, output, function (error) {
+        assert.equal(error, null);
+        assert.equal(contents, '1;;Iris-setosa\n5;2;Iris-virginica');
+        done();
+      });
+    });
+  });
+  describe('LocalBatchPredictor(localEnsemble)', function () {
+    it('should combine the predictions of the ensemble', function () {
+      var localEnsemble = new bigml.LocalEnsemble([modelResource,
+                                                   modelResource]),
+        batch = new bigml.LocalBatchPredictor(localEnsemble,
+                                              {confidence: true});
+      return batch.predict(fs.createReadStream(inputPath))
+        .then(function (rows) {
+          assert.equal(rows[149].prediction, 'Iris-virginica');
+          assert.ok(rows[149].confidence > 0);
+        });
+    });
+  });
+  describe('LocalBatchPredictor(localModel, {distance: true})', function () {
+    it('should fail for columns the predictor does not generate',
+       function () {
+      assert.throws(function () {
+        return new bigml.LocalBatchPredictor(localModel, {distance: true});
+      }, /distance column is not available/);
+    });
+  });
+});
@@ -34,7 +34,7 @@ describe('Manage local cluster objects', function () {
   describe('LocalCluster(clusterId)', function () {
     it('should create a localCluster from a cluster Id', function (done) {
       localCluster = new bigml.LocalCluster(clusterId);
-      if (localCluster.ready) {
+      if (localCluster.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -128,7 +128,7 @@ describe('Manage local cluster objects', function () {
   describe('LocalCluster(clusterResource)', function () {
     it('should create a localCluster from a cluster unfinished resource', function (done) {
       localCluster = new bigml.LocalCluster(clusterResource);
-      if (localCluster.ready) {
+      if (localCluster.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -151,7 +151,7 @@ describe('Manage local cluster objects', function () {
   describe('LocalCluster(clusterFinishedResource)', function () {
     it('should create a localCluster from a cluster finished resource', function () {
       localCluster = new bigml.LocalCluster(clusterFinishedResource);
-      assert.ok(localCluster.ready);
+      assert.ok(localCluster.isReady);
     });
   });
   describe('#centroid(inputData)', function () {
@@ -39,7 +39,7 @@ describe('Manage local cluster objects', function () {
   describe('LocalCluster(clusterId)', function () {
     it('should create a localCluster from a cluster Id', function (done) {
       localCluster = new bigml.LocalCluster(clusterId);
-      if (localCluster.ready) {
+      if (localCluster.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -39,7 +39,7 @@ describe('Manage local cluster objects', function () {
   describe('LocalCluster(clusterId)', function () {
     it('should create a localCluster from a cluster Id', function (done) {
       localCluster = new bigml.LocalCluster(clusterId);
-      if (localCluster.ready) {
+      if (localCluster.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -108,7 +108,7 @@ describe('Manage local cluster objects', function () {
   describe('LocalCluster(clusterResource)', function () {
     it('should create a localCluster from a cluster unfinished resource', function (done) {
       localCluster = new bigml.LocalCluster(clusterResource);
-      if (localCluster.ready) {
+      if (localCluster.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -129,7 +129,7 @@ describe('Manage local cluster objects', function () {
   describe('LocalCluster(clusterFinishedResource)', function () {
     it('should create a localCluster from a cluster finished resource', function () {
       localCluster = new bigml.LocalCluster(clusterFinishedResource);
-      assert.ok(localCluster.ready);
+      assert.ok(localCluster.isReady);
     });
   });
   describe('#centroid(inputData)', function () {
@@ -0,0 +1,129 @@
+var assert = require('assert'),
+  bigml = require('../index');
+
+describe('Manage local dataset objects', function () {
+  var path = './data/iris_dataset.json', localDataset,
+    rows = [[5.1, 3.5, 1.4, 0.2, 'Iris-setosa'],
+            ['7.0', '3.2', '4.7', '1.4', 'Iris-versicolor'],
+            [6.3, 3.3, '', 2.5, 'Iris-virginica']];
+
+  describe('LocalDataset(datasetJSONFilePath)', function () {
+    it('should create a localDataset from a JSON file containing the dataset',
+       function (done) {
+      localDataset = new bigml.LocalDataset(path);
+      if (localDataset.isReady) {
+        done();
+      } else {
+        localDataset.on('ready', function () {
+          assert.equal(localDataset.rows, 150);
+          done();
+        });
+      }
+    });
+  });
+  describe('#fieldSummary(field)', function () {
+    it('should summarize a numeric field given its name', function () {
+      var summary = localDataset.fieldSummary('petal length');
+      assert.equal(summary.id, '000002');
+      assert.equal(summary.optype, 'numeric');
+      assert.equal(summary.missingCount, 0);
+      assert.equal(summary.population, 150);
+      assert.equal(summary.minimum, 1);
+      assert.equal(summary.maximum, 6.9);
+      assert.deepEqual(summary.histogram[0], [1, 1]);
+      assert.ok(summary.standardDeviation > 0);
+    });
+    it('should summarize a categorical field given its column number',
+       function () {
+      var summary = localDataset.fieldSummary(4);
+      assert.equal(summary.name, 'species');
+      assert.deepEqual(summary.categories[0], ['Iris-setosa', 50]);
+    });
+    it('should fail for unknown fields', function () {
+      assert.throws(function () {
+        localDataset.fieldSummary('petal color');
+      }, /Unknown field/);
+    });
+  });
+  describe('#summary()', function () {
+    it('should summarize all the fields', function () {
+      assert.deepEqual(Object.keys(localDataset.summary()),
+                       ['000000', '000001', '000002', '000003', '000004']);
+    });
+  });
+  describe('#preview(rows, {lisp_filter: filter})', function () {
+    it('should select the rows that pass the filter', function () {
+      var result = localDataset.preview(
+        rows, {lisp_filter: '(and (> (f "petal length") 2) ' +
+                            '(= (f "species") "Iris-versicolor"))'});
+      assert.deepEqual(result, [rows[1]]);
+    });
+    it('should handle missing values in the filter', function () {
+      var result = localDataset.preview(
+        rows, {lisp_filter: '(missing? "petal length")'});
+      assert.deepEqual(result, [rows[2]]);
+    });
+  });
+  describe('#preview(rows, {new_fields: fields}, callback)', function () {
+    it('should add the new fields to the rows', function (done) {
+      localDataset.preview(
+        [{'petal width': 0.2, 'petal length': 1.4}],
+        {new_fields: [{field: '(* 2 (f "petal width"))', name: 'double'},
+                      {fields: '(list (f 2) (f "000003"))',
+                       names: ['length', 'width']}]},
+        function (error, data) {
+          assert.equal(error, null);
+          assert.deepEqual(data, [{'petal width': 0.2, 'petal length': 1.4,
+                                   'double': 0.4, 'length': 1.4,
+                                   'width': 0.2}]);
+          done();
+        });
+    });
+    it('should filter the rows before adding the new fields', function () {
+      var result = localDataset.preview(
+        rows, {lisp_filter: '(< (f 3) 1)',
+               new_fields: [{field: '(if (missing? 2) 0 (f 2))'}]});
+      assert.deepEqual(result, [rows[0].concat([1.4])]);
+    });
+    it('should report errors in the expressions', function (done) {
+      localDataset.preview(rows, {lisp_filter: '(> (f "color") 2)'},
+                           function (error, data) {
+        assert.ok(/Unknown field/.test(error.message));
+        assert.equal(data, null);
+        done();
+      });
+    });
+  });
+});
+
+describe('Summarize text and items fields', function () {
+  var localDataset = new bigml.LocalDataset({
+    resource: 'dataset/53cd37e4ffa0443bb5007e52',
+    object: {
+      status: {code: 5},
+      rows: 2,
+      fields: {
+        '000000': {name: 'review', optype: 'text', column_number: 0,
+                   summary: {missing_count: 1,
+                             tag_cloud: [['good', 2], ['bad', 1]],
+                             term_forms: {good: ['goods']}}},
+        '000001': {name: 'products', optype: 'items', column_number: 1,
+                   summary: {missing_count: 0,
+                             items: [['milk', 2], ['bread', 1]]}}
+      }
+    }
+  });
+
+  describe('#fieldSummary(field)', function () {
+    it('should summarize text fields', function () {
+      var summary = localDataset.fieldSummary('review');
+      assert.equal(summary.missingCount, 1);
+      assert.deepEqual(summary.termCloud, [['good', 2], ['bad', 1]]);
+      assert.deepEqual(summary.termForms, {good: ['goods']});
+    });
+    it('should summarize items fields', function () {
+      assert.deepEqual(localDataset.fieldSummary('000001').items,
+                       [['milk', 2], ['bread', 1]]);
+    });
+  });
+});
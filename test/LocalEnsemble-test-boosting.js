@@ -0,0 +1,76 @@
+var assert = require('assert'),
+  bigml = require('../index');
+
+describe('Manage local boosted ensemble objects', function () {
+  var sourceId, source = new bigml.Source(), path = './data/iris.csv',
+    datasetId, dataset = new bigml.Dataset(),
+    ensembleId, ensemble = new bigml.Ensemble(),
+    ensembleArgs = {boosting: {iterations: 3}, seed: 'BigML'},
+    prediction = new bigml.Prediction(),
+    inputData = {'petal width': 1.75, 'petal length': 2.45},
+    reference, localEnsemble;
+
+  before(function (done) {
+    source.create(path, undefined, function (error, data) {
+      assert.equal(data.code, bigml.constants.HTTP_CREATED);
+      sourceId = data.resource;
+      dataset.create(sourceId, undefined, function (error, data) {
+        assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        datasetId = data.resource;
+        ensemble.create(datasetId, ensembleArgs, function (error, data) {
+          assert.equal(data.code, bigml.constants.HTTP_CREATED);
+          ensembleId = data.resource;
+          ensemble.get(ensembleId, true, function (error, data) {
+            prediction.create(ensembleId, inputData, function (error, data) {
+              prediction.get(data, true, function (error, data) {
+                reference = data.object;
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('LocalEnsemble(ensemble)', function () {
+    it('should create a boosted localEnsemble from an ensemble Id',
+       function (done) {
+      localEnsemble = new bigml.LocalEnsemble(ensembleId);
+      localEnsemble.ready().then(function () {
+        assert.ok(localEnsemble.boosting);
+        done();
+      }, done);
+    });
+  });
+  describe('#predict(inputData, callback)', function () {
+    it('should predict like the remote boosted ensemble', function (done) {
+      localEnsemble.predict(inputData, function (error, data) {
+        assert.equal(error, null);
+        assert.equal(data.prediction, reference.output);
+        assert.ok(Math.abs(data.probability - reference.probability) <
+                  1e-4);
+        done();
+      });
+    });
+  });
+  after(function (done) {
+    source.delete(sourceId, function (error, data) {
+      assert.equal(error, null);
+      done();
+    });
+  });
+  after(function (done) {
+    dataset.delete(datasetId, function (error, data) {
+      assert.equal(error, null);
+      done();
+    });
+  });
+  after(function (done) {
+    ensemble.delete(ensembleId, function (error, data) {
+      assert.equal(error, null);
+      done();
+    });
+  });
+
+});
@@ -50,7 +50,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensemble)', function () {
     it('should create a localEnsemble from an ensemble Id', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleId);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -77,7 +77,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensembleResource)', function () {
     it('should create a localEnsemble from an ensemble unfinished resource', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleResource);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -98,7 +98,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensembleFinishedResource)', function () {
     it('should create a localEnsemble from an ensemble finished resource', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleFinishedResource);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -119,7 +119,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(finishedModelsList)', function () {
     it('should create a localEnsemble from a finished models list', function () {
       localEnsemble = new bigml.LocalEnsemble(finishedModelsList);
-      assert.ok(localEnsemble.ready);
+      assert.ok(localEnsemble.isReady);
     });
   });
   describe('#predict(inputData, method)', function () {
@@ -53,7 +53,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensemble)', function () {
     it('should create a localEnsemble from an ensemble Id', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleId);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -82,7 +82,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensembleResource)', function () {
     it('should create a localEnsemble from an ensemble unfinished resource', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleResource);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -104,7 +104,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensembleFinishedResource)', function () {
     it('should create a localEnsemble from an ensemble finished resource', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleFinishedResource);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -126,7 +126,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(finishedModelsList)', function () {
     it('should create a localEnsemble from a finished models list', function () {
       localEnsemble = new bigml.LocalEnsemble(finishedModelsList);
-      assert.ok(localEnsemble.ready);
+      assert.ok(localEnsemble.isReady);
     });
   });
   describe('#predict(inputData, method)', function () {
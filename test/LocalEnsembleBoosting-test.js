@@ -0,0 +1,133 @@
+var assert = require('assert'),
+  bigml = require('../index');
+
+function boostedModel(id, ensembleId, objective, boosting, outputs) {
+  /**
+   * Builds a boosted model resource with a single split on the x field
+   */
+  return {
+    resource: 'model/53cd37e6ffa0443bbe0130' + id,
+    ensemble_id: ensembleId.split('/')[1],
+    status: {code: bigml.constants.FINISHED},
+    objective_fields: ['000001'],
+    boosting: boosting,
+    model: {
+      fields: {
+        '000000': {name: 'x', optype: 'numeric'},
+        '000001': {name: 'y', optype: objective}
+      },
+      root: {predicate: true, output: 0, count: 4, children: [
+        {predicate: {operator: '>', field: '000000', value: 0},
+         output: outputs[0], count: 2},
+        {predicate: {operator: '<=', field: '000000', value: 0},
+         output: outputs[1], count: 2}]}
+    }
+  };
+}
+
+describe('Boosted local ensembles', function () {
+  var server = new bigml.FakeServer({statusSteps: [bigml.constants.FINISHED]}),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    classificationId = 'ensemble/53cd37e6ffa0443bbe0131a0',
+    regressionId = 'ensemble/53cd37e6ffa0443bbe0131a1';
+
+  function localEnsemble(ensembleId, cb) {
+    var ensemble = new bigml.LocalEnsemble(ensembleId, connection);
+    ensemble.on('ready', function () {
+      cb(ensemble);
+    });
+  }
+
+  before(function () {
+    // boosted ensembles as returned by the API: the offsets are given per
+    // class in classifications and as a single value in regressions
+    server.addResource({
+      resource: classificationId,
+      status: {code: bigml.constants.FINISHED},
+      boosting: {iterations: 2, learning_rate: 0.1},
+      initial_offsets: [['a', 0.1], ['b', -0.1]],
+      models: ['model/53cd37e6ffa0443bbe013001',
+               'model/53cd37e6ffa0443bbe013002']});
+    server.addResource(boostedModel('01', classificationId, 'categorical',
+                                    {objective_class: 'a', weight: 1},
+                                    [0.5, -0.5]));
+    server.addResource(boostedModel('02', classificationId, 'categorical',
+                                    {objective_class: 'b', weight: 1},
+                                    [-0.5, 0.5]));
+    server.addResource({
+      resource: regressionId,
+      status: {code: bigml.constants.FINISHED},
+      boosting: {iterations: 2, learning_rate: 0.1},
+      initial_offset: 10,
+      models: ['model/53cd37e6ffa0443bbe013003',
+               'model/53cd37e6ffa0443bbe013004']});
+    server.addResource(boostedModel('03', regressionId, 'numeric',
+                                    {weight: 0.5}, [2, -2]));
+    server.addResource(boostedModel('04', regressionId, 'numeric',
+                                    {weight: 0.5}, [4, -4]));
+  });
+
+  describe('LocalEnsemble(ensembleId, connection)', function () {
+    it('should load the boosting info of the ensemble', function (done) {
+      localEnsemble(classificationId, function (ensemble) {
+        assert.deepEqual(ensemble.boosting,
+                         {iterations: 2, learning_rate: 0.1});
+        assert.deepEqual(ensemble.boostingOffsets,
+                         [['a', 0.1], ['b', -0.1]]);
+        localEnsemble(regressionId, function (ensemble) {
+          assert.equal(ensemble.boostingOffsets, 10);
+          done();
+        });
+      });
+    });
+  });
+  describe('LocalEnsemble(models, connection)', function () {
+    it('should refuse a list of boosted models', function () {
+      var model = boostedModel('03', regressionId, 'numeric', {weight: 0.5},
+                               [2, -2]);
+      assert.throws(function () {
+        new bigml.LocalEnsemble([model], connection);
+      }, /initial offsets/);
+    });
+    it('should fail to load a list of boosted model ids', function () {
+      var ensemble = new bigml.LocalEnsemble(
+        ['model/53cd37e6ffa0443bbe013003', 'model/53cd37e6ffa0443bbe013004'],
+        connection);
+      return ensemble.ready().then(function () {
+        assert.fail('The ensemble should not have been loaded');
+      }, function (error) {
+        assert.ok(/initial offsets/.test(error.message));
+      });
+    });
+  });
+  describe('#predict(inputData, callback)', function () {
+    it('should apply the softmax function in classifications',
+       function (done) {
+      localEnsemble(classificationId, function (ensemble) {
+        ensemble.predict({x: 1}, function (error, prediction) {
+          // offsets plus contributions: 0.6 for a and -0.6 for b
+          var probability = 1 / (1 + Math.exp(-1.2));
+          assert.equal(error, null);
+          assert.equal(prediction.prediction, 'a');
+          assert.ok(Math.abs(prediction.probability - probability) < 1e-10);
+          assert.equal(prediction.probabilities[1][0], 'b');
+          assert.ok(Math.abs(prediction.probabilities[1][1] -
+                             (1 - probability)) < 1e-10);
+          assert.equal(ensemble.predict({x: -1}).prediction, 'b');
+          assert.deepEqual(ensemble.predictProbability({x: 1})[0],
+                           {category: 'a', probability: probability});
+          done();
+        });
+      });
+    });
+    it('should add the weighted contributions in regressions',
+       function (done) {
+      localEnsemble(regressionId, function (ensemble) {
+        assert.equal(ensemble.predict({x: 1}).prediction, 13);
+        assert.equal(ensemble.predict({x: 0}).prediction, 7);
+        done();
+      });
+    });
+  });
+});
@@ -59,7 +59,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensemble)', function () {
     it('should create a localEnsemble from an ensemble Id', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleId, conn);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -88,7 +88,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensembleResource)', function () {
     it('should create a localEnsemble from an ensemble unfinished resource', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleResource, conn);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -110,7 +110,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(ensembleFinishedResource)', function () {
     it('should create a localEnsemble from an ensemble finished resource', function (done) {
       localEnsemble = new bigml.LocalEnsemble(ensembleFinishedResource, conn);
-      if (localEnsemble.ready) {
+      if (localEnsemble.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -132,7 +132,7 @@ describe('Manage local ensemble objects', function () {
   describe('LocalEnsemble(finishedModelsList)', function () {
     it('should create a localEnsemble from a finished models list', function () {
       localEnsemble = new bigml.LocalEnsemble(finishedModelsList, conn);
-      assert.ok(localEnsemble.ready);
+      assert.ok(localEnsemble.isReady);
     });
   });
   describe('#predict(inputData, method)', function () {
@@ -0,0 +1,66 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  bigml = require('../index');
+
+describe('Evaluate local predictors', function () {
+  var modelResource = JSON.parse(fs.readFileSync('./data/iris_model.json',
+                                                 'utf8')),
+    localModel = new bigml.LocalModel(modelResource),
+    inputPath = './data/iris.csv';
+
+  describe('#evaluate(inputPath, callback)', function () {
+    it('should compute the classification metrics of the model',
+       function (done) {
+      var evaluator = new bigml.LocalEvaluator(localModel);
+      evaluator.evaluate(inputPath, function (error, data) {
+        var total = 0;
+        assert.equal(error, null);
+        assert.deepEqual(data.class_names,
+                         ['Iris-setosa', 'Iris-versicolor', 'Iris-virginica']);
+        data.model.confusion_matrix.forEach(function (row) {
+          total += row[0] + row[1] + row[2];
+        });
+        assert.equal(total, 150);
+        assert.equal(data.model.confusion_matrix[0][0], 50);
+        assert.ok(data.model.accuracy > 0.95);
+        assert.equal(data.model.per_class_statistics[0].recall, 1);
+        assert.ok(data.model.average_phi > 0.9);
+        done();
+      });
+    });
+    it('should compute the mode and random baselines', function () {
+      return new bigml.LocalEvaluator(localModel).evaluate(inputPath)
+        .then(function (data) {
+          var setosa = data.mode.per_class_statistics[0];
+          assert.equal(data.mode.accuracy, 1 / 3);
+          assert.equal(setosa.recall, 1);
+          assert.equal(setosa.precision, 1 / 3);
+          assert.equal(setosa.f_measure, 0.5);
+          assert.equal(data.mode.average_phi, 0);
+          assert.ok(Math.abs(data.random.accuracy - 1 / 3) < 1e-10);
+          assert.ok(Math.abs(data.random.average_recall - 1 / 3) < 1e-10);
+        });
+    });
+  });
+  describe('LocalEvaluator(object)', function () {
+    it('should fail for predictors that cannot be evaluated', function () {
+      assert.throws(function () {
+        return new bigml.LocalEvaluator({});
+      }, /Cannot evaluate this object/);
+    });
+  });
+  describe('#evaluateRegression(pairs, objective)', function () {
+    it('should compute the regression metrics and baselines', function () {
+      var evaluator = new bigml.LocalEvaluator(localModel),
+        data = evaluator.evaluateRegression(
+          [{actual: 1, predicted: 2}, {actual: 3, predicted: 3},
+           {actual: 5, predicted: 4}], {optype: 'numeric'});
+      assert.equal(data.model.mean_absolute_error, 2 / 3);
+      assert.equal(data.model.mean_squared_error, 2 / 3);
+      assert.equal(data.model.r_squared, 0.75);
+      assert.equal(data.mean.r_squared, 0);
+      assert.equal(data.mean.mean_absolute_error, 4 / 3);
+      assert.ok(data.random.r_squared < 0);
+    });
+  });
+});
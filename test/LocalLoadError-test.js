@@ -0,0 +1,78 @@
+var assert = require('assert'),
+  bigml = require('../index');
+
+describe('Local predictors that fail to load their resource', function () {
+  var server = new bigml.FakeServer({username: 'username', apiKey: 'apikey'}),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    missingFile = './data/missing_model.json';
+
+  describe('LocalModel(missingFile)', function () {
+    it('should emit the error and answer the pending calls',
+       function (done) {
+      var localModel = new bigml.LocalModel(missingFile), emitted;
+      localModel.on('error', function (error) {
+        emitted = error;
+      });
+      localModel.predict({'petal length': 1}, function (error, prediction) {
+        assert.ok(/Failed to read local model file/.test(error.message));
+        assert.equal(prediction, null);
+        assert.equal(emitted, error);
+        assert.equal(localModel.isReady, false);
+        assert.throws(function () {
+          localModel.predict({'petal length': 1});
+        }, /Failed to read local model file/);
+        localModel.getFieldImportance(function (error) {
+          assert.equal(error, emitted);
+          done();
+        });
+      });
+    });
+  });
+  describe('LocalModel#ready()', function () {
+    it('should resolve with the loaded model', function () {
+      var localModel = new bigml.LocalModel('./data/iris_model.json');
+      return localModel.ready().then(function (self) {
+        assert.equal(self, localModel);
+        assert.equal(localModel.predict({'petal length': 1}).prediction,
+                     'Iris-setosa');
+      });
+    });
+    it('should reject with the loading error', function () {
+      var localModel = new bigml.LocalModel(missingFile);
+      return localModel.ready().then(function () {
+        assert.fail('The model should not load');
+      }, function (error) {
+        assert.ok(/Failed to read local model file/.test(error.message));
+        return localModel.ready().catch(function (sameError) {
+          assert.equal(sameError, error);
+        });
+      });
+    });
+  });
+  describe('LocalEnsemble(ensembleId, connection)', function () {
+    it('should answer the pending predictions with the error',
+       function (done) {
+      var localEnsemble = new bigml.LocalEnsemble(
+        'ensemble/53cd37e6ffa0443bbe0130ff', connection);
+      localEnsemble.predict({'petal length': 1}, function (error, prediction) {
+        assert.ok(/Could not retrieve the resource/.test(error.message));
+        assert.equal(prediction, null);
+        done();
+      });
+    });
+  });
+  describe('LocalCluster(clusterId, connection)', function () {
+    it('should not throw when nobody listens to the error', function (done) {
+      var localCluster = new bigml.LocalCluster(
+        'cluster/53cd37e6ffa0443bbe0130ff', connection);
+      setTimeout(function () {
+        assert.ok(localCluster.error instanceof Error);
+        localCluster.centroid({}, function (error) {
+          assert.equal(error, localCluster.error);
+          done();
+        });
+      }, 50);
+    });
+  });
+});
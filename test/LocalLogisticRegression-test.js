@@ -37,7 +37,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression Id',
       function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticId);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -65,7 +65,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression unfinished resource',
       function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticResource);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -87,7 +87,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression finished resource',
       function () {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticFinishedResource);
-      assert.ok(localLogisticRegression.ready);
+      assert.ok(localLogisticRegression.isReady);
     });
   });
   describe('#predict(inputData, callback)', function () {
@@ -50,7 +50,7 @@ describe('Manage local logistic objects', function () {
   describe('LocalLogisticRegression(logisticId)', function () {
     it('should create a localLogisticRegression from a logistic regression Id', function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticId);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -159,7 +159,7 @@ describe('Manage local logistic objects', function () {
   describe('LocalLogisticRegression(logisticRegressionResource)', function () {
     it('should create a localLogisticRegression from a logistic regression unfinished resource', function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticResource);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -192,7 +192,7 @@ describe('Manage local logistic objects', function () {
   describe('LocalLogisticRegression(modelFinishedResource)', function () {
     it('should create a localLogisticRegression from a logistic regression finished resource', function () {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticFinishedResource);
-      assert.ok(localLogisticRegression.ready);
+      assert.ok(localLogisticRegression.isReady);
     });
   });
   describe('#predict(inputData)', function () {
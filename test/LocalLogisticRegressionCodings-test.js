@@ -93,7 +93,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression Id',
       function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticId1);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -125,7 +125,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression Id',
       function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticId2);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -157,7 +157,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression Id',
       function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticId3);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -188,7 +188,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression Id',
       function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticId4);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
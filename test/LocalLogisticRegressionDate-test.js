@@ -36,7 +36,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression Id',
       function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticId);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -64,7 +64,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression unfinished resource',
       function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticResource);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -86,7 +86,7 @@ describe('Manage local logistic regression objects', function () {
     it('should create a LocalLogisticRegression from a logistic regression finished resource',
       function () {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticFinishedResource);
-      assert.ok(localLogisticRegression.ready);
+      assert.ok(localLogisticRegression.isReady);
     });
   });
   describe('#predict(inputData, callback)', function () {
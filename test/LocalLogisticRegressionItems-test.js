@@ -45,7 +45,7 @@ describe('Manage local logistic objects', function () {
   describe('LocalLogisticRegression(logisticId)', function () {
     it('should create a localLogisticRegression from a logistic regression Id', function (done) {
       localLogisticRegression = new bigml.LocalLogisticRegression(logisticId);
-      if (localLogisticRegression.ready) {
+      if (localLogisticRegression.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -53,7 +53,7 @@ describe('Manage local model objects', function () {
   describe('LocalModel(modelId)', function () {
     it('should create a localModel from a model Id', function (done) {
       localModel = new bigml.LocalModel(modelId);
-      if (localModel.ready) {
+      if (localModel.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -108,7 +108,7 @@ describe('Manage local model objects', function () {
   describe('LocalModel(modelResource)', function () {
     it('should create a localModel from a model unfinished resource', function (done) {
       localModel = new bigml.LocalModel(modelResource);
-      if (localModel.ready) {
+      if (localModel.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -137,7 +137,7 @@ describe('Manage local model objects', function () {
   describe('LocalModel(modelFinishedResource)', function () {
     it('should create a localModel from a model finished resource', function () {
       localModel = new bigml.LocalModel(modelFinishedResource);
-      assert.ok(localModel.ready);
+      assert.ok(localModel.isReady);
     });
   });
   describe('#predict(inputData, callback)', function () {
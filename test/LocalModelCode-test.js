@@ -0,0 +1,115 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  csv = require('fast-csv'),
+  bigml = require('../index');
+
+function compile(code, functionName) {
+  return new Function(code + '\nreturn ' + functionName + ';')();
+}
+
+function checkPredictions(localModel, predictor, rows) {
+  var index, expected, row;
+  for (index = 0; index < rows.length; index++) {
+    row = rows[index];
+    expected = localModel.predict(JSON.parse(JSON.stringify(row)));
+    assert.deepEqual(predictor(row),
+                     {prediction: expected.prediction,
+                      confidence: expected.confidence},
+                     'Different prediction for ' + JSON.stringify(row));
+  }
+}
+
+function node(predicate, output, children) {
+  return {predicate: predicate, output: output, confidence: 0.5, count: 2,
+          objective_summary: {categories: [[output, 2]]},
+          children: children || []};
+}
+
+describe('Generate JavaScript code from local models', function () {
+  var localModel = new bigml.LocalModel('./data/iris_model.json');
+
+  before(function (done) {
+    if (localModel.isReady) {
+      return done();
+    }
+    localModel.on('ready', function () {
+      done();
+    });
+  });
+
+  describe('#generateCode()', function () {
+    it('should predict as the model for the rows in the iris file',
+       function (done) {
+      var code = localModel.generateCode(), rows = [],
+        predictor = compile(code, 'predictSpecies');
+      assert.equal(code.indexOf('require('), -1);
+      fs.createReadStream('./data/iris.csv')
+        .pipe(csv({headers: true}))
+        .on('data', function (row) {
+          rows.push(row);
+        })
+        .on('end', function () {
+          assert.equal(rows.length, 150);
+          checkPredictions(localModel, predictor, rows);
+          checkPredictions(localModel, predictor, [{}, {'petal width': 2},
+                                                   {'000002': 3}]);
+          done();
+        });
+    });
+  });
+  describe('#generateCode(functionName, callback)', function () {
+    it('should handle missing operators, text and items fields',
+       function (done) {
+      var model = new bigml.LocalModel({
+        resource: 'model/53cd37e6ffa0443bbe012f69',
+        object: {
+          status: {code: 5},
+          objective_fields: ['000003'],
+          model: {
+            distribution: {training: {categories: [['young', 2]]}},
+            fields: {
+              '000000': {name: 'age', optype: 'numeric'},
+              '000001': {name: 'review', optype: 'text',
+                         term_analysis: {case_sensitive: false,
+                                         token_mode: 'all'},
+                         summary: {term_forms: {good: ['goods']}}},
+              '000002': {name: 'basket', optype: 'items',
+                         item_analysis: {separator: ';'}},
+              '000003': {name: 'label', optype: 'categorical'}
+            },
+            root: node(true, 'young', [
+              node({operator: '<=*', field: '000000', value: 30}, 'young', [
+                node({operator: '>', field: '000001', value: 0,
+                      term: 'good'}, 'happy'),
+                node({operator: '<=', field: '000001', value: 0,
+                      term: 'good'}, 'neutral')
+              ]),
+              node({operator: '>', field: '000000', value: 30}, 'adult', [
+                node({operator: '>', field: '000002', value: 0,
+                      term: 'milk'}, 'milk'),
+                node({operator: '<=', field: '000002', value: 0,
+                      term: 'milk'}, 'other')
+              ])
+            ])
+          }
+        }
+      });
+      model.generateCode('predictLabel', function (error, code) {
+        var predictor = compile(code, 'predictLabel');
+        assert.equal(error, null);
+        checkPredictions(model, predictor, [
+          {age: 20, review: 'Goods are nice'},
+          {review: 'GOOD'},
+          {age: null, review: 'bad'},
+          {age: '45', basket: 'milk;eggs'},
+          {'000000': 45, basket: 'eggs'},
+          {age: 45},
+          {}
+        ]);
+        assert.equal(predictor({review: 'good food'}).prediction, 'happy');
+        assert.equal(predictor({age: 50, basket: 'milk'}).prediction, 'milk');
+        done();
+      });
+    });
+  });
+});
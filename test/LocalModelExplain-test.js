@@ -0,0 +1,91 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  bigml = require('../index');
+
+function total(explanation) {
+  var sum = explanation.base;
+  explanation.contributions.forEach(function (item) {
+    sum += item.contribution;
+  });
+  return sum;
+}
+
+describe('Explain local predictions', function () {
+  var modelResource = JSON.parse(fs.readFileSync('./data/iris_model.json',
+                                                 'utf8')),
+    localModel = new bigml.LocalModel(modelResource),
+    inputData = {'petal length': 5, 'petal width': 2};
+
+  describe('LocalModel#getFieldImportance()', function () {
+    it('should list the importance of the fields in the model', function () {
+      assert.deepEqual(localModel.getFieldImportance(),
+                       [{field: '000002', name: 'petal length',
+                         importance: 0.70194},
+                        {field: '000003', name: 'petal width',
+                         importance: 0.29094},
+                        {field: '000001', name: 'sepal width',
+                         importance: 0.00712}]);
+    });
+  });
+  describe('LocalModel#explain(inputData, callback)', function () {
+    it('should credit the fields in the prediction path', function (done) {
+      localModel.explain(inputData, function (error, explanation) {
+        assert.equal(error, null);
+        assert.equal(explanation.prediction, 'Iris-virginica');
+        assert.equal(explanation.base, 1 / 3);
+        assert.deepEqual(explanation.contributions.map(function (item) {
+          return item.name;
+        }), ['petal width', 'petal length']);
+        // the contributions lead to the probability of the last node
+        assert.ok(Math.abs(total(explanation) - 1) < 1e-10);
+        done();
+      });
+    });
+    it('should use the change in output for regressions', function () {
+      var model = new bigml.LocalModel({
+        resource: 'model/53cd37e6ffa0443bbe012f70',
+        object: {
+          status: {code: 5},
+          objective_fields: ['000001'],
+          model: {
+            distribution: {training: {bins: [[1, 2], [5, 2]]}},
+            fields: {
+              '000000': {name: 'x', optype: 'numeric'},
+              '000001': {name: 'y', optype: 'numeric'}
+            },
+            root: {predicate: true, output: 3, count: 4, confidence: 2,
+                   children: [
+                     {predicate: {operator: '>', field: '000000',
+                                  value: 0},
+                      output: 5, count: 2, confidence: 0.5,
+                      objective_summary: {bins: [[5, 2]]}},
+                     {predicate: {operator: '<=', field: '000000',
+                                  value: 0},
+                      output: 1, count: 2, confidence: 0.5,
+                      objective_summary: {bins: [[1, 2]]}}]}
+          }
+        }
+      }), explanation = model.explain({x: 1});
+      assert.equal(explanation.prediction, 5);
+      assert.equal(explanation.base, 3);
+      assert.deepEqual(explanation.contributions,
+                       [{field: '000000', name: 'x', contribution: 2}]);
+    });
+  });
+  describe('LocalEnsemble#explain(inputData)', function () {
+    it('should average the importance and contributions of the models',
+       function () {
+      var localEnsemble = new bigml.LocalEnsemble([modelResource,
+                                                   modelResource]),
+        explanation = localEnsemble.explain(inputData),
+        importance = localEnsemble.getFieldImportance();
+      assert.equal(importance.length, 3);
+      assert.equal(importance[0].name, 'petal length');
+      assert.ok(Math.abs(importance[0].importance - 0.70194) < 1e-10);
+      assert.equal(explanation.prediction, 'Iris-virginica');
+      assert.deepEqual(explanation,
+                       localModel.explain({'petal length': 5,
+                                           'petal width': 2}));
+    });
+  });
+});
@@ -11,7 +11,7 @@ describe('Manage local model objects', function () {
   describe('LocalModel(modelJSONFilePath)', function () {
     it('should create a localModel from a JSON file containing the model', function (done) {
       localModel = new bigml.LocalModel(path);
-      if (localModel.ready) {
+      if (localModel.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -37,7 +37,7 @@ describe('Manage local model objects', function () {
   describe('LocalModel(modelId)', function () {
     it('should create a localModel from a model Id', function (done) {
       localModel = new bigml.LocalModel(modelId);
-      if (localModel.ready) {
+      if (localModel.isReady) {
         assert.ok(true);
         done();
       } else {
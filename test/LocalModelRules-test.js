@@ -0,0 +1,71 @@
+var assert = require('assert'),
+  bigml = require('../index');
+
+describe('Export the rules of local models', function () {
+  var localModel = new bigml.LocalModel('./data/iris_model.json');
+
+  before(function (done) {
+    if (localModel.isReady) {
+      return done();
+    }
+    localModel.on('ready', function () {
+      done();
+    });
+  });
+
+  describe('#rules()', function () {
+    it('should list the nested rules of the tree', function () {
+      var rules = localModel.rules().split('\n');
+      assert.equal(rules[0], 'IF petal length > 2.45 AND');
+      assert.equal(rules[1], '    IF petal width > 1.75 AND');
+      assert.equal(rules[2], '        IF petal length > 4.85 THEN');
+      assert.equal(rules[3], '            species = Iris-virginica');
+      assert.equal(rules[rules.length - 3], 'IF petal length <= 2.45 THEN');
+      assert.equal(rules[rules.length - 2], '    species = Iris-setosa');
+    });
+  });
+  describe('#summarize(callback)', function () {
+    it('should summarize the distributions and field importance',
+       function (done) {
+      localModel.summarize(function (error, summary) {
+        assert.equal(error, null);
+        assert.equal(summary.indexOf(
+          'Data distribution:\n    Iris-setosa: 33.33% (50 instances)\n'), 0);
+        assert.ok(summary.indexOf('Predicted distribution:\n' +
+                                  '    Iris-setosa: 33.33% (50 instances)\n' +
+                                  '    Iris-versicolor: 33.33%') > 0);
+        assert.ok(summary.indexOf('Field importance:\n' +
+                                  '    1. petal length: 70.19%\n' +
+                                  '    2. petal width: 29.09%\n') > 0);
+        done();
+      });
+    });
+  });
+  describe('#toDot()', function () {
+    it('should export the tree as a Graphviz digraph', function () {
+      var dot = localModel.toDot();
+      assert.equal(dot.indexOf('digraph "model/53cd37e6ffa0443bbe012f68" {'),
+                   0);
+      assert.ok(dot.indexOf('  n0 -> n1 [label="petal length > 2.45"];') > 0);
+      assert.ok(dot.indexOf('  n1 [label="species = Iris-versicolor\\n' +
+                            'confidence: 0.40383\\ninstances: 100"];') > 0);
+      assert.equal(dot.match(/ -> /g).length, 16);
+    });
+  });
+  describe('#toRulesJSON()', function () {
+    it('should list the rules that lead to each leaf', function () {
+      var rules = localModel.toRulesJSON(), total = 0;
+      assert.equal(rules.length, 9);
+      assert.deepEqual(rules[0].conditions,
+                       ['petal length > 2.45', 'petal width > 1.75',
+                        'petal length > 4.85']);
+      assert.deepEqual(rules[0].predicates[0],
+                       {operator: '>', field: '000002', value: 2.45});
+      assert.equal(rules[0].prediction, 'Iris-virginica');
+      rules.forEach(function (rule) {
+        total += rule.count;
+      });
+      assert.equal(total, 150);
+    });
+  });
+});
@@ -35,7 +35,7 @@ describe('Manage local model objects', function () {
   describe('LocalModel(modelId)', function () {
     it('should create a localModel from a model Id', function (done) {
       localModel = new bigml.LocalModel(modelId);
-      if (localModel.ready) {
+      if (localModel.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -82,7 +82,7 @@ describe('Manage local model objects', function () {
   describe('LocalModel(modelResource)', function () {
     it('should create a localModel from a model unfinished resource', function (done) {
       localModel = new bigml.LocalModel(modelResource);
-      if (localModel.ready) {
+      if (localModel.isReady) {
         assert.ok(true);
         done();
       } else {
@@ -103,7 +103,7 @@ describe('Manage local model objects', function () {
   describe('LocalModel(modelFinishedResource)', function () {
     it('should create a localModel from a model finished resource', function () {
       localModel = new bigml.LocalModel(modelFinishedResource);
-      assert.ok(localModel.ready);
+      assert.ok(localModel.isReady);
     });
   });
   describe('#predict(inputData)', function () {
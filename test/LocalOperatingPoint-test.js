@@ -0,0 +1,86 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  bigml = require('../index');
+
+describe('Local predictions with operating points', function () {
+  var modelResource = JSON.parse(fs.readFileSync('./data/iris_model.json',
+                                                 'utf8')),
+    localModel = new bigml.LocalModel(modelResource),
+    localEnsemble = new bigml.LocalEnsemble([modelResource, modelResource]),
+    inputData = {'petal length': 5, 'petal width': 2};
+
+  describe('LocalModel#predict(inputData, {operatingPoint: ...})',
+           function () {
+    it('should predict the positive class over the threshold', function () {
+      assert.deepEqual(
+        localModel.predict(inputData, {operatingPoint: {
+          kind: 'probability', threshold: 0.9,
+          positiveClass: 'Iris-virginica'}}),
+        {prediction: 'Iris-virginica', probability: (43 + 1 / 3) / 44});
+    });
+    it('should predict the next best class under the threshold',
+       function (done) {
+      localModel.predict(inputData, {operatingPoint: {
+        kind: 'confidence', threshold: 0.95,
+        positiveClass: 'Iris-virginica'}}, function (error, prediction) {
+        assert.equal(error, null);
+        assert.deepEqual(prediction, {prediction: 'Iris-setosa',
+                                      confidence: 0});
+        done();
+      });
+    });
+    it('should fail for unknown kinds and classes', function () {
+      assert.throws(function () {
+        localModel.predict(inputData, {operatingPoint: {
+          kind: 'votes', threshold: 0.5, positiveClass: 'Iris-setosa'}});
+      }, /kind must be one of: probability, confidence/);
+      assert.throws(function () {
+        localModel.predict(inputData, {operatingPoint: {
+          kind: 'probability', threshold: 0.5, positiveClass: 'Iris'}});
+      }, /positive class/);
+    });
+  });
+  describe('LocalEnsemble#predict(inputData, method, {operatingPoint: ...})',
+           function () {
+    it('should use the fraction of votes of each class', function () {
+      var operatingPoint = {kind: 'votes', threshold: 0.5,
+                            positiveClass: 'Iris-virginica'};
+      assert.deepEqual(localEnsemble.predict(inputData, 0,
+                                             {operatingPoint: operatingPoint}),
+                       {prediction: 'Iris-virginica', votes: 1});
+      operatingPoint.threshold = 1;
+      assert.deepEqual(localEnsemble.predict(inputData, 0,
+                                             {operatingPoint: operatingPoint}),
+                       {prediction: 'Iris-setosa', votes: 0});
+    });
+  });
+  describe('LocalLogisticRegression#predict(inputData, {operatingPoint: ...})',
+           function () {
+    it('should use the probability of the positive class', function () {
+      var localLogisticRegression = new bigml.LocalLogisticRegression({
+        resource: 'logisticregression/53cd37e6ffa0443bbe013101',
+        object: {
+          status: {code: 5},
+          input_fields: ['000000'],
+          objective_fields: ['000001'],
+          dataset_field_types: {},
+          logistic_regression: {
+            bias: true,
+            coefficients: [['a', [[1], [0]]], ['b', [[-1], [0]]]],
+            fields: {
+              '000000': {name: 'x', optype: 'numeric'},
+              '000001': {name: 'y', optype: 'categorical',
+                         summary: {categories: [['a', 2], ['b', 2]]}}
+            }
+          }
+        }
+      });
+      assert.equal(localLogisticRegression.predict({x: 1}, {operatingPoint: {
+        kind: 'probability', threshold: 0.2, positiveClass: 'b'}}).prediction,
+                   'b');
+      assert.equal(localLogisticRegression.predict({x: 1}, {operatingPoint: {
+        kind: 'probability', threshold: 0.3, positiveClass: 'b'}}).prediction,
+                   'a');
+    });
+  });
+});
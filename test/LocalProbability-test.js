@@ -0,0 +1,90 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  bigml = require('../index');
+
+function scores(list, key) {
+  var result = {};
+  list.forEach(function (item) {
+    result[item.category] = item[key];
+  });
+  return result;
+}
+
+describe('Class probabilities and confidences of local predictors',
+         function () {
+  var modelResource = JSON.parse(fs.readFileSync('./data/iris_model.json',
+                                                 'utf8')),
+    localModel = new bigml.LocalModel(modelResource),
+    inputData = {'petal length': 5, 'petal width': 2};
+
+  describe('LocalModel#predictProbability(inputData, callback)', function () {
+    it('should return the smoothed probability of every class',
+       function (done) {
+      localModel.predictProbability(inputData, function (error, list) {
+        var total = 0;
+        assert.equal(error, null);
+        assert.deepEqual(list.map(function (item) {
+          return item.category;
+        }), ['Iris-virginica', 'Iris-setosa', 'Iris-versicolor']);
+        // the leaf has 43 virginica instances out of 43
+        assert.equal(list[0].probability, (43 + 1 / 3) / 44);
+        assert.equal(list[1].probability, (1 / 3) / 44);
+        list.forEach(function (item) {
+          total += item.probability;
+        });
+        assert.ok(Math.abs(total - 1) < 1e-10);
+        done();
+      });
+    });
+  });
+  describe('LocalModel#predictConfidence(inputData)', function () {
+    it('should return the confidence of every class', function () {
+      var confidences = scores(localModel.predictConfidence(inputData),
+                               'confidence');
+      // the confidence of the predicted class is the one of the leaf
+      assert.ok(Math.abs(confidences['Iris-virginica'] - 0.91799) < 1e-5);
+      assert.equal(confidences['Iris-setosa'], 0);
+      assert.equal(confidences['Iris-versicolor'], 0);
+    });
+  });
+  describe('LocalEnsemble#predictProbability(inputData, missingStrategy)',
+           function () {
+    it('should average the probabilities of the models', function () {
+      var localEnsemble = new bigml.LocalEnsemble([modelResource,
+                                                   modelResource]);
+      assert.deepEqual(localEnsemble.predictProbability(inputData, 0),
+                       localModel.predictProbability(inputData));
+      assert.deepEqual(localEnsemble.predictConfidence(inputData),
+                       localModel.predictConfidence(inputData));
+    });
+  });
+  describe('LocalLogisticRegression#predictProbability(inputData)',
+           function () {
+    it('should return the same structure as local models', function () {
+      var localLogisticRegression = new bigml.LocalLogisticRegression({
+        resource: 'logisticregression/53cd37e6ffa0443bbe013101',
+        object: {
+          status: {code: 5},
+          input_fields: ['000000'],
+          objective_fields: ['000001'],
+          dataset_field_types: {},
+          logistic_regression: {
+            bias: true,
+            coefficients: [['a', [[1], [0]]], ['b', [[-1], [0]]]],
+            fields: {
+              '000000': {name: 'x', optype: 'numeric'},
+              '000001': {name: 'y', optype: 'categorical',
+                         summary: {categories: [['a', 2], ['b', 2]]}}
+            }
+          }
+        }
+      }), probabilities = localLogisticRegression.predictProbability({x: 1}),
+        confidences = localLogisticRegression.predictConfidence({x: 1});
+      assert.equal(probabilities[0].category, 'a');
+      assert.equal(probabilities[0].probability, 1 / (1 + Math.exp(-1)));
+      assert.deepEqual(confidences, probabilities.map(function (item) {
+        return {category: item.category, confidence: item.probability};
+      }));
+    });
+  });
+});
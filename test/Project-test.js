@@ -46,3 +46,70 @@ describe('Manage project objects', function () {
     });
   });
 });
+
+describe('Manage the resources in a project', function () {
+  var server = new bigml.FakeServer({username: 'username', apiKey: 'apikey',
+                                     statusSteps: [bigml.constants.FINISHED]}),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    project = new bigml.Project(connection),
+    source = new bigml.Source(connection),
+    projectId, otherSourceId;
+
+  before(function () {
+    return project.create({name: 'my project'}).then(function (result) {
+      projectId = result.resource;
+      return source.createInline('a,b\n1,2\n');
+    }).then(function (result) {
+      otherSourceId = result.resource;
+      return source.createInline('a,b\n3,4\n', {project: projectId});
+    }).then(function (result) {
+      return new bigml.Dataset(connection).create(result.resource,
+                                                  {project: projectId});
+    });
+  });
+
+  describe('#listResources(project, query, callback)', function () {
+    it('should list the resources of every type', function () {
+      return project.listResources(projectId).then(function (resources) {
+        assert.equal(resources.source.length, 1);
+        assert.equal(resources.dataset.length, 1);
+        assert.deepEqual(resources.model, []);
+        assert.equal(typeof resources.project, 'undefined');
+      });
+    });
+  });
+  describe('#moveResources(resources, project, callback)', function () {
+    it('should move the resources to the project', function () {
+      return project.moveResources([otherSourceId], projectId)
+        .then(function (results) {
+          assert.equal(results.length, 1);
+          assert.equal(results[0].object.project, projectId);
+          return project.listResources(projectId, {name: 'source'});
+        }).then(function (resources) {
+          assert.equal(resources.source.length, 2);
+          assert.equal(resources.dataset.length, 0);
+        });
+    });
+  });
+  describe('#BigML(..., {organization: orgId, project: projectId})',
+           function () {
+    it('should scope the requests and creates to the project', function () {
+      var uris = [], scoped = new bigml.BigML(
+        'username', 'apikey', false,
+        {organization: 'organization/5682d2e437203f2c15000001',
+         project: projectId,
+         transport: function (reqOptions, cb) {
+           uris.push(reqOptions.uri);
+           return server.transport(reqOptions, cb);
+         }});
+      return new bigml.Source(scoped).createInline('a,b\n5,6\n')
+        .then(function (result) {
+          assert.equal(result.object.project, projectId);
+          assert.ok(uris[0].indexOf(
+            ';organization=organization/5682d2e437203f2c15000001' +
+            ';project=' + projectId) > -1);
+        });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+var assert = require('assert'),
+  bigml = require('../index');
+
+function fakeResponse(code, uri, body) {
+  return {statusCode: code, request: {uri: {href: uri}},
+          body: JSON.stringify(body)};
+}
+
+describe('Manage resources through promises', function () {
+  var connection = new bigml.BigML('username', 'apikey'),
+    sourceId = 'source/5143a51a37203f2cf7000972',
+    source = {resource: sourceId, name: 'iris',
+              status: {code: bigml.constants.FINISHED}};
+  connection.request = function (options, cb) {
+    var uri = connection.url + sourceId + connection.auth;
+    if (options.method === 'GET' && options.endpoint === '') {
+      return cb(null, {meta: {total_count: 1}, objects: [source]},
+                fakeResponse(bigml.constants.HTTP_OK, uri));
+    }
+    if (options.method === 'GET') {
+      if (options.resource !== sourceId) {
+        return cb(null, {status: {code: bigml.constants.HTTP_NOT_FOUND,
+                                  message: 'Not found'}},
+                  fakeResponse(bigml.constants.HTTP_NOT_FOUND, uri));
+      }
+      return cb(null, source, fakeResponse(bigml.constants.HTTP_OK, uri));
+    }
+    if (options.method === 'PUT') {
+      source.name = options.body.name;
+      return cb(null, source, fakeResponse(bigml.constants.HTTP_ACCEPTED,
+                                           uri));
+    }
+    if (options.method === 'DELETE') {
+      return cb(null, null, fakeResponse(bigml.constants.HTTP_NO_CONTENT,
+                                         uri));
+    }
+  };
+
+  describe('#get(resource, finished)', function () {
+    it('should return a promise when no callback is given', function () {
+      var source = new bigml.Source(connection);
+      return source.get(sourceId, true).then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_OK);
+        assert.equal(data.resource, sourceId);
+        assert.equal(data.error, null);
+      });
+    });
+  });
+  describe('#get(resource, callback)', function () {
+    it('should keep using the callback when given', function (done) {
+      var source = new bigml.Source(connection),
+        returned = source.get(sourceId, function (error, data) {
+          assert.equal(error, null);
+          assert.equal(data.resource, sourceId);
+          assert.equal(returned, undefined);
+          done();
+        });
+    });
+  });
+  describe('#get(wrongResource)', function () {
+    it('should reject the promise with the error and the result',
+       function () {
+      var source = new bigml.Source(connection);
+      return source.get('source/5143a51a37203f2cf7000973').then(function () {
+        assert.fail('The promise should have been rejected');
+      }, function (error) {
+        assert.ok(error instanceof Error);
+        assert.equal(error.result.code, bigml.constants.HTTP_INTERNAL_SERVER_ERROR);
+        assert.equal(error.result.error.status.code,
+                     bigml.constants.HTTP_NOT_FOUND);
+      });
+    });
+  });
+  describe('#update(resource, args)', function () {
+    it('should resolve with the updated resource', function () {
+      var source = new bigml.Source(connection);
+      return source.update(sourceId, {name: 'new name'}).then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_ACCEPTED);
+        assert.equal(data.object.name, 'new name');
+      });
+    });
+  });
+  describe('#list()', function () {
+    it('should resolve with the list of resources', function () {
+      var source = new bigml.Source(connection);
+      return source.list().then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_OK);
+        assert.equal(data.resources[0].resource, sourceId);
+      });
+    });
+  });
+  describe('#delete(resource)', function () {
+    it('should resolve with the deletion result', function () {
+      var source = new bigml.Source(connection);
+      return source.delete(sourceId).then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_NO_CONTENT);
+        assert.equal(data.error, null);
+      });
+    });
+  });
+});
+
+describe('Retry concurrent requests on the same resource object', function () {
+  var connection = new bigml.BigML('username', 'apikey'),
+    sourceId = 'source/5143a51a37203f2cf7000972',
+    datasetIds = ['dataset/5143a51a37203f2cf7000980',
+                  'dataset/5143a51a37203f2cf7000981'],
+    // pending answers for each dataset: undefined means a network error
+    pending = {},
+    created = 0,
+    attempts = {};
+  pending[datasetIds[0]] = [undefined, bigml.constants.QUEUED,
+                            undefined, bigml.constants.QUEUED];
+  pending[datasetIds[1]] = [bigml.constants.QUEUED];
+  connection.request = function (options, cb) {
+    var uri, status, resource;
+    if (options.method === 'GET' && options.resource === sourceId) {
+      uri = connection.url + sourceId + connection.auth;
+      return cb(null, {resource: sourceId,
+                       status: {code: bigml.constants.FINISHED}},
+                fakeResponse(bigml.constants.HTTP_OK, uri));
+    }
+    if (options.method === 'GET') {
+      resource = options.resource;
+      uri = connection.url + resource + connection.auth;
+      attempts[resource] = (attempts[resource] || 0) + 1;
+      if (pending[resource].length > 0) {
+        status = pending[resource].shift();
+        if ((typeof status) === 'undefined') {
+          return setTimeout(function () {
+            cb(new Error('ECONNRESET'));
+          }, 1);
+        }
+      } else {
+        status = bigml.constants.FINISHED;
+      }
+      return setTimeout(function () {
+        cb(null, {resource: resource, status: {code: status}},
+           fakeResponse(bigml.constants.HTTP_OK, uri));
+      }, 1);
+    }
+    if (options.method === 'POST') {
+      created += 1;
+      // the first creation request fails and must be sent again
+      if (created === 1) {
+        return setTimeout(function () {
+          cb(new Error('ECONNRESET'));
+        }, 1);
+      }
+      resource = (options.body.name === 'first') ? datasetIds[0] :
+        datasetIds[1];
+      uri = connection.url + resource + connection.auth;
+      return setTimeout(function () {
+        cb(null, {resource: resource, name: options.body.name,
+                  status: {code: bigml.constants.QUEUED}},
+           fakeResponse(bigml.constants.HTTP_CREATED, uri));
+      }, 1);
+    }
+  };
+
+  describe('#get(resource, finished) called twice', function () {
+    it('should retry each call independently', function (done) {
+      var dataset = new bigml.Dataset(connection),
+        results = {},
+        finished = {retries: 5, wait: 1};
+      function check(resource) {
+        return function (error, data) {
+          assert.equal(error, null);
+          assert.equal(results[resource], undefined);
+          results[resource] = data;
+          assert.equal(data.resource, resource);
+          assert.equal(data.object.status.code, bigml.constants.FINISHED);
+          if (Object.keys(results).length === 2) {
+            assert.equal(attempts[datasetIds[0]], 5);
+            assert.equal(attempts[datasetIds[1]], 2);
+            // the user's retry object is not modified
+            assert.equal(finished.retriesLeft, undefined);
+            done();
+          }
+        };
+      }
+      dataset.get(datasetIds[0], finished, check(datasetIds[0]));
+      dataset.get(datasetIds[1], finished, check(datasetIds[1]));
+    });
+  });
+  describe('#create(source, args, retry) called twice', function () {
+    it('should send again only the request that failed', function () {
+      var dataset = new bigml.Dataset(connection);
+      return Promise.all([
+        dataset.create(sourceId, {name: 'first'}, {retries: 2, wait: 1}),
+        dataset.create(sourceId, {name: 'second'}, {retries: 2, wait: 1})
+      ]).then(function (data) {
+        assert.equal(created, 3);
+        assert.equal(data[0].object.name, 'first');
+        assert.equal(data[0].resource, datasetIds[0]);
+        assert.equal(data[1].object.name, 'second');
+        assert.equal(data[1].resource, datasetIds[1]);
+      });
+    });
+  });
+  describe('#get(resource, finished) with no retries left', function () {
+    it('should call back once with the retries limit error',
+       function (done) {
+      var dataset = new bigml.Dataset(connection),
+        calls = 0;
+      pending[datasetIds[0]] = [bigml.constants.QUEUED,
+                                bigml.constants.QUEUED];
+      dataset.get(datasetIds[0], {retries: 1, wait: 1}, function (error) {
+        calls += 1;
+        assert.equal(error.message, 'Retries limit exceeded');
+        setTimeout(function () {
+          assert.equal(calls, 1);
+          done();
+        }, 20);
+      });
+    });
+  });
+});
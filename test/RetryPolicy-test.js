@@ -0,0 +1,203 @@
+var assert = require('assert'),
+  bigml = require('../index'),
+  constants = bigml.constants,
+  RetryPolicy = bigml.RetryPolicy;
+
+describe('Retry the failed requests', function () {
+  var server = new bigml.FakeServer({username: 'username', apiKey: 'apikey'}),
+    sourceId;
+
+  function unavailable(reqOptions) {
+    /**
+     * Answers a request as the API does when it is not available
+     */
+    return [{statusCode: 503, headers: {},
+             request: {uri: {href: reqOptions.uri}}},
+            JSON.stringify({code: 503, status: {
+              code: -1, message: 'Service unavailable'}})];
+  }
+
+  function failingFirst(failures, counter) {
+    /**
+     * Builds a transport that answers the first requests with a 503
+     */
+    return function (reqOptions, cb) {
+      var answer;
+      counter.sent += 1;
+      if (counter.sent <= failures) {
+        answer = unavailable(reqOptions);
+        return setImmediate(cb, null, answer[0], answer[1]);
+      }
+      return server.transport(reqOptions, cb);
+    };
+  }
+
+  before(function () {
+    var source = new bigml.Source(new bigml.BigML(
+      'username', 'apikey', false, {transport: server.transport}));
+    return source.create('./data/iris.csv').then(function (result) {
+      sourceId = result.resource;
+      return source.get(sourceId, {delay: 1});
+    });
+  });
+
+  describe('#getDelay(attempt)', function () {
+    it('should double the delay up to the maximum', function () {
+      var policy = new RetryPolicy({delay: 10, maxDelay: 50,
+                                    jitter: 'none'});
+      assert.deepEqual([1, 2, 3, 4].map(policy.getDelay, policy),
+                       [10, 20, 40, 50]);
+    });
+    it('should randomize the delay with the jitter', function () {
+      var full = new RetryPolicy({delay: 100, jitter: 'full'}),
+        equal = new RetryPolicy({delay: 100, jitter: 'equal'}),
+        custom = new RetryPolicy({delay: 100, jitter: function (delay,
+                                                               attempt) {
+          return delay + attempt;
+        }}), wait, index;
+      for (index = 0; index < 20; index++) {
+        wait = full.getDelay(1);
+        assert.ok(wait >= 0 && wait < 100);
+        wait = equal.getDelay(1);
+        assert.ok(wait >= 50 && wait < 100);
+      }
+      assert.equal(custom.getDelay(2), 202);
+      assert.throws(function () {
+        return new RetryPolicy({jitter: 'random'});
+      });
+    });
+  });
+  describe('#isRetriable(httpStatus, code)', function () {
+    it('should check the HTTP and BigML status codes', function () {
+      var policy = new RetryPolicy(),
+        custom = new RetryPolicy({httpCodes: [502], codes: []});
+      assert.ok(policy.isRetriable(constants.HTTP_SERVICE_UNAVAILABLE));
+      assert.ok(policy.isRetriable(constants.HTTP_BAD_REQUEST,
+                                   constants.RETRY_ERRORS[0]));
+      assert.ok(!policy.isRetriable(constants.HTTP_NOT_FOUND,
+                                    constants.HTTP_NOT_FOUND));
+      assert.ok(custom.isRetriable(constants.HTTP_BAD_GATEWAY));
+      assert.ok(!custom.isRetriable(constants.HTTP_SERVICE_UNAVAILABLE));
+    });
+    it('should only retry creates for their HTTP status codes', function () {
+      var policy = new RetryPolicy();
+      assert.ok(policy.isRetriable(constants.HTTP_SERVICE_UNAVAILABLE,
+                                   undefined, true));
+      assert.ok(policy.isRetriable(constants.HTTP_TOO_MANY_REQUESTS,
+                                   undefined, true));
+      assert.ok(!policy.isRetriable(constants.HTTP_BAD_GATEWAY,
+                                    undefined, true));
+      assert.ok(!policy.isRetriable(constants.HTTP_BAD_REQUEST,
+                                    constants.RETRY_ERRORS[0], true));
+    });
+  });
+  describe('RetryPolicy.build(retry, base)', function () {
+    it('should combine the retry argument with the base policy', function () {
+      var base = new RetryPolicy({attempts: 3, delay: 5}), policy;
+      assert.equal(RetryPolicy.build(false, base), null);
+      assert.equal(RetryPolicy.build(true, base), base);
+      policy = RetryPolicy.build({retries: 5, wait: 1}, base);
+      assert.equal(policy.attempts, 6);
+      assert.equal(policy.delay, 1);
+      policy = RetryPolicy.build({maxDelay: 7}, base);
+      assert.equal(policy.attempts, 3);
+      assert.equal(policy.maxDelay, 7);
+      // a null base disables the retries that use the base policy
+      assert.equal(RetryPolicy.build(true, null), null);
+      assert.equal(RetryPolicy.build({attempts: 2}, null).attempts, 2);
+    });
+  });
+  describe('BigML(username, apiKey, devMode, {retry: false})', function () {
+    it('should disable the retries of the connection', function () {
+      var counter = {sent: 0}, source = new bigml.Source(new bigml.BigML(
+        'username', 'apikey', false,
+        {transport: function (reqOptions, cb) {
+          var answer;
+          if (reqOptions.method === 'PUT') {
+            counter.sent += 1;
+            answer = unavailable(reqOptions);
+            return setImmediate(cb, null, answer[0], answer[1]);
+          }
+          return server.transport(reqOptions, cb);
+        }, retry: false}));
+      assert.equal(source.connection.retryPolicy, null);
+      return source.update(sourceId, {name: 'not retried'}, true)
+        .then(function () {
+          assert.fail('The update should have failed');
+        }, function (error) {
+          assert.equal(error.httpStatus, constants.HTTP_SERVICE_UNAVAILABLE);
+          assert.equal(counter.sent, 1);
+        });
+    });
+  });
+  describe('#create(sourceId, args, retry) when the API fails', function () {
+    it('should not send creates again for server errors', function () {
+      var posts = 0, dataset = new bigml.Dataset(new bigml.BigML(
+        'username', 'apikey', false,
+        {transport: function (reqOptions, cb) {
+          if (reqOptions.method === 'POST') {
+            posts += 1;
+            return setImmediate(cb, null, {
+              statusCode: 500, headers: {},
+              request: {uri: {href: reqOptions.uri}}},
+              JSON.stringify({code: 500, status: {
+                code: -1, message: 'Internal error'}}));
+          }
+          return server.transport(reqOptions, cb);
+        }, retry: {attempts: 3, delay: 1}}));
+      return dataset.create(sourceId, {}, true).then(function () {
+        assert.fail('The create should have failed');
+      }, function () {
+        assert.equal(posts, 1);
+      });
+    });
+  });
+  describe('#get(sourceId, true) when the API is not available', function () {
+    it('should use the retry policy of the connection', function () {
+      var counter = {sent: 0}, source = new bigml.Source(new bigml.BigML(
+        'username', 'apikey', false,
+        {transport: failingFirst(2, counter),
+         retry: {attempts: 3, delay: 1}}));
+      return source.get(sourceId, true).then(function (result) {
+        assert.equal(result.resource, sourceId);
+        assert.equal(counter.sent, 3);
+      });
+    });
+    it('should fail when the attempts are exhausted', function () {
+      var counter = {sent: 0}, source = new bigml.Source(new bigml.BigML(
+        'username', 'apikey', false,
+        {transport: failingFirst(5, counter),
+         retry: {attempts: 3, delay: 1}}));
+      return source.get(sourceId, true).then(function () {
+        assert.fail('The source should not be retrieved');
+      }, function (error) {
+        assert.ok(error instanceof bigml.errors.BigMLRetriesExceededError);
+        assert.equal(counter.sent, 3);
+      });
+    });
+  });
+  describe('#update(sourceId, args, retry) with a policy per call',
+           function () {
+    it('should send the request again', function () {
+      var counter = {sent: 0}, source = new bigml.Source(new bigml.BigML(
+        'username', 'apikey', false,
+        {transport: function (reqOptions, cb) {
+          var answer;
+          if (reqOptions.method === 'PUT') {
+            counter.sent += 1;
+            if (counter.sent === 1) {
+              answer = unavailable(reqOptions);
+              return setImmediate(cb, null, answer[0], answer[1]);
+            }
+          }
+          return server.transport(reqOptions, cb);
+        }, retry: {attempts: 1}}));
+      return source.update(sourceId, {name: 'retried'},
+                           new RetryPolicy({attempts: 2, delay: 1}))
+        .then(function (result) {
+          assert.equal(result.object.name, 'retried');
+          assert.equal(counter.sent, 2);
+        });
+    });
+  });
+});
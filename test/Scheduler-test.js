@@ -0,0 +1,157 @@
+var assert = require('assert'),
+  bigml = require('../index');
+
+describe('Schedule the requests of a connection', function () {
+  var server = new bigml.FakeServer({username: 'username', apiKey: 'apikey'}),
+    sourceId;
+
+  function connectionWith(scheduler, transport) {
+    return new bigml.BigML('username', 'apikey', false,
+                           {transport: transport, scheduler: scheduler});
+  }
+
+  function tooManyRequests(reqOptions, headers) {
+    /**
+     * Answers a request as the API does when too many requests are sent
+     */
+    return [{statusCode: 429, headers: headers,
+             request: {uri: {href: reqOptions.uri}}},
+            JSON.stringify({code: 429, status: {
+              code: -1602, message: 'Too many requests'}})];
+  }
+
+  before(function () {
+    return new bigml.Source(connectionWith(undefined, server.transport))
+      .create('./data/iris.csv').then(function (result) {
+        sourceId = result.resource;
+      });
+  });
+
+  describe('with a concurrency limit', function () {
+    it('should not send more requests at the same time', function () {
+      var running = 0, maxRunning = 0, source, requests = [];
+      source = new bigml.Source(connectionWith({concurrency: 2},
+        function (reqOptions, cb) {
+          running += 1;
+          maxRunning = Math.max(maxRunning, running);
+          return server.transport(reqOptions, function () {
+            running -= 1;
+            cb.apply(null, arguments);
+          });
+        }));
+      while (requests.length < 5) {
+        requests.push(source.get(sourceId));
+      }
+      return Promise.all(requests).then(function (results) {
+        assert.equal(results.length, 5);
+        assert.equal(maxRunning, 2);
+      });
+    });
+  });
+  describe('without scheduler options', function () {
+    it('should send the requests directly', function () {
+      var connection = connectionWith(undefined, server.transport);
+      assert.equal(connection.scheduler, null);
+      return new bigml.Source(connection).get(sourceId)
+        .then(function (result) {
+          assert.equal(result.resource, sourceId);
+        });
+    });
+  });
+  describe('when a request cannot be sent', function () {
+    it('should fail and go on with the rest', function (done) {
+      var scheduler = connectionWith({concurrency: 1}).scheduler;
+      scheduler.schedule('GET', function () {
+        throw new Error('Wrong request');
+      }, function (error) {
+        assert.equal(error.message, 'Wrong request');
+        assert.equal(scheduler.running, 0);
+      });
+      scheduler.schedule('GET', function (cb) {
+        setImmediate(cb, null, {statusCode: 200, headers: {}}, '{}');
+      }, function (error, response) {
+        assert.equal(error, null);
+        assert.equal(response.statusCode, 200);
+        done();
+      });
+    });
+  });
+  describe('with a rate limit', function () {
+    it('should wait for the tokens to be refilled', function () {
+      var source, start = Date.now(), times = [];
+      source = new bigml.Source(connectionWith({rate: 2, interval: 100},
+        function (reqOptions, cb) {
+          times.push(Date.now() - start);
+          return server.transport(reqOptions, cb);
+        }));
+      return Promise.all([source.get(sourceId), source.get(sourceId),
+                          source.get(sourceId)]).then(function () {
+        assert.ok(times[1] < 40);
+        assert.ok(times[2] >= 45);
+      });
+    });
+  });
+  describe('when the API asks to wait', function () {
+    it('should hold the retries until the Retry-After time', function () {
+      var source, sent = 0, start = Date.now();
+      source = new bigml.Source(connectionWith({},
+        function (reqOptions, cb) {
+          var answer;
+          sent += 1;
+          if (sent === 1) {
+            answer = tooManyRequests(reqOptions, {'Retry-After': '1'});
+            return setImmediate(cb, null, answer[0], answer[1]);
+          }
+          return server.transport(reqOptions, cb);
+        }));
+      // the request is sent again by the retry policy of the call
+      return source.get(sourceId, {delay: 1}).then(function (result) {
+        assert.equal(result.resource, sourceId);
+        assert.equal(sent, 2);
+        assert.ok(Date.now() - start >= 1000);
+      });
+    });
+    it('should not send the request again without retries', function () {
+      var source, sent = 0;
+      source = new bigml.Source(connectionWith({},
+        function (reqOptions, cb) {
+          var answer = tooManyRequests(reqOptions, {'Retry-After': '0'});
+          sent += 1;
+          return setImmediate(cb, null, answer[0], answer[1]);
+        }));
+      return source.get(sourceId).then(function () {
+        assert.fail('The request should have failed');
+      }, function (error) {
+        assert.ok(error instanceof bigml.errors.BigMLRateLimitError);
+        assert.equal(sent, 1);
+      });
+    });
+    it('should queue creates when there are too many running tasks',
+       function () {
+      var connection, dataset, source, posts = 0, order = [];
+      connection = connectionWith({taskWait: 50}, function (reqOptions, cb) {
+        var answer;
+        if (reqOptions.method === 'POST') {
+          posts += 1;
+          if (posts === 1) {
+            answer = tooManyRequests(reqOptions, {});
+            // the rest of requests are not held
+            source.get(sourceId).then(function () {
+              order.push('get');
+            });
+            return setImmediate(cb, null, answer[0], answer[1]);
+          }
+        }
+        return server.transport(reqOptions, cb);
+      });
+      dataset = new bigml.Dataset(connection);
+      source = new bigml.Source(connection);
+      return dataset.create(sourceId, {}, {delay: 1}).then(function (result) {
+        order.push('create');
+        assert.equal(result.object.source, sourceId);
+        assert.equal(posts, 2);
+        assert.deepEqual(order, ['get', 'create']);
+      });
+    });
+  });
+});
@@ -1,4 +1,6 @@
 var assert = require('assert'),
+  fs = require('fs'),
+  stream = require('stream'),
   bigml = require('../index');
 
 describe('Manage source objects', function () {
@@ -46,3 +48,170 @@ describe('Manage source objects', function () {
     });
   });
 });
+
+describe('Create sources from different origins', function () {
+  var server = new bigml.FakeServer(),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    source = new bigml.Source(connection);
+  describe('#create(url, args, callback)', function () {
+    it('should create a remote source', function () {
+      var url = 'https://static.bigml.com/csv/iris.csv';
+      return source.create(url, {name: 'remote'}).then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        assert.equal(data.object.remote, url);
+        assert.equal(data.object.name, 'remote');
+      });
+    });
+  });
+  describe('#createInline(data, args, callback)', function () {
+    it('should create a source from a string', function () {
+      return source.createInline('a,b\n1,2').then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        assert.equal(data.object.data, 'a,b\n1,2');
+      });
+    });
+  });
+  describe('#create(rows, args, callback)', function () {
+    it('should create a source from a list of objects', function () {
+      var rows = [{a: 1, b: 'x, y'}, {a: 2, b: 'say "hi"'}];
+      return source.create(rows).then(function (data) {
+        assert.equal(data.object.data,
+                     'a,b\n1,"x, y"\n2,"say ""hi"""');
+      });
+    });
+  });
+  describe('#create(buffer, args, callback)', function () {
+    it('should upload the contents of a Buffer', function (done) {
+      source.create(fs.readFileSync('./data/iris.csv'), {name: 'buffer'},
+                    function (error, data) {
+          assert.equal(error, null);
+          assert.equal(data.code, bigml.constants.HTTP_CREATED);
+          assert.equal(data.object.name, 'buffer');
+          assert.equal(data.object.file_name, 'data.csv');
+          done();
+        });
+    });
+  });
+  describe('#create(stream, args, callback)', function () {
+    it('should upload the contents of a Readable stream', function () {
+      var readable = new stream.PassThrough();
+      readable.end('a,b\n1,2\n');
+      return source.create(readable).then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        assert.equal(data.object.file_name, 'data.csv');
+      });
+    });
+    it('should fail when the stream emits an error', function () {
+      var readable = new stream.PassThrough();
+      setImmediate(function () {
+        readable.emit('error', new Error('read failed'));
+      });
+      return source.create(readable).then(function () {
+        assert.fail('The creation should have failed');
+      }, function (error) {
+        assert.equal(error.message, 'read failed');
+      });
+    });
+    it('should pipe the stream to the request when retries are off',
+       function () {
+        var readable = new stream.PassThrough(),
+          transport = server.transport,
+          sent = false;
+        connection.transport = function (reqOptions, cb) {
+          sent = true;
+          return transport(reqOptions, cb);
+        };
+        readable.write('a,b\n');
+        setImmediate(function () {
+          assert.ok(sent);
+          readable.end('1,2\n');
+        });
+        return source.create(readable, {}, false).then(function (data) {
+          connection.transport = transport;
+          assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        });
+      });
+    it('should fail when the piped stream emits an error', function () {
+      var readable = new stream.PassThrough();
+      setImmediate(function () {
+        readable.emit('error', new Error('read failed'));
+      });
+      return source.create(readable, {}, false).then(function () {
+        assert.fail('The creation should have failed');
+      }, function (error) {
+        assert.equal(error.message, 'read failed');
+      });
+    });
+  });
+  describe('#create(data, args, callback)', function () {
+    it('should create an inline source from a string with rows', function () {
+      return source.create('a,b\n1,2').then(function (data) {
+        assert.equal(data.code, bigml.constants.HTTP_CREATED);
+        assert.equal(data.object.data, 'a,b\n1,2');
+      });
+    });
+  });
+});
+
+describe('Configure source fields and parsing', function () {
+  var server = new bigml.FakeServer(),
+    connection = new bigml.BigML('username', 'apikey', false,
+                                 {transport: server.transport}),
+    source = new bigml.Source(connection),
+    sourceId = 'source/5143a51a37203f2cf7000972';
+  server.addResource({
+    resource: sourceId,
+    status: {code: bigml.constants.FINISHED},
+    fields: {'000000': {name: 'sepal length', column_number: 0,
+                        optype: 'numeric'},
+             '000001': {name: 'review', column_number: 1,
+                        optype: 'categorical'},
+             '000002': {name: 'species', column_number: 2,
+                        optype: 'categorical'}}});
+  describe('#configure(source, config, callback)', function () {
+    it('should update the fields by name or column number', function () {
+      return source.configure(sourceId, {
+        fields: {review: {optype: 'text',
+                          term_analysis: {case_sensitive: true}},
+                 0: {optype: 'categorical'}},
+        source_parser: {separator: ';', header: true,
+                        missing_tokens: ['?'], locale: 'es-ES'},
+        term_analysis: {enabled: true}}).then(function (data) {
+          var fields = data.object.fields;
+          assert.equal(data.code, bigml.constants.HTTP_ACCEPTED);
+          assert.equal(fields['000000'].optype, 'categorical');
+          assert.equal(fields['000001'].optype, 'text');
+          assert.equal(fields['000001'].name, 'review');
+          assert.equal(fields['000001'].term_analysis.case_sensitive, true);
+          assert.equal(fields['000002'].optype, 'categorical');
+          assert.equal(data.object.source_parser.separator, ';');
+          assert.deepEqual(data.object.source_parser.missing_tokens, ['?']);
+          assert.equal(data.object.term_analysis.enabled, true);
+        });
+    });
+    it('should reject unknown optypes', function () {
+      assert.throws(function () {
+        source.configure(sourceId, {fields: {review: {optype: 'float'}}},
+                         function () {});
+      }, /Wrong optype for field review/);
+    });
+    it('should reject unknown source_parser attributes', function () {
+      return source.configure(sourceId, {source_parser: {separador: ';'}})
+        .then(function () {
+          assert.fail('The configuration should have failed');
+        }, function (error) {
+          assert.ok(error.message.indexOf(
+            'Unknown source_parser attribute: separador') === 0);
+        });
+    });
+    it('should fail when a field is not found', function () {
+      return source.configure(sourceId, {fields: {petal: {optype: 'text'}}})
+        .then(function () {
+          assert.fail('The configuration should have failed');
+        }, function (error) {
+          assert.equal(error.message, 'No field found for petal.');
+        });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  path = require('path'),
+  bigml = require('../index');
+
+function removeStorage(directory) {
+  if (fs.existsSync(directory)) {
+    fs.readdirSync(directory).forEach(function (filename) {
+      fs.unlinkSync(path.join(directory, filename));
+    });
+    fs.rmdirSync(directory);
+  }
+}
+
+describe('Store finished resources in the connection storage', function () {
+  var server = new bigml.FakeServer({username: 'username', apiKey: 'apikey'}),
+    storage = './test-storage',
+    requests = [],
+    modelResource = JSON.parse(fs.readFileSync('./data/iris_model.json',
+                                               'utf8')),
+    modelId = modelResource.resource,
+    ensembleId = 'ensemble/53cd37e6ffa0443bbe0130a0',
+    secondModel = JSON.parse(JSON.stringify(modelResource.object)),
+    connection;
+
+  function transport(reqOptions, cb) {
+    requests.push(reqOptions.method + ' ' +
+                  reqOptions.uri.split('?')[0].split('/andromeda/')[1]);
+    return server.transport(reqOptions, cb);
+  }
+
+  function newConnection() {
+    return new bigml.BigML('username', 'apikey', false,
+                           {transport: transport, storage: storage});
+  }
+
+  function whenReady(localObject, cb) {
+    if (localObject.isReady) {
+      return cb();
+    }
+    localObject.on('ready', function () {
+      cb();
+    });
+  }
+
+  before(function () {
+    removeStorage(storage);
+    connection = newConnection();
+    server.addResource(modelResource.object);
+    secondModel.resource = 'model/53cd37e6ffa0443bbe0130a1';
+    modelResource.object.ensemble_id = secondModel.ensemble_id =
+      ensembleId.split('/')[1];
+    server.addResource(secondModel);
+    server.addResource({resource: ensembleId,
+                        models: [modelId, secondModel.resource],
+                        status: {code: bigml.constants.FINISHED}});
+  });
+  after(function () {
+    removeStorage(storage);
+  });
+
+  describe('LocalModel(modelId, connection)', function () {
+    it('should download the model only once', function (done) {
+      var localModel = new bigml.LocalModel(modelId, connection);
+      whenReady(localModel, function () {
+        assert.deepEqual(requests, ['GET ' + modelId]);
+        localModel = new bigml.LocalModel(modelId, newConnection());
+        whenReady(localModel, function () {
+          assert.equal(requests.length, 1);
+          assert.equal(localModel.predict({'petal length': 1}).prediction,
+                       'Iris-setosa');
+          done();
+        });
+      });
+    });
+  });
+  describe('#get(modelId)', function () {
+    it('should not use the storage', function () {
+      var model = new bigml.Model(newConnection());
+      requests = [];
+      return model.get(modelId).then(function () {
+        return model.get(secondModel.resource);
+      }).then(function () {
+        assert.deepEqual(requests, ['GET ' + modelId,
+                                    'GET ' + secondModel.resource]);
+        assert.equal(fs.existsSync(connection.storagePath(
+          secondModel.resource)), false);
+      });
+    });
+  });
+  describe('LocalEnsemble(ensembleId, connection)', function () {
+    it('should reuse the stored models', function (done) {
+      var localEnsemble;
+      requests = [];
+      localEnsemble = new bigml.LocalEnsemble(ensembleId, connection);
+      whenReady(localEnsemble, function () {
+        assert.deepEqual(requests, ['GET ' + ensembleId, 'GET model']);
+        localEnsemble = new bigml.LocalEnsemble(ensembleId, newConnection());
+        whenReady(localEnsemble, function () {
+          assert.deepEqual(requests, ['GET ' + ensembleId, 'GET model',
+                                      'GET ' + ensembleId]);
+          assert.equal(localEnsemble.models().length, 2);
+          done();
+        });
+      });
+    });
+  });
+  describe('#invalidate(resourceId, updated)', function () {
+    it('should only remove resources with a different timestamp',
+       function () {
+      var onlyModel = bigml.constants.ONLY_MODEL;
+      return connection.invalidate(modelId, modelResource.object.updated)
+        .then(function (removed) {
+          assert.equal(removed, false);
+          return connection.isStored(modelId, onlyModel);
+        }).then(function (isStored) {
+          assert.ok(isStored);
+          return connection.invalidate(modelId, '2016-01-01T00:00:00');
+        }).then(function (removed) {
+          assert.equal(removed, true);
+          return connection.isStored(modelId, onlyModel);
+        }).then(function (isStored) {
+          assert.equal(isStored, false);
+        });
+    });
+    it('should remove the resources that are updated', function () {
+      var model = new bigml.Model(connection),
+        onlyModel = bigml.constants.ONLY_MODEL;
+      return connection.isStored(secondModel.resource, onlyModel)
+        .then(function (isStored) {
+          assert.ok(isStored);
+          return model.update(secondModel.resource, {name: 'new name'});
+        }).then(function () {
+          return connection.isStored(secondModel.resource, onlyModel);
+        }).then(function (isStored) {
+          assert.equal(isStored, false);
+        });
+    });
+  });
+  describe('#storagePath(resourceId)', function () {
+    it('should replace every slash in the id', function () {
+      assert.equal(path.basename(connection.storagePath(
+        'shared/model/53cd37e6ffa0443bbe0130a0')),
+                   'shared_model_53cd37e6ffa0443bbe0130a0.json');
+    });
+  });
+});